@@ -0,0 +1,8 @@
+import { webFrame } from 'electron';
+
+const fingerprintArg = process.argv.find((arg) => arg.startsWith('--fingerprint-script='));
+
+if (fingerprintArg) {
+  const script = Buffer.from(fingerprintArg.slice('--fingerprint-script='.length), 'base64').toString('utf8');
+  webFrame.executeJavaScript(script);
+}
@@ -1,14 +1,47 @@
 import {
+  validateAccountContextPayload,
   validateAddAccountPayload,
+  validateAssignPanePayload,
+  validateCapturePayload,
+  validateStartNetworkLogPayload,
+  validateExportHarPayload,
+  validateClearPermissionDecisionsPayload,
   validateDeleteAccountPayload,
   validateContentAssetPayload,
+  validateContextActionPayload,
+  validateContextGroupPayload,
+  validateContextLabelPayload,
+  validateCreateContextPayload,
   validateDeleteContentAssetPayload,
+  validateDownloadActionPayload,
+  validateExportStoragePayload,
+  validateCloneContextPayload,
+  validateExtensionTogglePayload,
   validateGenerateContentPayload,
+  validateGroupExtensionsPayload,
   validateImportSnapshotPayload,
+  validateImportStoragePayload,
+  validateLinkCapturePayload,
+  validateListCapturesPayload,
+  validateListCrashesPayload,
+  validateListDownloadsPayload,
+  validateListPermissionRequestsPayload,
   validateNavigatePayload,
+  validateRemovePartitionsPayload,
   validateListQueryPayload,
+  validateResizeSplitPayload,
+  validateRespondPermissionPayload,
   validateSchedulePayload,
+  validateSetLayoutPayload,
+  validateSetViewInsetsPayload,
+  validateSetPermissionPolicyPayload,
+  validateSetRequestFilterPayload,
+  validateSetNavigationPolicyPayload,
+  validateSetDevicePayload,
+  validateSetRegionPayload,
+  validateSetPopupPolicyPayload,
   validateTaskActionPayload,
+  validateTestProxyPayload,
   validateUpdateAccountPayload,
 } from '../utils/validators.js';
 
@@ -23,28 +56,337 @@ function withGuard(handler) {
 }
 
 export function registerIpcHandlers({ ipcMain, contextApi, matrixService }) {
-  ipcMain.handle('contexts:create', withGuard(async ({ url }) => {
-    const ctx = contextApi.createIsolatedContext(url);
+  ipcMain.handle('contexts:create', withGuard(async (payload) => {
+    validateCreateContextPayload(payload);
+    const ctx = contextApi.createIsolatedContext(payload.url, {
+      fingerprint: payload.fingerprint,
+      proxy: payload.proxy,
+      popupPolicy: payload.popupPolicy,
+      name: payload.name,
+      color: payload.color,
+      group: payload.group,
+      permissions: payload.permissions,
+      requestFilter: payload.requestFilter,
+      ephemeral: payload.ephemeral,
+      extensions: payload.extensions,
+      navigationPolicy: payload.navigationPolicy,
+      device: payload.device,
+      region: payload.region,
+    });
     contextApi.attachContext(ctx.id);
     return { ok: true, context: ctx };
   }));
 
+  ipcMain.handle('contexts:clone', withGuard(async (payload) => {
+    validateCloneContextPayload(payload);
+    return { ok: true, result: await contextApi.cloneContext(payload) };
+  }));
+
   ipcMain.handle('contexts:switch', withGuard(async ({ id }) => ({ ok: contextApi.attachContext(id) })));
   ipcMain.handle('contexts:close', withGuard(async ({ id }) => ({ ok: contextApi.closeContext(id) })));
 
+  ipcMain.handle('contexts:wipe', withGuard(async (payload) => {
+    validateContextActionPayload(payload);
+    return { ok: true, result: await contextApi.wipeContext(payload.id) };
+  }));
+
+  ipcMain.handle('contexts:listCrashes', withGuard(async (payload = {}) => {
+    validateListCrashesPayload(payload);
+    return { ok: true, crashes: contextApi.listContextCrashes({ contextId: payload.contextId, limit: payload.limit || 50 }) };
+  }));
+
+  ipcMain.handle('contexts:listOrphanedPartitions', withGuard(async () => ({ ok: true, partitions: contextApi.listOrphanedPartitions() })));
+
+  ipcMain.handle('contexts:removeOrphanedPartitions', withGuard(async (payload) => {
+    validateRemovePartitionsPayload(payload);
+    return { ok: true, results: contextApi.removeOrphanedPartitions(payload.partitions) };
+  }));
+
   ipcMain.handle('contexts:navigate', withGuard(async (payload) => {
     validateNavigatePayload(payload);
     return { ok: contextApi.navigateContext(payload.id, payload.url) };
   }));
 
+  ipcMain.handle('contexts:goBack', withGuard(async (payload) => {
+    validateContextActionPayload(payload);
+    return { ok: contextApi.goBack(payload.id) };
+  }));
+
+  ipcMain.handle('contexts:goForward', withGuard(async (payload) => {
+    validateContextActionPayload(payload);
+    return { ok: contextApi.goForward(payload.id) };
+  }));
+
+  ipcMain.handle('contexts:reload', withGuard(async (payload) => {
+    validateContextActionPayload(payload);
+    return { ok: contextApi.reloadContext(payload.id) };
+  }));
+
+  ipcMain.handle('contexts:stop', withGuard(async (payload) => {
+    validateContextActionPayload(payload);
+    return { ok: contextApi.stopContext(payload.id) };
+  }));
+
+  ipcMain.handle('contexts:setPopupPolicy', withGuard(async (payload) => {
+    validateSetPopupPolicyPayload(payload);
+    return { ok: contextApi.setPopupPolicy(payload.id, payload.policy) };
+  }));
+
+  ipcMain.handle('contexts:getPermissions', withGuard(async (payload) => {
+    validateContextActionPayload(payload);
+    const permissions = contextApi.getPermissions(payload.id);
+    return permissions ? { ok: true, permissions } : { ok: false, error: 'context not found' };
+  }));
+
+  ipcMain.handle('contexts:setPermissionPolicy', withGuard(async (payload) => {
+    validateSetPermissionPolicyPayload(payload);
+    const permissions = contextApi.setPermissionPolicy(payload.id, payload.policy);
+    return permissions ? { ok: true, permissions } : { ok: false, error: 'context not found' };
+  }));
+
+  ipcMain.handle('contexts:clearPermissionDecisions', withGuard(async (payload) => {
+    validateClearPermissionDecisionsPayload(payload);
+    const permissions = contextApi.clearPermissionDecisions(payload.id, payload.origin);
+    return permissions ? { ok: true, permissions } : { ok: false, error: 'context not found' };
+  }));
+
+  ipcMain.handle('contexts:listPermissionRequests', withGuard(async (payload = {}) => {
+    validateListPermissionRequestsPayload(payload);
+    return { ok: true, requests: contextApi.listPermissionRequests({ contextId: payload.contextId }) };
+  }));
+
+  ipcMain.handle('contexts:respondPermission', withGuard(async (payload) => {
+    validateRespondPermissionPayload(payload);
+    return { ok: contextApi.respondPermissionRequest(payload.requestId, { allow: payload.allow, remember: payload.remember }) };
+  }));
+
+  ipcMain.handle('contexts:listFilterLists', withGuard(async () => ({ ok: true, lists: contextApi.listFilterLists() })));
+  ipcMain.handle('contexts:reloadFilterLists', withGuard(async () => ({ ok: true, lists: contextApi.reloadFilterLists() })));
+
+  ipcMain.handle('contexts:setRequestFilter', withGuard(async (payload) => {
+    validateSetRequestFilterPayload(payload);
+    const patch = {};
+    if (payload.enabled !== undefined) patch.enabled = payload.enabled;
+    if (payload.lists !== undefined) patch.lists = payload.lists;
+    const requestFilter = contextApi.setRequestFilter(payload.id, patch);
+    return requestFilter ? { ok: true, requestFilter } : { ok: false, error: 'context not found' };
+  }));
+
+  ipcMain.handle('contexts:setNavigationPolicy', withGuard(async (payload) => {
+    validateSetNavigationPolicyPayload(payload);
+    const navigationPolicy = contextApi.setNavigationPolicy(payload.id, { allow: payload.allow, block: payload.block });
+    return navigationPolicy ? { ok: true, navigationPolicy } : { ok: false, error: 'context not found' };
+  }));
+
+  ipcMain.handle('contexts:getRequestFilterStats', withGuard(async (payload) => {
+    validateContextActionPayload(payload);
+    return { ok: true, stats: contextApi.getRequestFilterStats(payload.id) };
+  }));
+
+  ipcMain.handle('contexts:testProxy', withGuard(async (payload) => {
+    validateTestProxyPayload(payload);
+    const result = await contextApi.testContextProxy(payload.id, payload.url);
+    return { ok: result.ok, result };
+  }));
+
+  ipcMain.handle('contexts:startNetworkLog', withGuard(async (payload) => {
+    validateStartNetworkLogPayload(payload);
+    const { id, maxEntries, captureBodies } = payload;
+    return { ok: true, status: contextApi.startNetworkRecording(id, { maxEntries, captureBodies }) };
+  }));
+
+  ipcMain.handle('contexts:stopNetworkLog', withGuard(async (payload) => {
+    validateContextActionPayload(payload);
+    return { ok: true, status: contextApi.stopNetworkRecording(payload.id) };
+  }));
+
+  ipcMain.handle('contexts:getNetworkLogStatus', withGuard(async (payload) => {
+    validateContextActionPayload(payload);
+    const status = contextApi.getNetworkRecordingStatus(payload.id);
+    return status ? { ok: true, status } : { ok: false, error: 'context not found' };
+  }));
+
+  ipcMain.handle('contexts:clearNetworkLog', withGuard(async (payload) => {
+    validateContextActionPayload(payload);
+    const status = contextApi.clearNetworkLog(payload.id);
+    return status ? { ok: true, status } : { ok: false, error: 'context not found' };
+  }));
+
+  ipcMain.handle('contexts:exportHar', withGuard(async (payload) => {
+    validateExportHarPayload(payload);
+    return { ok: true, result: await contextApi.exportNetworkHar(payload) };
+  }));
+
+  ipcMain.handle('contexts:capture', withGuard(async (payload = {}) => {
+    validateCapturePayload(payload);
+    const { scheduleId, contentAssetId } = payload;
+    // 先校验关联目标，避免截图落盘后才发现任务或素材不存在
+    matrixService.ensureCaptureTargets({ scheduleId, contentAssetId });
+    const capture = await contextApi.captureContext({ id: payload.id, fullPage: payload.fullPage });
+    return { ok: true, capture: matrixService.saveCapture({ ...capture, scheduleId, contentAssetId }) };
+  }));
+
+  ipcMain.handle('contexts:exportStorage', withGuard(async (payload) => {
+    validateExportStoragePayload(payload);
+    return { ok: true, bundle: await contextApi.exportContextStorage(payload) };
+  }));
+
+  ipcMain.handle('contexts:importStorage', withGuard(async (payload) => {
+    validateImportStoragePayload(payload);
+    return { ok: true, result: await contextApi.importContextStorage(payload) };
+  }));
+
+  ipcMain.handle('contexts:listDownloads', withGuard(async (payload = {}) => {
+    validateListDownloadsPayload(payload);
+    return { ok: true, downloads: contextApi.listDownloads({ contextId: payload.contextId }) };
+  }));
+
+  ipcMain.handle('contexts:pauseDownload', withGuard(async (payload) => {
+    validateDownloadActionPayload(payload);
+    return { ok: contextApi.pauseDownload(payload.id) };
+  }));
+
+  ipcMain.handle('contexts:resumeDownload', withGuard(async (payload) => {
+    validateDownloadActionPayload(payload);
+    return { ok: contextApi.resumeDownload(payload.id) };
+  }));
+
+  ipcMain.handle('contexts:cancelDownload', withGuard(async (payload) => {
+    validateDownloadActionPayload(payload);
+    return { ok: contextApi.cancelDownload(payload.id) };
+  }));
+
+  ipcMain.handle('contexts:importDownload', withGuard(async (payload) => {
+    validateDownloadActionPayload(payload);
+    const download = contextApi.getDownload(payload.id);
+    if (!download) return { ok: false, error: 'download not found' };
+    if (download.state !== 'completed') return { ok: false, error: 'download not completed' };
+    return { ok: true, asset: matrixService.saveDownloadedAsset(download) };
+  }));
+
   ipcMain.handle('contexts:list', withGuard(async () => ({
     ok: true,
     contexts: contextApi.listContexts(),
     activeContextId: contextApi.getActiveContextId(),
   })));
 
+  ipcMain.handle('contexts:rename', withGuard(async (payload) => {
+    validateContextLabelPayload(payload, 'name');
+    const labels = contextApi.renameContext(payload.id, payload.name);
+    return labels ? { ok: true, labels } : { ok: false, error: 'context not found' };
+  }));
+
+  ipcMain.handle('contexts:setColor', withGuard(async (payload) => {
+    validateContextLabelPayload(payload, 'color');
+    const labels = contextApi.setContextColor(payload.id, payload.color);
+    return labels ? { ok: true, labels } : { ok: false, error: 'context not found' };
+  }));
+
+  ipcMain.handle('contexts:setGroup', withGuard(async (payload) => {
+    validateContextLabelPayload(payload, 'group');
+    const labels = contextApi.setContextGroup(payload.id, payload.group);
+    return labels ? { ok: true, labels } : { ok: false, error: 'context not found' };
+  }));
+
+  ipcMain.handle('contexts:listGroups', withGuard(async () => ({ ok: true, groups: contextApi.listContextGroups() })));
+
+  ipcMain.handle('contexts:listExtensions', withGuard(async (payload) => {
+    validateContextActionPayload(payload);
+    const extensions = contextApi.listContextExtensions(payload.id);
+    return extensions ? { ok: true, extensions } : { ok: false, error: 'context not found' };
+  }));
+
+  ipcMain.handle('contexts:enableExtension', withGuard(async (payload) => {
+    validateExtensionTogglePayload(payload);
+    const extensions = await contextApi.enableContextExtension(payload.id, payload.path);
+    return extensions ? { ok: true, extensions } : { ok: false, error: 'context not found' };
+  }));
+
+  ipcMain.handle('contexts:disableExtension', withGuard(async (payload) => {
+    validateExtensionTogglePayload(payload);
+    const extensions = await contextApi.disableContextExtension(payload.id, payload.path);
+    return extensions ? { ok: true, extensions } : { ok: false, error: 'context not found' };
+  }));
+
+  ipcMain.handle('contexts:getGroupExtensions', withGuard(async (payload) => {
+    validateContextGroupPayload(payload);
+    return { ok: true, paths: contextApi.getGroupExtensions(payload.group) };
+  }));
+
+  ipcMain.handle('contexts:setGroupExtensions', withGuard(async (payload) => {
+    validateGroupExtensionsPayload(payload);
+    return { ok: true, paths: await contextApi.setGroupExtensions(payload.group, payload.paths) };
+  }));
+
+  ipcMain.handle('contexts:openGroup', withGuard(async (payload) => {
+    validateContextGroupPayload(payload);
+    const result = contextApi.openContextGroup(payload.group);
+    return { ok: result.opened.length > 0, ...result };
+  }));
+
+  ipcMain.handle('contexts:closeGroup', withGuard(async (payload) => {
+    validateContextGroupPayload(payload);
+    const result = contextApi.closeContextGroup(payload.group);
+    return { ok: result.closed.length > 0, ...result };
+  }));
+
+  ipcMain.handle('contexts:getLayout', withGuard(async () => ({ ok: true, layout: contextApi.getViewLayout() })));
+
+  ipcMain.handle('contexts:setLayout', withGuard(async (payload) => {
+    validateSetLayoutPayload(payload);
+    return { ok: true, layout: contextApi.setViewLayout({ mode: payload.mode, panes: payload.panes, ratios: payload.ratios }) };
+  }));
+
+  ipcMain.handle('contexts:assignPane', withGuard(async (payload) => {
+    validateAssignPanePayload(payload);
+    return { ok: true, layout: contextApi.assignPane(payload.paneIndex, payload.id) };
+  }));
+
+  ipcMain.handle('contexts:resizeSplit', withGuard(async (payload) => {
+    validateResizeSplitPayload(payload);
+    return { ok: true, layout: contextApi.resizeSplit(payload.ratios) };
+  }));
+
+  ipcMain.handle('contexts:setViewInsets', withGuard(async (payload) => {
+    validateSetViewInsetsPayload(payload);
+    return { ok: true, layout: contextApi.setViewInsets(payload.insets) };
+  }));
+
+  ipcMain.handle('contexts:listFingerprintPresets', withGuard(async () => ({ ok: true, presets: contextApi.listFingerprintPresets() })));
+  ipcMain.handle('contexts:listDevicePresets', withGuard(async () => ({ ok: true, presets: contextApi.listDevicePresets() })));
+
+  ipcMain.handle('contexts:setDevice', withGuard(async (payload) => {
+    validateSetDevicePayload(payload);
+    const result = contextApi.setContextDevice(payload.id, payload.device ?? null);
+    return result ? { ok: true, device: result.device } : { ok: false, error: 'context not found' };
+  }));
+
+  ipcMain.handle('contexts:setRegion', withGuard(async (payload) => {
+    validateSetRegionPayload(payload);
+    const result = contextApi.setContextRegion(payload.id, payload.region ?? null);
+    return result ? { ok: true, region: result.region } : { ok: false, error: 'context not found' };
+  }));
+
   ipcMain.handle('matrix:getPlatforms', withGuard(async () => ({ ok: true, platforms: matrixService.getPlatforms() })));
-  ipcMain.handle('matrix:listAccounts', withGuard(async () => ({ ok: true, accounts: matrixService.listAccounts() })));
+  ipcMain.handle('matrix:listAccounts', withGuard(async () => ({
+    ok: true,
+    accounts: matrixService.listAccounts().map((account) => {
+      const contextId = contextApi.getAccountContextId(account.id);
+      return { ...account, contextId, hasContext: Boolean(contextId) };
+    }),
+  })));
+
+  ipcMain.handle('matrix:openAccountContext', withGuard(async (payload) => {
+    validateAccountContextPayload(payload);
+    const target = matrixService.getAccountContextTarget(payload);
+    if (!target) return { ok: false, error: 'account not found' };
+    return { ok: true, context: contextApi.openAccountContext(target) };
+  }));
+
+  ipcMain.handle('matrix:listRpaScripts', withGuard(async () => ({ ok: true, ...matrixService.listRpaScripts() })));
+  ipcMain.handle('matrix:reloadRpaScripts', withGuard(async () => ({ ok: true, ...matrixService.reloadRpaScripts() })));
+
+  ipcMain.handle('matrix:checkSessions', withGuard(async () => ({ ok: true, results: await contextApi.checkAccountSessions() })));
 
   ipcMain.handle('matrix:addAccount', withGuard(async (payload) => {
     validateAddAccountPayload(payload);
@@ -89,6 +431,16 @@ export function registerIpcHandlers({ ipcMain, contextApi, matrixService }) {
     return { ok: true, asset: matrixService.deleteContentAsset(payload) };
   }));
 
+  ipcMain.handle('matrix:listCaptures', withGuard(async (payload = {}) => {
+    validateListCapturesPayload(payload);
+    return { ok: true, captures: matrixService.listCaptures(payload) };
+  }));
+
+  ipcMain.handle('matrix:linkCapture', withGuard(async (payload) => {
+    validateLinkCapturePayload(payload);
+    return { ok: true, capture: matrixService.linkCapture(payload) };
+  }));
+
   ipcMain.handle('matrix:schedulePublish', withGuard(async (payload) => {
     validateSchedulePayload(payload);
     const task = matrixService.schedulePublish(payload);
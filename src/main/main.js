@@ -1,52 +1,230 @@
-import { app, BrowserWindow, BrowserView, ipcMain, session } from 'electron';
+import { app, BrowserWindow, WebContentsView, dialog, ipcMain, nativeImage, safeStorage, session } from 'electron';
 import { randomUUID } from 'node:crypto';
+import fs from 'node:fs';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 import { MatrixService } from './services/matrix-service.js';
+import { TabSessionStore } from './services/tab-session-store.js';
+import { DownloadManager } from './services/download-manager.js';
+import { ViewLayoutManager } from './services/view-layout-manager.js';
+import { PermissionManager } from './services/permission-manager.js';
+import { RequestFilterManager } from './services/request-filter-manager.js';
+import { ExtensionManager } from './services/extension-manager.js';
+import { captureFullPage } from './services/page-capture.js';
+import { SessionHealthChecker } from './services/session-health-checker.js';
+import { CdpDriver, runRpaSteps } from './services/rpa-runner.js';
+import { NetworkRecorder, readNetworkRecorderOptions } from './services/network-recorder.js';
+import { sendEmulationCommands } from './services/cdp-emulation.js';
+import {
+  findOrphanedPartitions,
+  getPartitionDir,
+  isPersistentPartition,
+  removePartitionDir,
+  wipeSessionData,
+} from './services/partition-storage.js';
+import {
+  buildLocalStorageWriteScript,
+  exportSessionStorage,
+  importSessionStorage,
+  parseBundle,
+} from './services/storage-transfer.js';
 import { registerIpcHandlers } from './ipc/register-handlers.js';
+import { FINGERPRINT_PRESETS, encodeFingerprintArgument, resolveFingerprintProfile } from './utils/fingerprint-profiles.js';
+import { DEVICE_PRESETS, applyDeviceToFingerprint, fitDeviceBounds, normalizeDeviceProfile } from './utils/device-emulation.js';
+import { applyRegionToFingerprint, buildRegionEmulationCommands, normalizeRegionSettings } from './utils/region-emulation.js';
+import {
+  DEFAULT_PROXY_TEST_URL,
+  buildSessionProxyConfig,
+  describeProxy,
+  normalizeProxyConfig,
+  resolveProxyCredentials,
+  testProxyConnection,
+} from './utils/proxy-config.js';
+import { normalizePopupPolicy, resolvePopupAction, watchSelfClose } from './utils/popup-policy.js';
+import { readHibernationOptions, selectContextsToHibernate } from './utils/hibernation-policy.js';
+import { MAX_SPLIT_PANES, normalizeSplitRatios, normalizeViewLayout } from './utils/view-layout.js';
+import { normalizeContextLabels, summarizeContextGroups } from './utils/context-labels.js';
+import {
+  clearPermissionDecisions,
+  normalizePermissionSettings,
+  rememberPermissionDecision,
+} from './utils/permission-policy.js';
+import { normalizeRequestFilterSettings } from './utils/request-filter.js';
+import { checkNavigation, normalizeNavigationPolicy } from './utils/navigation-policy.js';
+import { buildHar } from './utils/har.js';
+import { readSessionHealthOptions } from './utils/session-health.js';
+import { isCrashReason, planCrashRecovery, readCrashRecoveryOptions } from './utils/crash-recovery.js';
+import {
+  normalizeExtensionSettings,
+  normalizeGroupExtensions,
+  resolveContextExtensions,
+  toggleContextExtension,
+} from './utils/extension-config.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const contexts = new Map();
+// 本进程打开过的 partition，其 session 在退出前一直持有磁盘目录，不能在运行期间删除
+const openedPartitions = new Set();
 let mainWindow;
 let activeContextId = null;
 let schedulerId = null;
+let hibernationTimerId = null;
+let sessionCheckTimerId = null;
+let viewLayout = normalizeViewLayout(null);
 
-const chromeHeight = 120;
-const sidebarWidth = 0;
+const MAIN_WINDOW_KEY = 'main';
+const layoutManager = new ViewLayoutManager({
+  onLayout: () => emitContextEvent('layout-updated', activeContextId, { layout: describeViewLayout() }),
+  fitView: fitContextView,
+});
+const hibernationOptions = readHibernationOptions();
+const crashRecoveryOptions = readCrashRecoveryOptions();
 // const matrixService = new MatrixService({ baseDir: app.getPath('userData') });
 const matrixService = new MatrixService({ baseDir: path.join(process.cwd(), 'data') });
+const tabSessionStore = new TabSessionStore({
+  baseDir: path.join(process.cwd(), 'data'),
+  // 代理密码经系统钥匙串加密后保存；Linux 下 app ready 前或没有可用的密钥服务时无法加密，此时不保存密码
+  secretCodec: {
+    encrypt: (text) => (safeStorage.isEncryptionAvailable() ? safeStorage.encryptString(text).toString('base64') : null),
+    decrypt: (value) => safeStorage.decryptString(Buffer.from(value, 'base64')),
+  },
+});
+const downloadManager = new DownloadManager({
+  baseDir: path.join(process.cwd(), 'data'),
+  resolveContextId: (webContents) => findContextByWebContents(webContents)?.id,
+  onUpdate: (download) => emitContextEvent('download-updated', download.contextId, { download }),
+});
+const permissionManager = new PermissionManager({
+  resolveContext: findContextByWebContents,
+  onPrompt: (request) => emitContextEvent('permission-request', request.contextId, { request }),
+  onResolved: (request) => emitContextEvent('permission-resolved', request.contextId, { request }),
+  onRemember: (id, decision) => updatePermissionSettings(id, (settings) => rememberPermissionDecision(settings, decision)),
+});
+const requestFilterManager = new RequestFilterManager({
+  listsDir: process.env.FILTER_LISTS_DIR || path.join(process.cwd(), 'data', 'filter-lists'),
+  resolveContext: findContextByWebContents,
+});
+const extensionManager = new ExtensionManager();
+const networkRecorder = new NetworkRecorder(readNetworkRecorderOptions());
+const sessionHealthOptions = readSessionHealthOptions();
+const sessionHealthChecker = new SessionHealthChecker({
+  matrixService,
+  getCookies: (partition) => getPartitionSession(partition).cookies.get({}),
+  // session.fromPartition 会创建 partition 目录，只巡检已打开过的账号
+  hasPartition: (partition) => {
+    const dir = getPartitionDir(app.getPath('userData'), partition);
+    return Boolean(dir && fs.existsSync(dir));
+  },
+  cookieNames: sessionHealthOptions.cookieNames,
+  expiryMarginMs: sessionHealthOptions.expiryMarginMs,
+});
+
+function runSessionCheck() {
+  sessionHealthChecker.checkAll().catch((error) => {
+    console.error('session health check error:', error);
+  });
+}
+
+function getPartitionSession(partition, options) {
+  openedPartitions.add(partition);
+  return session.fromPartition(partition, options);
+}
 
 function normalizeUrl(inputUrl) {
   if (!inputUrl) return 'https://baidu.com';
   const value = inputUrl.trim();
   if (!value) return 'https://baidu.com';
-  if (value.startsWith('http://') || value.startsWith('https://')) return value;
+  if (value.startsWith('http://') || value.startsWith('https://') || value === 'about:blank') return value;
   return `https://${value}`;
 }
 
-function getViewBounds() {
-  if (!mainWindow) return { x: 0, y: chromeHeight, width: 1000, height: 600 };
-  const [width, height] = mainWindow.getContentSize();
-  return {
-    x: sidebarWidth,
-    y: chromeHeight,
-    width: Math.max(320, width - sidebarWidth),
-    height: Math.max(200, height - chromeHeight),
-  };
+function getLiveWebContents(ctx) {
+  const webContents = ctx?.view?.webContents;
+  return webContents && !webContents.isDestroyed() ? webContents : null;
+}
+
+function findContextByWebContents(webContents) {
+  if (!webContents) return null;
+  return [...contexts.values()].find((ctx) => getLiveWebContents(ctx) === webContents) || null;
 }
 
-function serializeContext({ id, partition, view }) {
+function serializeContext(ctx) {
+  const {
+    id, partition, ephemeral, accountId, openerId, name, color, group, fingerprint, device, region, proxy, popupPolicy, requestFilter, navigationPolicy, favicon, lastUrl, title,
+  } = ctx;
+  const webContents = getLiveWebContents(ctx);
   return {
     id,
     partition,
-    currentUrl: view.webContents.getURL(),
-    title: view.webContents.getTitle() || '新标签页',
-    isLoading: view.webContents.isLoading(),
+    ephemeral,
+    accountId,
+    openerId,
+    name,
+    color,
+    group,
+    fingerprint,
+    device,
+    region,
+    popupPolicy,
+    requestFilter,
+    navigationPolicy,
+    proxy: describeProxy(proxy),
+    currentUrl: webContents ? webContents.getURL() : lastUrl,
+    title: (webContents ? webContents.getTitle() : title) || '新标签页',
+    favicon: favicon || null,
+    hibernated: !webContents,
+    crashed: Boolean(ctx.crashed),
+    crash: ctx.crashed || null,
+    isLoading: webContents ? webContents.isLoading() : false,
+    canGoBack: webContents ? webContents.canGoBack() : false,
+    canGoForward: webContents ? webContents.canGoForward() : false,
+  };
+}
+
+function describeContext(ctx) {
+  return {
+    id: ctx.id,
+    partition: ctx.partition,
+    ephemeral: ctx.ephemeral,
+    accountId: ctx.accountId,
+    openerId: ctx.openerId,
+    name: ctx.name,
+    color: ctx.color,
+    group: ctx.group,
+    fingerprint: ctx.fingerprint,
+    device: ctx.device,
+    region: ctx.region,
+    popupPolicy: ctx.popupPolicy,
+    navigationPolicy: ctx.navigationPolicy,
+    proxy: describeProxy(ctx.proxy),
+    url: ctx.lastUrl,
   };
 }
 
+function describeViewLayout() {
+  return { ...viewLayout, activeId: activeContextId, ...layoutManager.getLayoutInfo() };
+}
+
+function emitContextEvent(type, id, data = {}) {
+  if (!mainWindow || mainWindow.isDestroyed()) return;
+  mainWindow.webContents.send('contexts:event', { type, id, ...data });
+}
+
+/**
+ * 按标签的导航域名策略检查目标地址，被拦截时通知渲染进程
+ * @param {string} source - 触发导航的途径，如 navigate / redirect / popup
+ * @returns {boolean} 是否允许访问
+ */
+function guardContextNavigation(id, url, source) {
+  const ctx = contexts.get(id);
+  const result = checkNavigation(ctx?.navigationPolicy, url);
+  if (result.allowed) return true;
+  emitContextEvent('navigation-blocked', id, { url, source, reason: result.reason, hostname: result.hostname || null });
+  return false;
+}
+
 function createMainWindow() {
   mainWindow = new BrowserWindow({
     width: 1366,
@@ -65,27 +243,187 @@ function createMainWindow() {
     mainWindow.loadURL('http://127.0.0.1:5173');
   }
 
-  mainWindow.on('resize', () => {
-    if (!activeContextId || !contexts.has(activeContextId)) return;
-    contexts.get(activeContextId).view.setBounds(getViewBounds());
-  });
+  layoutManager.attachWindow(mainWindow);
 
   mainWindow.on('closed', () => {
-    contexts.forEach(({ view }) => {
-      if (!view.webContents.isDestroyed()) view.webContents.destroy();
-    });
+    layoutManager.detachWindow();
+    contexts.forEach((ctx) => persistContextState(ctx.id));
+    const closing = [...contexts.values()];
     contexts.clear();
+    closing.forEach((ctx) => getLiveWebContents(ctx)?.close());
+    activeContextId = null;
   });
 }
 
-function createIsolatedContext(url = 'https://example.com') {
-  const id = randomUUID();
-  const partition = `persist:ctx-${id}`;
+function bindContextEvents(id, webContents) {
+  const navigationState = () => ({
+    url: webContents.getURL(),
+    canGoBack: webContents.canGoBack(),
+    canGoForward: webContents.canGoForward(),
+  });
+  const onNavigate = () => {
+    persistContextState(id);
+    emitContextEvent('did-navigate', id, navigationState());
+  };
 
-  session.fromPartition(partition, { cache: true });
-  const view = new BrowserView({
+  webContents.on('did-navigate', onNavigate);
+  webContents.on('did-navigate-in-page', onNavigate);
+  webContents.on('page-title-updated', (_, title) => {
+    persistContextState(id);
+    emitContextEvent('page-title-updated', id, { title });
+  });
+  webContents.on('page-favicon-updated', (_, favicons) => {
+    const favicon = favicons[0] || null;
+    if (contexts.has(id)) contexts.get(id).favicon = favicon;
+    emitContextEvent('page-favicon-updated', id, { favicon });
+  });
+  webContents.on('did-start-loading', () => emitContextEvent('loading-state', id, { isLoading: true }));
+  webContents.on('did-stop-loading', () => emitContextEvent('loading-state', id, { isLoading: false, ...navigationState() }));
+}
+
+function setContextCrashState(ctx, crash) {
+  ctx.crashed = crash;
+  emitContextEvent('crash-state', ctx.id, { crashed: Boolean(crash), crash });
+}
+
+function clearRecoveryTimer(ctx) {
+  if (!ctx?.recoveryTimerId) return;
+  clearTimeout(ctx.recoveryTimerId);
+  ctx.recoveryTimerId = null;
+}
+
+// 渲染进程崩溃或无响应：记录原因并按退避间隔自动重新加载，超过重试次数后保持崩溃状态等待手动刷新
+function handleContextFailure(id, webContents, { kind, reason, exitCode = null }) {
+  const ctx = contexts.get(id);
+  if (!ctx || getLiveWebContents(ctx) !== webContents) return;
+
+  const plan = planCrashRecovery(ctx.recovery, { now: Date.now(), ...crashRecoveryOptions });
+  ctx.recovery = plan.state;
+  tabSessionStore.logContextCrash({
+    contextId: id,
+    kind,
+    reason,
+    exitCode,
+    url: ctx.lastUrl,
+    action: plan.reload ? `reload in ${plan.delayMs}ms` : 'none',
+  });
+  setContextCrashState(ctx, { kind, reason, exitCode, at: new Date().toISOString(), attempts: plan.state.attempts, autoReload: plan.reload });
+
+  clearRecoveryTimer(ctx);
+  if (plan.reload) ctx.recoveryTimerId = setTimeout(() => recoverContext(id, webContents), plan.delayMs);
+}
+
+function recoverContext(id, webContents) {
+  const ctx = contexts.get(id);
+  if (!ctx) return;
+  ctx.recoveryTimerId = null;
+  if (!ctx.crashed || getLiveWebContents(ctx) !== webContents) return;
+
+  // 仍无响应时先结束渲染进程，由此产生的 render-process-gone 不再计为崩溃
+  if (ctx.crashed.kind === 'unresponsive') {
+    ctx.expectingExit = true;
+    webContents.forcefullyCrashRenderer();
+  }
+  webContents.loadURL(ctx.lastUrl);
+}
+
+function bindCrashRecovery(id, webContents) {
+  webContents.on('render-process-gone', (_, details) => {
+    const ctx = contexts.get(id);
+    if (ctx?.expectingExit) {
+      ctx.expectingExit = false;
+      return;
+    }
+    if (isCrashReason(details.reason)) {
+      handleContextFailure(id, webContents, { kind: 'crashed', reason: details.reason, exitCode: details.exitCode });
+    }
+  });
+  webContents.on('unresponsive', () => handleContextFailure(id, webContents, { kind: 'unresponsive', reason: 'unresponsive' }));
+  webContents.on('responsive', () => {
+    const ctx = contexts.get(id);
+    if (ctx?.crashed?.kind !== 'unresponsive') return;
+    clearRecoveryTimer(ctx);
+    setContextCrashState(ctx, null);
+  });
+  webContents.on('did-finish-load', () => {
+    const ctx = contexts.get(id);
+    if (ctx?.crashed) setContextCrashState(ctx, null);
+  });
+}
+
+function persistContextState(id) {
+  const ctx = contexts.get(id);
+  const webContents = getLiveWebContents(ctx);
+  if (!webContents) return;
+  // 页面尚未提交导航时 URL 为空，保留原地址以便休眠后唤醒
+  ctx.lastUrl = webContents.getURL() || ctx.lastUrl;
+  ctx.title = webContents.getTitle();
+  tabSessionStore.updateSessionState(id, { lastUrl: ctx.lastUrl, title: ctx.title });
+}
+
+/**
+ * 创建标签页记录；hibernated 为 true 时只登记记录，首次激活时再创建页面。
+ * 无痕标签使用不带 persist: 前缀的内存 partition，且不写入会话存储，重启后不恢复
+ */
+function createIsolatedContext(url = 'https://example.com', {
+  id = randomUUID(),
+  ephemeral = false,
+  partition = ephemeral ? `ctx-${id}` : `persist:ctx-${id}`,
+  title = '',
+  hibernated = false,
+  ...settings
+} = {}) {
+  if (ephemeral && isPersistentPartition(partition)) throw new Error('ephemeral contexts cannot use a persistent partition');
+
+  const ctx = {
+    id,
+    partition,
+    ephemeral,
+    accountId: settings.accountId || null,
+    openerId: settings.openerId || null,
+    ...normalizeContextLabels(settings),
+    fingerprint: resolveFingerprintProfile(settings.fingerprint, partition),
+    device: normalizeDeviceProfile(settings.device),
+    region: normalizeRegionSettings(settings.region),
+    proxy: normalizeProxyConfig(settings.proxy),
+    popupPolicy: normalizePopupPolicy(settings.popupPolicy || process.env.POPUP_POLICY),
+    permissions: normalizePermissionSettings(settings.permissions),
+    requestFilter: normalizeRequestFilterSettings(settings.requestFilter),
+    navigationPolicy: normalizeNavigationPolicy(settings.navigationPolicy),
+    extensions: normalizeExtensionSettings(settings.extensions),
+    lastUrl: normalizeUrl(url),
+    title,
+    view: null,
+    lastActiveAt: Date.now(),
+  };
+
+  contexts.set(id, ctx);
+  if (!ephemeral) {
+    tabSessionStore.saveSession(ctx);
+    cancelPartitionWipe(partition);
+  }
+  if (!hibernated) createContextView(ctx);
+  return describeContext(ctx);
+}
+
+/**
+ * 创建标签页视图；传入 webContents 时接管 window.open 已创建的页面（保留 window.opener），由来源页面驱动导航
+ * @param {{webContents?: Object}} [options]
+ */
+function createContextView(ctx, { webContents: adopted } = {}) {
+  const { id, partition } = ctx;
+  const ses = getPartitionSession(partition, { cache: true });
+  ses.setUserAgent(ctx.fingerprint.userAgent, ctx.fingerprint.languages.join(','));
+  downloadManager.attachSession(ses);
+  permissionManager.attachSession(ses);
+  requestFilterManager.attachSession(ses);
+  const fingerprint = resolveContextFingerprint(ctx);
+  // 接管的页面沿用来源页面的 webPreferences（同一 partition 与指纹注入脚本）
+  const view = adopted ? new WebContentsView({ webContents: adopted }) : new WebContentsView({
     webPreferences: {
       partition,
+      preload: path.join(__dirname, 'context-preload.js'),
+      additionalArguments: [encodeFingerprintArgument(fingerprint)],
       contextIsolation: true,
       nodeIntegration: false,
       sandbox: true,
@@ -94,59 +432,914 @@ function createIsolatedContext(url = 'https://example.com') {
     },
   });
 
-  view.setAutoResize({ width: true, height: true });
-  view.setBounds(getViewBounds());
-  view.webContents.setWindowOpenHandler(() => ({ action: 'deny' }));
-  view.webContents.loadURL(normalizeUrl(url));
+  view.setBounds(layoutManager.getViewportBounds());
+  view.webContents.setUserAgent(fingerprint.userAgent);
+  view.webContents.setWindowOpenHandler((details) => handleWindowOpen(id, details));
+  bindContextEvents(id, view.webContents);
+  bindCrashRecovery(id, view.webContents);
+  watchSelfClose(view.webContents, {
+    isAttached: () => contexts.get(id)?.view === view,
+    onClosed: () => {
+      closeContext(id);
+      emitContextEvent('context-closed', id);
+    },
+  });
+  resumeNetworkRecording(id, view.webContents);
+  applyDeviceEmulation(ctx, view.webContents);
+  // 调试器被其他功能断开后 CDP 覆盖失效，每次导航后重新下发
+  view.webContents.on('did-navigate', () => {
+    const current = contexts.get(id);
+    if (!current) return;
+    applyDeviceEmulation(current, view.webContents);
+    applyRegionEmulation(current, view.webContents);
+  });
+  // 崩溃后调试器随渲染进程断开，重新加载时恢复记录
+  view.webContents.on('did-start-loading', () => resumeNetworkRecording(id, view.webContents));
+  view.webContents.on('did-finish-load', () => flushPendingLocalStorage(id, { reload: true }));
+  view.webContents.on('will-navigate', (event, url) => {
+    if (!guardContextNavigation(id, url, 'navigate')) event.preventDefault();
+  });
+  view.webContents.on('will-redirect', (event, url, _isInPlace, isMainFrame) => {
+    if (isMainFrame && !guardContextNavigation(id, url, 'redirect')) event.preventDefault();
+  });
+  // 前进、后退、刷新不触发 will-navigate，页面脚本调用 history.back() 时只能在导航开始后停止
+  view.webContents.on('did-start-navigation', (details) => {
+    if (!details.isMainFrame || details.isSameDocument) return;
+    if (!guardContextNavigation(id, details.url, 'history')) view.webContents.stop();
+  });
+  view.webContents.on('login', (event, _details, authInfo, callback) => {
+    const credentials = resolveProxyCredentials(contexts.get(id)?.proxy, authInfo);
+    if (!credentials) return;
+    event.preventDefault();
+    callback(credentials.username, credentials.password);
+  });
+
+  // 扩展与时区等地区覆盖需在页面加载前就绪，才能作用于首个页面
+  Promise.all([
+    applyRegionEmulation(ctx, view.webContents),
+    ses.setProxy(buildSessionProxyConfig(ctx.proxy))
+      .catch((error) => console.error(`context ${id} setProxy error:`, error)),
+    syncPartitionExtensions(partition)
+      .catch((error) => console.error(`context ${id} extension load error:`, error)),
+  ]).then(() => {
+    if (adopted || view.webContents.isDestroyed() || !guardContextNavigation(id, ctx.lastUrl, 'load')) return;
+    view.webContents.loadURL(ctx.lastUrl);
+  });
+
+  ctx.view = view;
+  return view;
+}
+
+// 休眠只销毁渲染进程，partition 中的 Cookie 与存储保留，唤醒时重新加载最后访问的地址
+function hibernateContext(id) {
+  const ctx = contexts.get(id);
+  if (!ctx || getVisibleContextIds().includes(id) || !getLiveWebContents(ctx)) return false;
+
+  persistContextState(id);
+  permissionManager.cancelContext(id);
+  clearRecoveryTimer(ctx);
+  networkRecorder.unbind(id);
+  ctx.crashed = null;
+  const { webContents } = ctx.view;
+  ctx.view = null;
+  webContents.close();
+  emitContextEvent('hibernation-state', id, { hibernated: true });
+  return true;
+}
+
+function enforceHibernationPolicy() {
+  const tabs = [...contexts.values()].map((ctx) => {
+    const webContents = getLiveWebContents(ctx);
+    return {
+      id: ctx.id,
+      hibernated: !webContents,
+      lastActiveAt: ctx.lastActiveAt,
+      isAudible: webContents ? webContents.isCurrentlyAudible() : false,
+    };
+  });
+  selectContextsToHibernate(tabs, {
+    now: Date.now(),
+    activeId: activeContextId,
+    keepIds: [...getVisibleContextIds(), ...[...contexts.values()].filter((ctx) => ctx.automationRunning).map((ctx) => ctx.id)],
+    ...hibernationOptions,
+  })
+    .forEach(hibernateContext);
+}
+
+// 新标签沿用来源标签的分组、指纹、代理及各项策略，不含名称与账号绑定
+function inheritContextSettings(source) {
+  return {
+    color: source.color,
+    group: source.group,
+    fingerprint: source.fingerprint,
+    device: source.device,
+    region: source.region,
+    proxy: source.proxy,
+    popupPolicy: source.popupPolicy,
+    permissions: source.permissions,
+    requestFilter: source.requestFilter,
+    navigationPolicy: source.navigationPolicy,
+    extensions: source.extensions,
+  };
+}
+
+/**
+ * 以新标签承载弹窗页面。guest 为 Electron 创建的弹窗 webContents，页面以 noopener 打开时为空，此时由新标签自行加载
+ * @returns {Object} 新标签的 webContents
+ */
+function openPopupContext(source, action, guest) {
+  const child = createIsolatedContext(action.url, {
+    partition: source.partition,
+    ephemeral: source.ephemeral,
+    accountId: source.accountId,
+    openerId: source.id,
+    hibernated: Boolean(guest),
+    ...inheritContextSettings(source),
+  });
+  const ctx = contexts.get(child.id);
+  if (guest) createContextView(ctx, { webContents: guest });
+  if (action.activate) attachContext(child.id);
+  return ctx.view.webContents;
+}
+
+// 弹窗以新标签方式打开时复用来源标签的 partition，登录态与 OAuth 回调 Cookie 保持一致；
+// 新标签保留 window.opener，OAuth 页面可通过 postMessage 回传结果。来源标签休眠或关闭时弹窗标签继续保留
+function handleWindowOpen(id, details) {
+  const source = contexts.get(id);
+  if (!source) return { action: 'deny' };
+
+  const action = resolvePopupAction(source.popupPolicy, details);
+  if (action.url && !guardContextNavigation(id, action.url, 'popup')) return { action: 'deny' };
+  if (action.type === 'same-tab') {
+    getLiveWebContents(source)?.loadURL(action.url);
+  } else if (action.type === 'new-tab') {
+    return {
+      action: 'allow',
+      outlivesOpener: true,
+      createWindow: (options) => openPopupContext(source, action, options.webContents),
+    };
+  }
+  return { action: 'deny' };
+}
+
+function updatePermissionSettings(id, update) {
+  const ctx = contexts.get(id);
+  if (!ctx) return null;
+  ctx.permissions = update(ctx.permissions);
+  tabSessionStore.updateSessionSettings(id, { permissions: ctx.permissions });
+  return ctx.permissions;
+}
+
+function setPermissionPolicy(id, policy) {
+  return updatePermissionSettings(id, (settings) => normalizePermissionSettings({
+    ...settings,
+    policy: { ...settings.policy, ...policy },
+  }));
+}
+
+function setRequestFilter(id, patch) {
+  const ctx = contexts.get(id);
+  if (!ctx) return null;
+  ctx.requestFilter = normalizeRequestFilterSettings({ ...ctx.requestFilter, ...patch });
+  tabSessionStore.updateSessionSettings(id, { requestFilter: ctx.requestFilter });
+  return ctx.requestFilter;
+}
+
+// 页面脚本看到的指纹：设备模式替换 UA、平台与屏幕，地区配置替换时区与首选语言
+function resolveContextFingerprint(ctx) {
+  return applyRegionToFingerprint(applyDeviceToFingerprint(ctx.fingerprint, ctx.device), ctx.region);
+}
+
+function fitContextView(view, pane) {
+  const ctx = [...contexts.values()].find((item) => item.view === view);
+  if (!ctx?.device) return pane;
+  const { bounds, scale } = fitDeviceBounds(pane, ctx.device);
+  if (scale !== ctx.deviceScale) {
+    ctx.deviceScale = scale;
+    applyDeviceEmulation(ctx);
+  }
+  return bounds;
+}
+
+/**
+ * 按标签的设备配置模拟移动端视口、像素比与触摸；窗格小于设备尺寸时按 deviceScale 缩小显示
+ */
+function applyDeviceEmulation(ctx, webContents = getLiveWebContents(ctx)) {
+  if (!webContents || webContents.isDestroyed() || !ctx.device) return;
+  const { width, height, deviceScaleFactor, touch } = ctx.device;
+  webContents.enableDeviceEmulation({
+    screenPosition: 'mobile',
+    screenSize: { width, height },
+    viewPosition: { x: 0, y: 0 },
+    deviceScaleFactor,
+    viewSize: { width, height },
+    scale: ctx.deviceScale ?? 1,
+  });
+  sendEmulationCommands(webContents, [
+    ['Emulation.setTouchEmulationEnabled', touch ? { enabled: true, maxTouchPoints: 5 } : { enabled: false }],
+    ['Emulation.setEmitTouchEventsForMouse', { enabled: touch, configuration: 'mobile' }],
+  ]).catch((error) => console.error(`context ${ctx.id} touch emulation error:`, error));
+}
+
+/**
+ * 按标签的地区配置覆盖时区、语言与地理位置
+ * @returns {Promise<void>}
+ */
+function applyRegionEmulation(ctx, webContents = getLiveWebContents(ctx)) {
+  if (!webContents || webContents.isDestroyed() || !ctx.region) return Promise.resolve();
+  const commands = buildRegionEmulationCommands(ctx.region, { userAgent: resolveContextFingerprint(ctx).userAgent });
+  return sendEmulationCommands(webContents, commands)
+    .catch((error) => console.error(`context ${ctx.id} region emulation error:`, error));
+}
+
+/**
+ * 页面脚本看到的指纹在创建页面时注入，修改设备或地区配置后需重新创建已加载的页面；
+ * 后台标签直接休眠，切换到时再按新配置创建
+ */
+function rebuildContextView(id) {
+  const ctx = contexts.get(id);
+  const webContents = getLiveWebContents(ctx);
+  if (!webContents) return;
+  if (!getVisibleContextIds().includes(id)) {
+    hibernateContext(id);
+    return;
+  }
+
+  persistContextState(id);
+  permissionManager.cancelContext(id);
+  networkRecorder.unbind(id);
+  clearRecoveryTimer(ctx);
+  ctx.crashed = null;
+  ctx.view = null;
+  applyViewLayout();
+  webContents.close();
+}
+
+/**
+ * 切换标签的设备模式，已加载的页面会重新创建
+ */
+function setContextDevice(id, device) {
+  const ctx = contexts.get(id);
+  if (!ctx) return null;
+  ctx.device = normalizeDeviceProfile(device);
+  ctx.deviceScale = null;
+  tabSessionStore.updateSessionSettings(id, { device: ctx.device });
+  rebuildContextView(id);
+  return { device: ctx.device };
+}
+
+/**
+ * 修改标签的时区、语言与地理位置，已加载的页面会重新创建
+ */
+function setContextRegion(id, region) {
+  const ctx = contexts.get(id);
+  if (!ctx) return null;
+  ctx.region = normalizeRegionSettings(region);
+  tabSessionStore.updateSessionSettings(id, { region: ctx.region });
+  rebuildContextView(id);
+  return { region: ctx.region };
+}
+
+function setNavigationPolicy(id, policy) {
+  const ctx = contexts.get(id);
+  if (!ctx) return null;
+  ctx.navigationPolicy = normalizeNavigationPolicy(policy);
+  tabSessionStore.updateSessionSettings(id, { navigationPolicy: ctx.navigationPolicy });
+  // 已打开的页面按新策略复查，不再允许的页面换成空白页；休眠标签在唤醒加载前检查
+  const webContents = getLiveWebContents(ctx);
+  const currentUrl = webContents?.getURL();
+  if (currentUrl && !guardContextNavigation(id, currentUrl, 'policy')) webContents.loadURL('about:blank');
+  return ctx.navigationPolicy;
+}
+
+function resolveExtensionsFor(ctx) {
+  return resolveContextExtensions({
+    groupPaths: ctx.group ? tabSessionStore.getGroupExtensions(ctx.group) : [],
+    settings: ctx.extensions,
+  });
+}
+
+// 扩展按 session 加载，同一 partition 的标签共享已启用扩展的并集
+function syncPartitionExtensions(partition) {
+  const paths = new Set();
+  for (const ctx of contexts.values()) {
+    if (ctx.partition !== partition) continue;
+    resolveExtensionsFor(ctx).filter((entry) => entry.enabled).forEach((entry) => paths.add(entry.path));
+  }
+  return extensionManager.sync(getPartitionSession(partition), partition, [...paths]);
+}
+
+function listContextExtensions(id) {
+  const ctx = contexts.get(id);
+  if (!ctx) return null;
+  const loaded = extensionManager.describe(ctx.partition);
+  return resolveExtensionsFor(ctx).map((entry) => ({ ...entry, ...loaded[entry.path], loaded: Boolean(loaded[entry.path]?.id) }));
+}
+
+async function setContextExtensionEnabled(id, dir, enabled) {
+  const ctx = contexts.get(id);
+  if (!ctx) return null;
+  const groupPaths = ctx.group ? tabSessionStore.getGroupExtensions(ctx.group) : [];
+  ctx.extensions = toggleContextExtension(ctx.extensions, { path: dir, enabled, groupPaths });
+  tabSessionStore.updateSessionSettings(id, { extensions: ctx.extensions });
+  await syncPartitionExtensions(ctx.partition);
+  return listContextExtensions(id);
+}
+
+async function setGroupExtensions(group, paths) {
+  const saved = tabSessionStore.setGroupExtensions(group, normalizeGroupExtensions(paths));
+  const partitions = new Set([...contexts.values()].filter((ctx) => ctx.group === group).map((ctx) => ctx.partition));
+  await Promise.all([...partitions].map(syncPartitionExtensions));
+  return saved;
+}
+
+function setPopupPolicy(id, policy) {
+  const ctx = contexts.get(id);
+  if (!ctx) return false;
+  ctx.popupPolicy = normalizePopupPolicy(policy);
+  tabSessionStore.updateSessionSettings(id, { popupPolicy: ctx.popupPolicy });
+  return true;
+}
+
+function flushPendingLocalStorage(id, { reload = false } = {}) {
+  const ctx = contexts.get(id);
+  const webContents = getLiveWebContents(ctx);
+  if (!ctx?.pendingLocalStorage || !webContents) return;
+
+  const currentUrl = webContents.getURL();
+  if (!/^https?:/.test(currentUrl)) return;
+  const origin = new URL(currentUrl).origin;
+  const items = ctx.pendingLocalStorage[origin];
+  if (!items) return;
+
+  delete ctx.pendingLocalStorage[origin];
+  webContents.executeJavaScript(buildLocalStorageWriteScript(items))
+    .then(() => {
+      if (reload && !webContents.isDestroyed()) webContents.reload();
+    })
+    .catch((error) => console.error(`context ${id} localStorage import error:`, error));
+}
+
+// 导出与导入的文件路径由主进程弹出系统对话框选择，渲染进程不能指定任意读写位置
+const JSON_FILE_FILTERS = [{ name: 'JSON', extensions: ['json'] }];
+
+async function chooseSavePath(defaultPath, filters) {
+  const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, { defaultPath, filters });
+  return canceled ? null : filePath;
+}
+
+async function exportContextStorage({ id, includeLocalStorage = false, passphrase, saveAs = false }) {
+  const ctx = contexts.get(id);
+  if (!ctx) throw new Error('context not found');
+
+  const bundle = await exportSessionStorage({
+    ses: getPartitionSession(ctx.partition),
+    webContents: getLiveWebContents(ctx),
+    partition: ctx.partition,
+    includeLocalStorage,
+    passphrase,
+  });
+  const filePath = saveAs ? await chooseSavePath(`storage-${id}.json`, JSON_FILE_FILTERS) : null;
+  if (filePath) fs.writeFileSync(filePath, JSON.stringify(bundle, null, 2));
+  return bundle;
+}
+
+async function readBundleFile() {
+  const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, { properties: ['openFile'], filters: JSON_FILE_FILTERS });
+  if (canceled || filePaths.length === 0) throw new Error('import canceled');
+  return JSON.parse(fs.readFileSync(filePaths[0], 'utf8'));
+}
+
+async function importContextStorage({ id, bundle, passphrase, url }) {
+  const parsed = parseBundle(bundle || await readBundleFile(), passphrase);
+  let ctx = id ? contexts.get(id) : null;
+  if (id && !ctx) throw new Error('context not found');
+
+  // 导入到新标签时先写入 Cookie 再创建标签，保证首个请求即携带登录态
+  const targetId = ctx?.id || randomUUID();
+  const partition = ctx?.partition || `persist:ctx-${targetId}`;
+  const result = await importSessionStorage({ ses: getPartitionSession(partition), bundle: parsed });
+
+  if (!ctx) {
+    createIsolatedContext(url || Object.keys(result.localStorage)[0], { id: targetId, partition });
+    attachContext(targetId);
+    ctx = contexts.get(targetId);
+  }
+
+  ctx.pendingLocalStorage = { ...ctx.pendingLocalStorage, ...result.localStorage };
+  flushPendingLocalStorage(targetId);
+
+  return {
+    contextId: targetId,
+    cookies: result.cookies,
+    failed: result.failed,
+    localStorageOrigins: Object.keys(result.localStorage),
+  };
+}
+
+/**
+ * 以已有标签为模板创建使用新 partition 的标签，复制其配置；可选复制 Cookie 与当前页面的 localStorage。
+ * 不复制账号绑定，克隆出的环境需单独登录或由复制的 Cookie 延续登录态
+ */
+async function cloneContext({ id, name, includeCookies = false, includeLocalStorage = false, ephemeral = false }) {
+  const source = contexts.get(id);
+  if (!source) throw new Error('context not found');
+
+  const targetId = randomUUID();
+  const partition = ephemeral ? `ctx-${targetId}` : `persist:ctx-${targetId}`;
+  let copied = { cookies: 0, failed: [], localStorage: {} };
+
+  // 与导入存储一致，先写入 Cookie 再创建标签，保证首个请求即携带登录态
+  if (includeCookies || includeLocalStorage) {
+    const bundle = await exportSessionStorage({
+      ses: getPartitionSession(source.partition),
+      webContents: getLiveWebContents(source),
+      partition: source.partition,
+      includeLocalStorage,
+    });
+    copied = await importSessionStorage({
+      ses: getPartitionSession(partition),
+      bundle: { ...bundle, cookies: includeCookies ? bundle.cookies : [] },
+    });
+  }
+
+  const clone = createIsolatedContext(getLiveWebContents(source)?.getURL() || source.lastUrl, {
+    id: targetId,
+    partition,
+    ephemeral,
+    name: name ?? (source.name ? `${source.name.slice(0, 37)} 副本` : null),
+    ...inheritContextSettings(source),
+  });
+  attachContext(targetId);
+
+  const ctx = contexts.get(targetId);
+  ctx.pendingLocalStorage = copied.localStorage;
+  flushPendingLocalStorage(targetId);
+
+  return {
+    context: clone,
+    sourceId: source.id,
+    cookies: copied.cookies,
+    failed: copied.failed,
+    localStorageOrigins: Object.keys(copied.localStorage),
+  };
+}
+
+function resumeNetworkRecording(id, webContents) {
+  if (!networkRecorder.isRecording(id) || webContents.isDestroyed()) return;
+  try {
+    networkRecorder.bind(id, webContents);
+  } catch (error) {
+    console.error(`context ${id} network recorder attach error:`, error);
+  }
+}
+
+/**
+ * 开始记录标签的网络请求；休眠中的标签在唤醒后开始记录
+ */
+function startNetworkRecording(id, options = {}) {
+  const ctx = contexts.get(id);
+  if (!ctx) throw new Error('context not found');
+  return networkRecorder.start(id, getLiveWebContents(ctx), options);
+}
+
+function stopNetworkRecording(id) {
+  if (!contexts.has(id)) throw new Error('context not found');
+  return networkRecorder.stop(id);
+}
+
+/**
+ * 导出标签的网络记录为 HAR 文件，默认脱敏 Cookie 与认证头；saveAs 为 true 时弹出保存对话框，取消时不写文件
+ */
+async function exportNetworkHar({ id, redact = true, saveAs = false }) {
+  if (!contexts.has(id)) throw new Error('context not found');
+  const entries = networkRecorder.getEntries(id);
+  const har = buildHar(entries, { redact });
+  const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}.har`;
+
+  let target;
+  if (saveAs) {
+    target = await chooseSavePath(fileName, [{ name: 'HAR', extensions: ['har'] }]);
+  } else {
+    const dir = path.join(process.cwd(), 'data', 'network-logs', id);
+    fs.mkdirSync(dir, { recursive: true });
+    target = path.join(dir, fileName);
+  }
+  if (target) fs.writeFileSync(target, JSON.stringify(har, null, 2));
+  return { contextId: id, filePath: target, entryCount: entries.length, redacted: redact };
+}
+
+async function testContextProxy(id, url) {
+  const ctx = contexts.get(id);
+  if (!ctx) return { ok: false, error: 'context not found' };
+  const ses = getPartitionSession(ctx.partition);
+  return testProxyConnection({
+    fetchImpl: (target, init) => ses.fetch(target, init),
+    url: url || process.env.PROXY_TEST_URL || DEFAULT_PROXY_TEST_URL,
+  });
+}
+
+async function captureContext({ id, fullPage = false } = {}) {
+  const targetId = id || activeContextId;
+  const ctx = contexts.get(targetId);
+  if (!ctx) throw new Error('context not found');
+  const webContents = getLiveWebContents(ctx);
+  if (!webContents) throw new Error('context is hibernated');
+
+  const image = fullPage
+    ? await captureFullPage(webContents, { createImageFromBitmap: (bitmap, options) => nativeImage.createFromBitmap(bitmap, options) })
+    : await webContents.capturePage();
+  const { width, height } = image.getSize();
+
+  const dir = path.join(process.cwd(), 'data', 'captures', targetId);
+  fs.mkdirSync(dir, { recursive: true });
+  const filePath = path.join(dir, `${new Date().toISOString().replace(/[:.]/g, '-')}.png`);
+  fs.writeFileSync(filePath, image.toPNG());
+
+  return {
+    contextId: targetId,
+    url: webContents.getURL(),
+    title: webContents.getTitle(),
+    filePath,
+    width,
+    height,
+    fullPage,
+  };
+}
+
+function findAccountContext(accountId) {
+  return [...contexts.values()].find((ctx) => ctx.accountId === accountId && !ctx.openerId) || null;
+}
+
+// RPA 发布在账号标签页中后台执行，不切换当前显示的标签
+async function runAccountAutomation({ account, creatorUrl, steps, stepTimeoutMs, vars }) {
+  const target = matrixService.getAccountContextTarget({ id: account.id });
+  if (!target) throw new Error('account not found');
+
+  // createIsolatedContext 返回的是描述副本，运行标记需设置在 contexts 中的记录上
+  const existing = findAccountContext(account.id);
+  const ctx = existing || contexts.get(createIsolatedContext(creatorUrl || target.url, {
+    partition: target.partition,
+    accountId: target.accountId,
+    name: target.name,
+    group: target.group,
+  }).id);
+  if (ctx.automationRunning) throw new Error('account context is busy with another automation');
+
+  const driver = new CdpDriver(ensureContextView(ctx.id).webContents);
+  ctx.automationRunning = true;
+  try {
+    driver.attach();
+    return await runRpaSteps(driver, steps, { vars, stepTimeoutMs });
+  } finally {
+    ctx.automationRunning = false;
+    if (!driver.webContents.isDestroyed()) driver.detach();
+    // 为发布临时创建的后台标签用完即关，避免重启后作为普通标签恢复；运行期间被用户打开的保留
+    if (!existing && contexts.has(ctx.id) && !getVisibleContextIds().includes(ctx.id)) closeContext(ctx.id);
+  }
+}
+
+function openAccountContext({ accountId, partition, url, name, group }) {
+  const existing = findAccountContext(accountId);
+  if (existing) {
+    attachContext(existing.id);
+    return { id: existing.id, partition: existing.partition, accountId, url: serializeContext(existing).currentUrl };
+  }
+
+  const ctx = createIsolatedContext(url, { partition, accountId, name, group });
+  attachContext(ctx.id);
+  return ctx;
+}
+
+function updateContextLabels(id, patch) {
+  const ctx = contexts.get(id);
+  if (!ctx) return null;
+  const labels = normalizeContextLabels({ name: ctx.name, color: ctx.color, group: ctx.group, ...patch });
+  const groupChanged = labels.group !== ctx.group;
+  Object.assign(ctx, labels);
+  tabSessionStore.updateSessionSettings(id, labels);
+  emitContextEvent('labels-updated', id, labels);
+  if (groupChanged) {
+    syncPartitionExtensions(ctx.partition).catch((error) => console.error(`context ${id} extension load error:`, error));
+  }
+  return labels;
+}
 
-  contexts.set(id, { id, partition, view });
-  return { id, partition, url: normalizeUrl(url) };
+function listGroupContextIds(group) {
+  return [...contexts.values()].filter((ctx) => ctx.group === group).map((ctx) => ctx.id);
+}
+
+// 打开分组：唤醒组内全部标签，2-4 个时分屏平铺，否则激活第一个
+function openContextGroup(group) {
+  const ids = listGroupContextIds(group);
+  if (ids.length === 0) return { opened: [] };
+
+  const now = Date.now();
+  ids.forEach((id) => {
+    contexts.get(id).lastActiveAt = now;
+    ensureContextView(id);
+  });
+  if (ids.length >= 2 && ids.length <= MAX_SPLIT_PANES) {
+    setViewLayout({ mode: 'split', panes: ids });
+  } else {
+    attachContext(ids[0]);
+  }
+  return { opened: ids };
+}
+
+function closeContextGroup(group) {
+  // 最后关闭激活标签，避免中途把焦点切到组内即将关闭的标签
+  const ids = listGroupContextIds(group).sort((a, b) => (a === activeContextId) - (b === activeContextId));
+  ids.forEach(closeContext);
+  return { closed: ids };
+}
+
+function restoreContexts() {
+  const sessions = tabSessionStore.listSessions();
+  viewLayout = normalizeViewLayout(null);
+  if (sessions.length === 0) {
+    const first = createIsolatedContext('https://baidu.com');
+    attachContext(first.id);
+    return;
+  }
+
+  const sessionIds = sessions.map((saved) => saved.id);
+  const savedLayout = tabSessionStore.getWindowLayout(MAIN_WINDOW_KEY);
+  const savedPanes = (savedLayout?.panes || []).filter((id) => sessionIds.includes(id));
+  viewLayout = normalizeViewLayout(savedLayout?.mode === 'split' && savedPanes.length >= 2
+    ? { ...savedLayout, panes: savedPanes }
+    : { mode: 'single', ratios: savedLayout?.ratios });
+
+  // 仅激活的标签与分屏窗格中的标签立即加载，其余标签以休眠状态恢复，切换到时再创建页面
+  const savedActiveId = tabSessionStore.getActiveContextId();
+  const candidates = viewLayout.mode === 'split' ? viewLayout.panes : sessionIds;
+  const activeId = candidates.includes(savedActiveId) ? savedActiveId : candidates[0];
+  sessions.forEach(({ lastUrl, proxy, ...saved }) => {
+    const visible = saved.id === activeId || viewLayout.panes.includes(saved.id);
+    // 旧版本会为 SOCKS5 代理保存不生效的账号密码，恢复时去掉
+    const restoredProxy = proxy?.protocol === 'socks5' ? { ...proxy, username: '', password: '' } : proxy;
+    if (!contexts.has(saved.id)) createIsolatedContext(lastUrl, { ...saved, proxy: restoredProxy, hibernated: !visible });
+  });
+
+  attachContext(activeId);
+}
+
+function getVisibleContextIds() {
+  if (viewLayout.mode === 'split') return viewLayout.panes;
+  return activeContextId ? [activeContextId] : [];
+}
+
+function ensureContextView(id) {
+  const ctx = contexts.get(id);
+  if (!getLiveWebContents(ctx)) {
+    createContextView(ctx);
+    emitContextEvent('hibernation-state', id, { hibernated: false });
+  }
+  return ctx.view;
+}
+
+function saveViewLayout() {
+  const { mode, panes, ratios } = viewLayout;
+  tabSessionStore.saveWindowLayout(MAIN_WINDOW_KEY, { mode, panes, ratios });
+}
+
+function applyViewLayout() {
+  layoutManager.showViews(getVisibleContextIds().map(ensureContextView), { ratios: viewLayout.ratios });
 }
 
 function attachContext(id) {
   const ctx = contexts.get(id);
   if (!ctx || !mainWindow) return false;
 
-  if (activeContextId && contexts.has(activeContextId)) {
-    mainWindow.removeBrowserView(contexts.get(activeContextId).view);
+  const previous = contexts.get(activeContextId);
+  if (previous) previous.lastActiveAt = Date.now();
+
+  // 分屏时切换到未显示的标签，会替换当前聚焦的窗格
+  if (viewLayout.mode === 'split' && !viewLayout.panes.includes(id)) {
+    const focusedIndex = Math.max(0, viewLayout.panes.indexOf(activeContextId));
+    viewLayout.panes = viewLayout.panes.map((paneId, index) => (index === focusedIndex ? id : paneId));
+    saveViewLayout();
   }
 
-  mainWindow.addBrowserView(ctx.view);
-  ctx.view.setBounds(getViewBounds());
+  ctx.lastActiveAt = Date.now();
   activeContextId = id;
+  tabSessionStore.setActiveContextId(id);
+  applyViewLayout();
+  enforceHibernationPolicy();
   return true;
 }
 
-function closeContext(id) {
+function setViewLayout(input) {
+  const next = normalizeViewLayout({ ratios: viewLayout.ratios, ...input });
+  const missing = next.panes.find((id) => !contexts.has(id));
+  if (missing) throw new Error(`context not found: ${missing}`);
+  if (!mainWindow) return describeViewLayout();
+
+  viewLayout = next;
+  saveViewLayout();
+  if (next.mode === 'split' && !next.panes.includes(activeContextId)) {
+    attachContext(next.panes[0]);
+  } else {
+    applyViewLayout();
+    enforceHibernationPolicy();
+  }
+  return describeViewLayout();
+}
+
+function assignPane(paneIndex, id) {
+  if (viewLayout.mode !== 'split') throw new Error('split layout is not active');
+  if (!contexts.has(id)) throw new Error('context not found');
+  if (paneIndex >= viewLayout.panes.length) throw new Error('paneIndex out of range');
+
+  // 目标标签已在其他窗格时与该窗格互换位置
+  const panes = [...viewLayout.panes];
+  const currentIndex = panes.indexOf(id);
+  if (currentIndex !== -1) panes[currentIndex] = panes[paneIndex];
+  panes[paneIndex] = id;
+  return setViewLayout({ mode: 'split', panes });
+}
+
+function resizeSplit(ratios) {
+  viewLayout.ratios = normalizeSplitRatios({ ...viewLayout.ratios, ...ratios });
+  saveViewLayout();
+  layoutManager.setRatios(viewLayout.ratios);
+  return describeViewLayout();
+}
+
+// 渲染进程按实际高度上报地址栏、提示条与标签栏占用的区域，标签页视图放在其下方
+function setViewInsets(insets) {
+  layoutManager.setInsets(insets);
+  return describeViewLayout();
+}
+
+/**
+ * @param {{attachFallback?: boolean}} [options] - attachFallback 为 false 时由调用方决定关闭后显示的标签
+ */
+function closeContext(id, { attachFallback = true } = {}) {
   const ctx = contexts.get(id);
   if (!ctx || !mainWindow) return false;
 
-  if (activeContextId === id) {
-    mainWindow.removeBrowserView(ctx.view);
-    activeContextId = null;
+  let fallbackId = [...contexts.keys()].find((key) => key !== id);
+  if (viewLayout.panes.includes(id)) {
+    const panes = viewLayout.panes.filter((paneId) => paneId !== id);
+    fallbackId = panes[0];
+    viewLayout = normalizeViewLayout(panes.length >= 2
+      ? { ...viewLayout, panes }
+      : { mode: 'single', ratios: viewLayout.ratios });
+    saveViewLayout();
   }
 
-  if (!ctx.view.webContents.isDestroyed()) ctx.view.webContents.destroy();
+  if (ctx.view) layoutManager.removeView(ctx.view);
+  if (activeContextId === id) activeContextId = null;
+
+  permissionManager.cancelContext(id);
+  requestFilterManager.resetStats(id);
+  clearRecoveryTimer(ctx);
+  networkRecorder.remove(id);
   contexts.delete(id);
+  getLiveWebContents(ctx)?.close();
+  tabSessionStore.removeSession(id);
+
+  // 无痕 partition 的最后一个标签关闭时清空内存中的登录态与缓存
+  if (ctx.ephemeral && ![...contexts.values()].some((item) => item.partition === ctx.partition)) {
+    wipeSessionData(getPartitionSession(ctx.partition))
+      .catch((error) => console.error(`context ${id} ephemeral wipe error:`, error));
+  }
 
-  if (!activeContextId && contexts.size > 0) attachContext([...contexts.keys()][0]);
+  if (attachFallback && !activeContextId && fallbackId) attachContext(fallbackId);
   return true;
 }
 
+/**
+ * 清除标签所在 partition 的全部数据：关闭共用该 partition 的标签并清空存储与缓存。
+ * 内存中的 session 在进程退出前一直持有磁盘目录，目录留到下次启动、创建 session 之前删除
+ */
+async function wipeContext(id) {
+  const ctx = contexts.get(id);
+  if (!ctx) throw new Error('context not found');
+
+  const { partition } = ctx;
+  const closed = [...contexts.values()].filter((item) => item.partition === partition).map((item) => item.id);
+  // 逐个关闭时不切换到同 partition 的其他标签，否则会在清除中的 partition 里重建页面
+  closed.forEach((closedId) => closeContext(closedId, { attachFallback: false }));
+  const fallbackId = viewLayout.panes[0] || contexts.keys().next().value;
+  if (!activeContextId && fallbackId) attachContext(fallbackId);
+  await wipeSessionData(getPartitionSession(partition));
+
+  if (!isPersistentPartition(partition)) return { partition, closed, removed: false, pending: false };
+  queuePartitionWipe(partition);
+  return { partition, closed, removed: false, pending: true };
+}
+
+function listPartitionsInUse() {
+  return [
+    ...[...contexts.values()].map((ctx) => ctx.partition),
+    ...tabSessionStore.listSessions().map((saved) => saved.partition),
+    ...matrixService.listAccounts().map((account) => account.partition),
+  ];
+}
+
+function listOrphanedPartitions() {
+  return findOrphanedPartitions(app.getPath('userData'), listPartitionsInUse());
+}
+
+function queuePartitionWipe(partition) {
+  tabSessionStore.setPendingPartitionWipes([...tabSessionStore.listPendingPartitionWipes(), partition]);
+}
+
+// 已清除的 partition 被重新使用（如重新打开账号）时不再在下次启动删除，避免删掉新的登录态
+function cancelPartitionWipe(partition) {
+  const pending = tabSessionStore.listPendingPartitionWipes();
+  if (pending.includes(partition)) tabSessionStore.setPendingPartitionWipes(pending.filter((item) => item !== partition));
+}
+
+function removeOrphanedPartitions(partitions) {
+  const orphaned = new Set(listOrphanedPartitions().map((entry) => entry.partition));
+  return partitions.map((partition) => {
+    if (!orphaned.has(partition)) return { partition, removed: false, error: 'partition is in use or not found' };
+    if (!openedPartitions.has(partition)) return removePartitionDir(app.getPath('userData'), partition);
+    queuePartitionWipe(partition);
+    return { partition, removed: false, pending: true };
+  });
+}
+
+function removePendingPartitionWipes() {
+  const failed = tabSessionStore.listPendingPartitionWipes()
+    .map((partition) => removePartitionDir(app.getPath('userData'), partition))
+    .filter((result) => !result.removed)
+    .map((result) => result.partition);
+  tabSessionStore.setPendingPartitionWipes(failed);
+}
+
 function navigateContext(id, url) {
   const ctx = contexts.get(id);
   if (!ctx) return false;
-  ctx.view.webContents.loadURL(normalizeUrl(url));
+  const target = normalizeUrl(url);
+  if (!guardContextNavigation(id, target, 'navigate')) throw new Error(`navigation to ${target} is blocked by the context navigation policy`);
+  ctx.lastUrl = target;
+  const webContents = getLiveWebContents(ctx);
+  if (webContents) {
+    webContents.loadURL(ctx.lastUrl);
+  } else {
+    // 休眠中的标签只记录目标地址，唤醒时直接加载
+    tabSessionStore.updateSessionState(id, { lastUrl: ctx.lastUrl });
+  }
   return true;
 }
 
+/**
+ * 前进、后退与刷新的目标地址；前进后退取历史记录中相邻的条目
+ */
+function resolveNavigationActionUrl(webContents, action) {
+  const history = webContents.navigationHistory;
+  const offset = { goBack: -1, goForward: 1 }[action];
+  if (offset === undefined) return webContents.getURL();
+  return history.getEntryAtIndex(history.getActiveIndex() + offset)?.url || '';
+}
+
+function runNavigationAction(id, action) {
+  const webContents = getLiveWebContents(contexts.get(id));
+  if (!webContents) return false;
+
+  if (['goBack', 'goForward', 'reload'].includes(action)) {
+    const target = resolveNavigationActionUrl(webContents, action);
+    if (target && !guardContextNavigation(id, target, action)) {
+      throw new Error(`navigation to ${target} is blocked by the context navigation policy`);
+    }
+  }
+
+  switch (action) {
+    case 'goBack':
+      if (!webContents.canGoBack()) return false;
+      webContents.goBack();
+      return true;
+    case 'goForward':
+      if (!webContents.canGoForward()) return false;
+      webContents.goForward();
+      return true;
+    case 'reload':
+      webContents.reload();
+      return true;
+    case 'stop':
+      webContents.stop();
+      return true;
+    default:
+      return false;
+  }
+}
+
 
 
 app.whenReady().then(() => {
+  removePendingPartitionWipes();
+  tabSessionStore.protectProxyPasswords();
+  requestFilterManager.loadLists();
+  matrixService.configureRpa({
+    scriptsDir: process.env.RPA_SCRIPTS_DIR || path.join(process.cwd(), 'data', 'rpa-scripts'),
+    runner: runAccountAutomation,
+  });
   createMainWindow();
-
-  const first = createIsolatedContext('https://baidu.com');
-  attachContext(first.id);
+  restoreContexts();
 
   schedulerId = setInterval(() => {
     matrixService.runDueTasks().catch((error) => {
@@ -154,25 +1347,92 @@ app.whenReady().then(() => {
     });
   }, 1000);
 
+  hibernationTimerId = setInterval(enforceHibernationPolicy, 60 * 1000);
+
+  runSessionCheck();
+  sessionCheckTimerId = setInterval(runSessionCheck, sessionHealthOptions.intervalMs);
+
   registerIpcHandlers({
     ipcMain,
     matrixService,
     contextApi: {
       createIsolatedContext,
+      cloneContext,
       attachContext,
       closeContext,
+      wipeContext,
+      listContextCrashes: (query) => tabSessionStore.listContextCrashes(query),
+      listOrphanedPartitions,
+      removeOrphanedPartitions,
       navigateContext,
+      goBack: (id) => runNavigationAction(id, 'goBack'),
+      goForward: (id) => runNavigationAction(id, 'goForward'),
+      reloadContext: (id) => runNavigationAction(id, 'reload'),
+      stopContext: (id) => runNavigationAction(id, 'stop'),
+      testContextProxy,
+      captureContext,
+      startNetworkRecording,
+      stopNetworkRecording,
+      getNetworkRecordingStatus: (id) => (contexts.has(id) ? networkRecorder.getStatus(id) : null),
+      clearNetworkLog: (id) => (contexts.has(id) ? networkRecorder.clear(id) : null),
+      exportNetworkHar,
+      setPopupPolicy,
+      listFilterLists: () => requestFilterManager.listLists(),
+      reloadFilterLists: () => requestFilterManager.loadLists(),
+      setRequestFilter,
+      setNavigationPolicy,
+      listContextExtensions,
+      enableContextExtension: (id, dir) => setContextExtensionEnabled(id, dir, true),
+      disableContextExtension: (id, dir) => setContextExtensionEnabled(id, dir, false),
+      getGroupExtensions: (group) => tabSessionStore.getGroupExtensions(group),
+      setGroupExtensions,
+      getRequestFilterStats: (id) => requestFilterManager.getStats(id),
+      getPermissions: (id) => contexts.get(id)?.permissions || null,
+      setPermissionPolicy,
+      clearPermissionDecisions: (id, origin) => updatePermissionSettings(id, (settings) => clearPermissionDecisions(settings, origin)),
+      listPermissionRequests: (query) => permissionManager.listPending(query),
+      respondPermissionRequest: (requestId, answer) => permissionManager.respond(requestId, answer),
+      listDownloads: (query) => downloadManager.listDownloads(query),
+      getDownload: (id) => downloadManager.getDownload(id),
+      pauseDownload: (id) => downloadManager.pauseDownload(id),
+      resumeDownload: (id) => downloadManager.resumeDownload(id),
+      cancelDownload: (id) => downloadManager.cancelDownload(id),
+      exportContextStorage,
+      importContextStorage,
+      openAccountContext,
+      getAccountContextId: (accountId) => findAccountContext(accountId)?.id || null,
+      checkAccountSessions: () => sessionHealthChecker.checkAll(),
       listContexts: () => [...contexts.values()].map(serializeContext),
       getActiveContextId: () => activeContextId,
+      renameContext: (id, name) => updateContextLabels(id, { name }),
+      setContextColor: (id, color) => updateContextLabels(id, { color }),
+      setContextGroup: (id, group) => updateContextLabels(id, { group }),
+      listContextGroups: () => summarizeContextGroups([...contexts.values()]),
+      openContextGroup,
+      closeContextGroup,
+      getViewLayout: describeViewLayout,
+      setViewLayout,
+      assignPane,
+      resizeSplit,
+      setViewInsets,
+      listFingerprintPresets: () => FINGERPRINT_PRESETS,
+      listDevicePresets: () => DEVICE_PRESETS,
+      setContextDevice,
+      setContextRegion,
     },
   });
 
   app.on('activate', () => {
-    if (BrowserWindow.getAllWindows().length === 0) createMainWindow();
+    if (BrowserWindow.getAllWindows().length === 0) {
+      createMainWindow();
+      restoreContexts();
+    }
   });
 });
 
 app.on('window-all-closed', () => {
   if (schedulerId) clearInterval(schedulerId);
+  if (hibernationTimerId) clearInterval(hibernationTimerId);
+  if (sessionCheckTimerId) clearInterval(sessionCheckTimerId);
   if (process.platform !== 'darwin') app.quit();
 });
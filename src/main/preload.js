@@ -1,11 +1,70 @@
 import { contextBridge, ipcRenderer } from 'electron';
 
 contextBridge.exposeInMainWorld('isolatedBrowser', {
-  createContext: (url) => ipcRenderer.invoke('contexts:create', { url }),
+  createContext: (url, options = {}) => ipcRenderer.invoke('contexts:create', { url, ...options }),
+  cloneContext: (id, options = {}) => ipcRenderer.invoke('contexts:clone', { id, ...options }),
   switchContext: (id) => ipcRenderer.invoke('contexts:switch', { id }),
   closeContext: (id) => ipcRenderer.invoke('contexts:close', { id }),
+  wipeContext: (id) => ipcRenderer.invoke('contexts:wipe', { id }),
+  listCrashes: (payload) => ipcRenderer.invoke('contexts:listCrashes', payload || {}),
+  listOrphanedPartitions: () => ipcRenderer.invoke('contexts:listOrphanedPartitions'),
+  removeOrphanedPartitions: (partitions) => ipcRenderer.invoke('contexts:removeOrphanedPartitions', { partitions }),
   navigateContext: (id, url) => ipcRenderer.invoke('contexts:navigate', { id, url }),
+  goBack: (id) => ipcRenderer.invoke('contexts:goBack', { id }),
+  goForward: (id) => ipcRenderer.invoke('contexts:goForward', { id }),
+  reload: (id) => ipcRenderer.invoke('contexts:reload', { id }),
+  stop: (id) => ipcRenderer.invoke('contexts:stop', { id }),
+  onContextEvent: (listener) => {
+    const handler = (_, event) => listener(event);
+    ipcRenderer.on('contexts:event', handler);
+    return () => ipcRenderer.removeListener('contexts:event', handler);
+  },
+  setPopupPolicy: (id, policy) => ipcRenderer.invoke('contexts:setPopupPolicy', { id, policy }),
+  getPermissions: (id) => ipcRenderer.invoke('contexts:getPermissions', { id }),
+  setPermissionPolicy: (id, policy) => ipcRenderer.invoke('contexts:setPermissionPolicy', { id, policy }),
+  clearPermissionDecisions: (id, origin) => ipcRenderer.invoke('contexts:clearPermissionDecisions', { id, origin }),
+  listPermissionRequests: (payload) => ipcRenderer.invoke('contexts:listPermissionRequests', payload || {}),
+  respondPermission: (requestId, allow, remember = false) => ipcRenderer.invoke('contexts:respondPermission', { requestId, allow, remember }),
+  listFilterLists: () => ipcRenderer.invoke('contexts:listFilterLists'),
+  reloadFilterLists: () => ipcRenderer.invoke('contexts:reloadFilterLists'),
+  setRequestFilter: (id, settings) => ipcRenderer.invoke('contexts:setRequestFilter', { id, ...settings }),
+  setNavigationPolicy: (id, policy) => ipcRenderer.invoke('contexts:setNavigationPolicy', { id, ...policy }),
+  getRequestFilterStats: (id) => ipcRenderer.invoke('contexts:getRequestFilterStats', { id }),
+  listExtensions: (id) => ipcRenderer.invoke('contexts:listExtensions', { id }),
+  enableExtension: (id, path) => ipcRenderer.invoke('contexts:enableExtension', { id, path }),
+  disableExtension: (id, path) => ipcRenderer.invoke('contexts:disableExtension', { id, path }),
+  getGroupExtensions: (group) => ipcRenderer.invoke('contexts:getGroupExtensions', { group }),
+  setGroupExtensions: (group, paths) => ipcRenderer.invoke('contexts:setGroupExtensions', { group, paths }),
+  testProxy: (id, url) => ipcRenderer.invoke('contexts:testProxy', { id, url }),
+  startNetworkLog: (id, options = {}) => ipcRenderer.invoke('contexts:startNetworkLog', { id, ...options }),
+  stopNetworkLog: (id) => ipcRenderer.invoke('contexts:stopNetworkLog', { id }),
+  getNetworkLogStatus: (id) => ipcRenderer.invoke('contexts:getNetworkLogStatus', { id }),
+  clearNetworkLog: (id) => ipcRenderer.invoke('contexts:clearNetworkLog', { id }),
+  exportHar: (id, options = {}) => ipcRenderer.invoke('contexts:exportHar', { id, ...options }),
+  capture: (payload) => ipcRenderer.invoke('contexts:capture', payload || {}),
+  listDownloads: (payload) => ipcRenderer.invoke('contexts:listDownloads', payload || {}),
+  pauseDownload: (id) => ipcRenderer.invoke('contexts:pauseDownload', { id }),
+  resumeDownload: (id) => ipcRenderer.invoke('contexts:resumeDownload', { id }),
+  cancelDownload: (id) => ipcRenderer.invoke('contexts:cancelDownload', { id }),
+  importDownload: (id) => ipcRenderer.invoke('contexts:importDownload', { id }),
+  exportStorage: (payload) => ipcRenderer.invoke('contexts:exportStorage', payload),
+  importStorage: (payload) => ipcRenderer.invoke('contexts:importStorage', payload),
   listContexts: () => ipcRenderer.invoke('contexts:list'),
+  renameContext: (id, name) => ipcRenderer.invoke('contexts:rename', { id, name }),
+  setContextColor: (id, color) => ipcRenderer.invoke('contexts:setColor', { id, color }),
+  setContextGroup: (id, group) => ipcRenderer.invoke('contexts:setGroup', { id, group }),
+  listGroups: () => ipcRenderer.invoke('contexts:listGroups'),
+  openGroup: (group) => ipcRenderer.invoke('contexts:openGroup', { group }),
+  closeGroup: (group) => ipcRenderer.invoke('contexts:closeGroup', { group }),
+  getLayout: () => ipcRenderer.invoke('contexts:getLayout'),
+  setLayout: (payload) => ipcRenderer.invoke('contexts:setLayout', payload),
+  setViewInsets: (insets) => ipcRenderer.invoke('contexts:setViewInsets', { insets }),
+  assignPane: (paneIndex, id) => ipcRenderer.invoke('contexts:assignPane', { paneIndex, id }),
+  resizeSplit: (ratios) => ipcRenderer.invoke('contexts:resizeSplit', { ratios }),
+  listFingerprintPresets: () => ipcRenderer.invoke('contexts:listFingerprintPresets'),
+  listDevicePresets: () => ipcRenderer.invoke('contexts:listDevicePresets'),
+  setDevice: (id, device) => ipcRenderer.invoke('contexts:setDevice', { id, device }),
+  setRegion: (id, region) => ipcRenderer.invoke('contexts:setRegion', { id, region }),
 });
 
 contextBridge.exposeInMainWorld('accountMatrix', {
@@ -14,12 +73,18 @@ contextBridge.exposeInMainWorld('accountMatrix', {
   addAccount: (payload) => ipcRenderer.invoke('matrix:addAccount', payload),
   updateAccountStatus: (payload) => ipcRenderer.invoke('matrix:updateAccountStatus', payload),
   deleteAccount: (payload) => ipcRenderer.invoke('matrix:deleteAccount', payload),
+  openAccountContext: (payload) => ipcRenderer.invoke('matrix:openAccountContext', payload),
+  checkSessions: () => ipcRenderer.invoke('matrix:checkSessions'),
+  listRpaScripts: () => ipcRenderer.invoke('matrix:listRpaScripts'),
+  reloadRpaScripts: () => ipcRenderer.invoke('matrix:reloadRpaScripts'),
   collectHotspots: () => ipcRenderer.invoke('matrix:collectHotspots'),
   listHotspots: () => ipcRenderer.invoke('matrix:listHotspots'),
   generateContent: (payload) => ipcRenderer.invoke('matrix:generateContent', payload),
   saveGeneratedContent: (payload) => ipcRenderer.invoke('matrix:saveGeneratedContent', payload),
   listContentAssets: (payload) => ipcRenderer.invoke('matrix:listContentAssets', payload || {}),
   deleteContentAsset: (payload) => ipcRenderer.invoke('matrix:deleteContentAsset', payload),
+  listCaptures: (payload) => ipcRenderer.invoke('matrix:listCaptures', payload || {}),
+  linkCapture: (payload) => ipcRenderer.invoke('matrix:linkCapture', payload),
   schedulePublish: (payload) => ipcRenderer.invoke('matrix:schedulePublish', payload),
   cancelSchedule: (payload) => ipcRenderer.invoke('matrix:cancelSchedule', payload),
   retrySchedule: (payload) => ipcRenderer.invoke('matrix:retrySchedule', payload),
@@ -0,0 +1,14 @@
+/**
+ * 通过 webContents.debugger 下发 CDP 覆盖命令。CDP 覆盖只在调试器连接期间有效，
+ * 因此连接建立后一直保持到页面销毁；其他功能断开调试器后，由调用方在下次导航时重新下发
+ * @param {Object} webContents
+ * @param {Array<[string, Object]>} commands - [方法名, 参数]
+ */
+export async function sendEmulationCommands(webContents, commands) {
+  if (webContents.isDestroyed()) return;
+  const dbg = webContents.debugger;
+  if (!dbg.isAttached()) dbg.attach('1.3');
+  for (const [method, params] of commands) {
+    await dbg.sendCommand(method, params);
+  }
+}
@@ -0,0 +1,119 @@
+import { randomUUID } from 'node:crypto';
+import path from 'node:path';
+import fs from 'node:fs';
+
+function uniqueSavePath(dir, filename) {
+  const safeName = path.basename(filename || 'download') || 'download';
+  const ext = path.extname(safeName);
+  const stem = safeName.slice(0, safeName.length - ext.length);
+  let candidate = path.join(dir, safeName);
+  for (let i = 1; fs.existsSync(candidate); i += 1) {
+    candidate = path.join(dir, `${stem} (${i})${ext}`);
+  }
+  return candidate;
+}
+
+export class DownloadManager {
+  constructor({ baseDir, resolveContextId, onUpdate = () => {} } = {}) {
+    this.downloadDir = path.join(baseDir, 'downloads');
+    this.resolveContextId = resolveContextId;
+    this.onUpdate = onUpdate;
+    this.downloads = new Map();
+    this.items = new Map();
+    this.sessions = new WeakSet();
+  }
+
+  getContextDir(contextId) {
+    return path.join(this.downloadDir, contextId);
+  }
+
+  attachSession(ses) {
+    if (this.sessions.has(ses)) return;
+    this.sessions.add(ses);
+    ses.on('will-download', (_, item, webContents) => this.handleDownload(item, webContents));
+  }
+
+  handleDownload(item, webContents) {
+    const contextId = this.resolveContextId(webContents) || 'unknown';
+    const dir = this.getContextDir(contextId);
+    fs.mkdirSync(dir, { recursive: true });
+    const savePath = uniqueSavePath(dir, item.getFilename());
+    item.setSavePath(savePath);
+
+    const record = {
+      id: randomUUID(),
+      contextId,
+      url: item.getURL(),
+      filename: path.basename(savePath),
+      savePath,
+      mimeType: item.getMimeType(),
+      totalBytes: item.getTotalBytes(),
+      receivedBytes: 0,
+      state: 'progressing',
+      paused: false,
+      startedAt: new Date().toISOString(),
+      completedAt: null,
+    };
+    this.downloads.set(record.id, record);
+    this.items.set(record.id, item);
+
+    item.on('updated', (_, state) => {
+      Object.assign(record, {
+        state,
+        paused: item.isPaused(),
+        receivedBytes: item.getReceivedBytes(),
+        totalBytes: item.getTotalBytes(),
+      });
+      this.onUpdate({ ...record });
+    });
+
+    item.once('done', (_, state) => {
+      Object.assign(record, {
+        state,
+        paused: false,
+        receivedBytes: item.getReceivedBytes(),
+        completedAt: new Date().toISOString(),
+      });
+      this.items.delete(record.id);
+      this.onUpdate({ ...record });
+    });
+
+    this.onUpdate({ ...record });
+    return record;
+  }
+
+  listDownloads({ contextId } = {}) {
+    return [...this.downloads.values()]
+      .filter((record) => !contextId || record.contextId === contextId)
+      .sort((a, b) => b.startedAt.localeCompare(a.startedAt))
+      .map((record) => ({ ...record }));
+  }
+
+  getDownload(id) {
+    const record = this.downloads.get(id);
+    return record ? { ...record } : null;
+  }
+
+  pauseDownload(id) {
+    const item = this.items.get(id);
+    if (!item || item.isPaused()) return false;
+    item.pause();
+    this.downloads.get(id).paused = true;
+    return true;
+  }
+
+  resumeDownload(id) {
+    const item = this.items.get(id);
+    if (!item || !item.canResume()) return false;
+    item.resume();
+    this.downloads.get(id).paused = false;
+    return true;
+  }
+
+  cancelDownload(id) {
+    const item = this.items.get(id);
+    if (!item) return false;
+    item.cancel();
+    return true;
+  }
+}
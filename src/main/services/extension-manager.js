@@ -0,0 +1,49 @@
+/**
+ * 按 partition 加载本地未打包扩展；扩展只作用于加载它的 session，各 partition 互不影响
+ */
+export class ExtensionManager {
+  constructor() {
+    // partition -> Map(目录 -> { id, name, version } | { error })
+    this.loaded = new Map();
+    this.queues = new Map();
+  }
+
+  /**
+   * 使 partition 已加载的扩展与目标目录列表一致，同一 partition 的同步串行执行
+   * @param {Object} ses - Electron Session
+   * @param {string} partition
+   * @param {string[]} paths - 需要启用的扩展目录
+   */
+  sync(ses, partition, paths) {
+    const previous = this.queues.get(partition) || Promise.resolve();
+    const next = previous.then(() => this.applySync(ses, partition, paths));
+    this.queues.set(partition, next.catch(() => {}));
+    return next;
+  }
+
+  async applySync(ses, partition, paths) {
+    if (!this.loaded.has(partition)) this.loaded.set(partition, new Map());
+    const current = this.loaded.get(partition);
+
+    for (const [dir, entry] of current) {
+      if (paths.includes(dir)) continue;
+      if (entry.id) ses.removeExtension(entry.id);
+      current.delete(dir);
+    }
+
+    for (const dir of paths) {
+      if (current.get(dir)?.id) continue;
+      try {
+        const extension = await ses.loadExtension(dir, { allowFileAccess: false });
+        current.set(dir, { id: extension.id, name: extension.name, version: extension.version });
+      } catch (error) {
+        current.set(dir, { error: error.message });
+      }
+    }
+    return this.describe(partition);
+  }
+
+  describe(partition) {
+    return Object.fromEntries(this.loaded.get(partition) || []);
+  }
+}
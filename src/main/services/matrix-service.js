@@ -2,12 +2,33 @@ import { randomUUID } from 'node:crypto';
 import path from 'node:path';
 import fs from 'node:fs';
 import Database from 'better-sqlite3';
-import { PlatformAdapterRegistry } from './platform-adapters.js';
+import { PlatformAdapterRegistry, RpaAdapter } from './platform-adapters.js';
 import { AlertReporter } from './alert-reporter.js';
+import { loadRpaScripts } from '../utils/rpa-script.js';
+
+const PLATFORM_CREATOR_URLS = {
+  抖音: 'https://creator.douyin.com/',
+  小红书: 'https://creator.xiaohongshu.com/',
+  头条: 'https://mp.toutiao.com/',
+};
+
+const CAPTURE_COLUMNS = `id, context_id as contextId, url, title, file_path as filePath, width, height, full_page as fullPage,
+        schedule_id as scheduleId, content_asset_id as contentAssetId, created_at as createdAt`;
+
+function decodeCapture(row) {
+  return row ? { ...row, fullPage: Boolean(row.fullPage) } : null;
+}
+
+function buildAccountPartition(accountId) {
+  return `persist:acct-${accountId}`;
+}
 
 export class MatrixService {
   constructor({ baseDir, platforms = ['抖音', '小红书', '头条'], alertReporter } = {}) {
-    this.platforms = platforms;
+    this.basePlatforms = [...platforms];
+    this.platforms = [...platforms];
+    this.creatorUrls = { ...PLATFORM_CREATOR_URLS };
+    this.rpa = { scriptsDir: '', runner: null, platforms: [], errors: [] };
     this.dbFile = path.join(baseDir, 'matrix-store.db');
     try {
       fs.mkdirSync(path.dirname(this.dbFile), { recursive: true });
@@ -32,7 +53,8 @@ export class MatrixService {
         nickname TEXT NOT NULL,
         ai_enabled INTEGER NOT NULL,
         status TEXT NOT NULL,
-        created_at TEXT NOT NULL
+        created_at TEXT NOT NULL,
+        partition TEXT
       );
 
       CREATE TABLE IF NOT EXISTS hotspots (
@@ -50,7 +72,9 @@ export class MatrixService {
         tone TEXT NOT NULL,
         title TEXT NOT NULL,
         body TEXT NOT NULL,
-        created_at TEXT NOT NULL
+        created_at TEXT NOT NULL,
+        source TEXT NOT NULL DEFAULT 'generated',
+        file_path TEXT
       );
 
       CREATE TABLE IF NOT EXISTS schedules (
@@ -76,6 +100,20 @@ export class MatrixService {
         created_at TEXT NOT NULL
       );
 
+      CREATE TABLE IF NOT EXISTS page_captures (
+        id TEXT PRIMARY KEY,
+        context_id TEXT NOT NULL,
+        url TEXT NOT NULL,
+        title TEXT NOT NULL,
+        file_path TEXT NOT NULL,
+        width INTEGER NOT NULL,
+        height INTEGER NOT NULL,
+        full_page INTEGER NOT NULL,
+        schedule_id TEXT,
+        content_asset_id TEXT,
+        created_at TEXT NOT NULL
+      );
+
       CREATE TABLE IF NOT EXISTS publish_metrics (
         id TEXT PRIMARY KEY,
         task_id TEXT NOT NULL,
@@ -94,12 +132,74 @@ export class MatrixService {
     if (!hasRetryCount) this.db.exec('ALTER TABLE schedules ADD COLUMN retry_count INTEGER NOT NULL DEFAULT 0');
     if (!hasRemoteId) this.db.exec('ALTER TABLE schedules ADD COLUMN remote_id TEXT');
     if (!hasContentAssetId) this.db.exec('ALTER TABLE schedules ADD COLUMN content_asset_id TEXT');
+
+    const accountColumns = this.db.prepare(`PRAGMA table_info(accounts)`).all();
+    const hasPartition = accountColumns.some((col) => col.name === 'partition');
+    const hasSessionSeenAt = accountColumns.some((col) => col.name === 'session_seen_at');
+    if (!hasPartition) this.db.exec('ALTER TABLE accounts ADD COLUMN partition TEXT');
+    if (!hasSessionSeenAt) this.db.exec('ALTER TABLE accounts ADD COLUMN session_seen_at TEXT');
+    this.db.exec(`UPDATE accounts SET partition = 'persist:acct-' || id WHERE partition IS NULL`);
+
+    const assetColumns = this.db.prepare(`PRAGMA table_info(content_assets)`).all();
+    const hasSource = assetColumns.some((col) => col.name === 'source');
+    const hasFilePath = assetColumns.some((col) => col.name === 'file_path');
+    if (!hasSource) this.db.exec(`ALTER TABLE content_assets ADD COLUMN source TEXT NOT NULL DEFAULT 'generated'`);
+    if (!hasFilePath) this.db.exec('ALTER TABLE content_assets ADD COLUMN file_path TEXT');
   }
 
   getPlatforms() {
     return this.platforms;
   }
 
+  /**
+   * 配置 RPA 发布：脚本目录下每个 JSON 文件对应一个平台，runner 负责驱动账号标签页执行步骤
+   */
+  configureRpa({ scriptsDir, runner }) {
+    this.rpa = { ...this.rpa, scriptsDir, runner };
+    return this.reloadRpaScripts();
+  }
+
+  reloadRpaScripts() {
+    const { scriptsDir, runner } = this.rpa;
+    if (!scriptsDir || !runner) throw new Error('rpa is not configured');
+
+    // 先撤销上次加载的脚本，已删除的脚本不再保留适配器
+    for (const { platform } of this.rpa.platforms) {
+      this.adapterRegistry.unregisterAdapter(platform);
+      if (!this.basePlatforms.includes(platform)) this.platforms = this.platforms.filter((item) => item !== platform);
+      if (PLATFORM_CREATOR_URLS[platform]) this.creatorUrls[platform] = PLATFORM_CREATOR_URLS[platform];
+      else delete this.creatorUrls[platform];
+    }
+
+    const loaded = loadRpaScripts(scriptsDir);
+    const errors = [...loaded.errors];
+    const scripts = [];
+    for (const script of loaded.scripts) {
+      // 内置平台已有接口适配器，脚本不得覆盖
+      if (this.adapterRegistry.isBuiltin(script.platform)) {
+        console.warn(`rpa script ${script.file} ignored: platform ${script.platform} has a built-in adapter`);
+        errors.push({ file: script.file, error: `platform ${script.platform} has a built-in adapter` });
+        continue;
+      }
+      scripts.push(script);
+      this.adapterRegistry.registerAdapter(script.platform, new RpaAdapter({ script, runner }));
+      if (!this.platforms.includes(script.platform)) this.platforms.push(script.platform);
+      if (script.creatorUrl) this.creatorUrls[script.platform] = script.creatorUrl;
+    }
+    this.rpa.platforms = scripts.map((script) => ({
+      platform: script.platform,
+      file: script.file,
+      creatorUrl: script.creatorUrl,
+      contentTypes: Object.keys(script.scripts),
+    }));
+    this.rpa.errors = errors;
+    return this.listRpaScripts();
+  }
+
+  listRpaScripts() {
+    return { scripts: this.rpa.platforms, errors: this.rpa.errors };
+  }
+
   buildPlatformConfig() {
     const parse = (prefix, defaults = {}) => ({
       mode: process.env[`${prefix}_MODE`] || defaults.mode || 'mock',
@@ -123,12 +223,63 @@ export class MatrixService {
         nickname,
         ai_enabled as aiEnabled,
         status,
-        created_at as createdAt
+        created_at as createdAt,
+        partition,
+        session_seen_at as sessionSeenAt
       FROM accounts
       ORDER BY created_at DESC
     `).all().map((row) => ({ ...row, aiEnabled: Boolean(row.aiEnabled) }));
   }
 
+  getAccount(id) {
+    const row = this.db.prepare(`
+      SELECT id, platform, nickname, ai_enabled as aiEnabled, status, created_at as createdAt, partition,
+        session_seen_at as sessionSeenAt
+      FROM accounts WHERE id = ? LIMIT 1
+    `).get(id);
+    return row ? { ...row, aiEnabled: Boolean(row.aiEnabled) } : null;
+  }
+
+  getAccountContextTarget({ id }) {
+    const account = this.getAccount(id);
+    if (!account) return null;
+    return {
+      accountId: account.id,
+      partition: account.partition,
+      url: this.creatorUrls[account.platform] || '',
+      name: account.nickname,
+      group: account.platform,
+    };
+  }
+
+  /**
+   * 登录态失效：标记账号并告警，附带受影响的待发布任务数
+   */
+  async markAccountSessionExpired({ id, reason = 'expired', expiresAt = null }) {
+    const account = this.updateAccountStatus({ id, status: 'session_expired' });
+    if (!account) throw new Error('account not found');
+
+    const pendingTasks = this.countPendingSchedules(id);
+    this.logTask(id, 'alert', `告警：账号登录态失效（${reason}），account=${id}，platform=${account.platform}，待发布任务 ${pendingTasks} 个`);
+    await this.sendAlert('account_session_expired', { accountId: id, platform: account.platform, reason, expiresAt, pendingTasks });
+    return account;
+  }
+
+  /**
+   * 记录最近一次检测到有效登录态的时间，巡检据此区分登录态丢失与从未登录
+   */
+  recordAccountSession({ id, seenAt = new Date().toISOString() }) {
+    this.db.prepare('UPDATE accounts SET session_seen_at = ? WHERE id = ?').run(seenAt, id);
+    return seenAt;
+  }
+
+  countPendingSchedules(accountId) {
+    return this.db.prepare(`
+      SELECT COUNT(1) as c FROM schedules
+      WHERE account_id = ? AND status IN ('scheduled','retrying')
+    `).get(accountId).c;
+  }
+
   updateAccountStatus({ id, status }) {
     this.db.prepare(`
       UPDATE accounts
@@ -137,7 +288,8 @@ export class MatrixService {
     `).run(status, id);
 
     return this.db.prepare(`
-      SELECT id, platform, nickname, ai_enabled as aiEnabled, status, created_at as createdAt
+      SELECT id, platform, nickname, ai_enabled as aiEnabled, status, created_at as createdAt, partition,
+        session_seen_at as sessionSeenAt
       FROM accounts WHERE id = ? LIMIT 1
     `).get(id);
   }
@@ -148,19 +300,22 @@ export class MatrixService {
   }
 
   addAccount(payload) {
+    const id = randomUUID();
     const account = {
-      id: randomUUID(),
+      id,
       platform: payload.platform,
       nickname: payload.nickname,
       aiEnabled: Boolean(payload.aiEnabled),
       status: payload.status || 'active',
       createdAt: new Date().toISOString(),
+      partition: buildAccountPartition(id),
+      sessionSeenAt: null,
     };
 
     this.db.prepare(`
-      INSERT INTO accounts (id, platform, nickname, ai_enabled, status, created_at)
-      VALUES (?, ?, ?, ?, ?, ?)
-    `).run(account.id, account.platform, account.nickname, Number(account.aiEnabled), account.status, account.createdAt);
+      INSERT INTO accounts (id, platform, nickname, ai_enabled, status, created_at, partition)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(account.id, account.platform, account.nickname, Number(account.aiEnabled), account.status, account.createdAt, account.partition);
 
     return account;
   }
@@ -223,9 +378,30 @@ export class MatrixService {
     return content;
   }
 
+  saveDownloadedAsset({ filename, savePath, mimeType = '', url = '' }) {
+    const type = mimeType.startsWith('image/') ? '图片' : mimeType.startsWith('video/') ? '视频' : '文件';
+    const asset = {
+      id: randomUUID(),
+      hotspotId: '',
+      type,
+      tone: '',
+      title: filename,
+      body: url,
+      createdAt: new Date().toISOString(),
+      source: 'download',
+      filePath: savePath,
+    };
+
+    this.db.prepare(`
+      INSERT INTO content_assets (id, hotspot_id, type, tone, title, body, created_at, source, file_path)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(asset.id, asset.hotspotId, asset.type, asset.tone, asset.title, asset.body, asset.createdAt, asset.source, asset.filePath);
+    return asset;
+  }
+
   listContentAssets(limit = 50) {
     return this.db.prepare(`
-      SELECT id, hotspot_id as hotspotId, type, tone, title, body, created_at as createdAt
+      SELECT id, hotspot_id as hotspotId, type, tone, title, body, created_at as createdAt, source, file_path as filePath
       FROM content_assets
       ORDER BY created_at DESC
       LIMIT ?
@@ -236,6 +412,95 @@ export class MatrixService {
     this.db.prepare('DELETE FROM content_assets WHERE id = ?').run(id);
     return { id };
   }
+
+  ensureCaptureTargets({ scheduleId, contentAssetId }) {
+    if (scheduleId && !this.db.prepare('SELECT id FROM schedules WHERE id = ?').get(scheduleId)) {
+      throw new Error('schedule not found');
+    }
+    if (contentAssetId && !this.db.prepare('SELECT id FROM content_assets WHERE id = ?').get(contentAssetId)) {
+      throw new Error('content asset not found');
+    }
+  }
+
+  saveCapture({ contextId, url = '', title = '', filePath, width, height, fullPage = false, scheduleId = null, contentAssetId = null }) {
+    this.ensureCaptureTargets({ scheduleId, contentAssetId });
+    const capture = {
+      id: randomUUID(),
+      contextId,
+      url,
+      title,
+      filePath,
+      width,
+      height,
+      fullPage: Boolean(fullPage),
+      scheduleId: scheduleId || null,
+      contentAssetId: contentAssetId || null,
+      createdAt: new Date().toISOString(),
+    };
+
+    this.db.prepare(`
+      INSERT INTO page_captures (id, context_id, url, title, file_path, width, height, full_page, schedule_id, content_asset_id, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      capture.id,
+      capture.contextId,
+      capture.url,
+      capture.title,
+      capture.filePath,
+      capture.width,
+      capture.height,
+      capture.fullPage ? 1 : 0,
+      capture.scheduleId,
+      capture.contentAssetId,
+      capture.createdAt,
+    );
+    return capture;
+  }
+
+  /**
+   * 将截图关联到定时任务或素材（作为发布凭证），未传入的字段保持不变
+   */
+  linkCapture({ id, scheduleId, contentAssetId }) {
+    const existing = this.getCapture(id);
+    if (!existing) throw new Error('capture not found');
+    const next = {
+      scheduleId: scheduleId === undefined ? existing.scheduleId : scheduleId || null,
+      contentAssetId: contentAssetId === undefined ? existing.contentAssetId : contentAssetId || null,
+    };
+    this.ensureCaptureTargets(next);
+    this.db.prepare('UPDATE page_captures SET schedule_id = ?, content_asset_id = ? WHERE id = ?')
+      .run(next.scheduleId, next.contentAssetId, id);
+    return this.getCapture(id);
+  }
+
+  getCapture(id) {
+    return decodeCapture(this.db.prepare(`
+      SELECT ${CAPTURE_COLUMNS}
+      FROM page_captures
+      WHERE id = ?
+    `).get(id));
+  }
+
+  listCaptures({ scheduleId, contentAssetId, limit = 50 } = {}) {
+    const conditions = [];
+    const params = [];
+    if (scheduleId) {
+      conditions.push('schedule_id = ?');
+      params.push(scheduleId);
+    }
+    if (contentAssetId) {
+      conditions.push('content_asset_id = ?');
+      params.push(contentAssetId);
+    }
+
+    return this.db.prepare(`
+      SELECT ${CAPTURE_COLUMNS}
+      FROM page_captures
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY created_at DESC
+      LIMIT ?
+    `).all(...params, limit).map(decodeCapture);
+  }
   schedulePublish(payload) {
     const task = {
       id: randomUUID(),
@@ -378,7 +643,7 @@ export class MatrixService {
       });
     } catch (error) {
       const msg = error instanceof Error ? error.message : 'unknown alert error';
-      this.logTask(details.taskId, 'warn', `告警上报失败：${msg}`);
+      this.logTask(details.taskId || details.accountId, 'warn', `告警上报失败：${msg}`);
     }
   }
 
@@ -443,16 +708,16 @@ export class MatrixService {
     }
 
     const insertAccount = this.db.prepare(`
-      INSERT OR IGNORE INTO accounts (id, platform, nickname, ai_enabled, status, created_at)
-      VALUES (?, ?, ?, ?, ?, ?)
+      INSERT OR IGNORE INTO accounts (id, platform, nickname, ai_enabled, status, created_at, partition)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
     `);
     const insertHotspot = this.db.prepare(`
       INSERT OR IGNORE INTO hotspots (id, platform, topic, heat, collected_at)
       VALUES (?, ?, ?, ?, ?)
     `);
     const insertAsset = this.db.prepare(`
-      INSERT OR IGNORE INTO content_assets (id, hotspot_id, type, tone, title, body, created_at)
-      VALUES (?, ?, ?, ?, ?, ?, ?)
+      INSERT OR IGNORE INTO content_assets (id, hotspot_id, type, tone, title, body, created_at, source, file_path)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
     const insertSchedule = this.db.prepare(`
       INSERT OR IGNORE INTO schedules (id, account_id, content_type, content_asset_id, publish_at, status, created_at, started_at, completed_at, error_message, retry_count, remote_id)
@@ -465,13 +730,13 @@ export class MatrixService {
     const schedules = Array.isArray(snapshot.schedules) ? snapshot.schedules : [];
 
     for (const a of accounts) {
-      insertAccount.run(a.id, a.platform, a.nickname, Number(Boolean(a.aiEnabled)), a.status || 'active', a.createdAt || new Date().toISOString());
+      insertAccount.run(a.id, a.platform, a.nickname, Number(Boolean(a.aiEnabled)), a.status || 'active', a.createdAt || new Date().toISOString(), a.partition || buildAccountPartition(a.id));
     }
     for (const h of hotspots) {
       insertHotspot.run(h.id, h.platform, h.topic, Number(h.heat || 0), h.collectedAt || new Date().toISOString());
     }
     for (const c of assets) {
-      insertAsset.run(c.id, c.hotspotId, c.type, c.tone, c.title, c.body, c.createdAt || new Date().toISOString());
+      insertAsset.run(c.id, c.hotspotId, c.type, c.tone, c.title, c.body, c.createdAt || new Date().toISOString(), c.source || 'generated', c.filePath || null);
     }
     for (const t of schedules) {
       insertSchedule.run(
@@ -531,7 +796,7 @@ export class MatrixService {
         const adapter = this.adapterRegistry.getAdapter(account.platform);
         if (!adapter) throw new Error(`未找到平台适配器: ${account.platform}`);
 
-        const contentAsset = task.contentAssetId ? this.db.prepare('SELECT id, title, body FROM content_assets WHERE id = ? LIMIT 1').get(task.contentAssetId) : null;
+        const contentAsset = task.contentAssetId ? this.db.prepare('SELECT id, title, body, file_path as filePath FROM content_assets WHERE id = ? LIMIT 1').get(task.contentAssetId) : null;
         const result = await adapter.publish({
           account,
           contentType: task.contentType,
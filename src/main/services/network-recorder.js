@@ -0,0 +1,234 @@
+export const DEFAULT_NETWORK_RECORDER = {
+  maxEntries: 500,
+  maxBodyBytes: 64 * 1024,
+};
+
+// 仅保存接口与页面的文本响应，图片、脚本等静态资源体积大且排查价值低
+const BODY_RESOURCE_TYPES = ['Document', 'XHR', 'Fetch'];
+const TEXT_MIME_PATTERN = /^(text\/|application\/(json|[\w.+-]*\+json|xml|[\w.+-]*\+xml|javascript|x-www-form-urlencoded))/i;
+
+function readPositiveInt(value, fallback) {
+  const parsed = Number.parseInt(value ?? '', 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+export function readNetworkRecorderOptions(env = process.env) {
+  return {
+    maxEntries: readPositiveInt(env.NETWORK_LOG_MAX_ENTRIES, DEFAULT_NETWORK_RECORDER.maxEntries),
+    maxBodyBytes: readPositiveInt(env.NETWORK_LOG_MAX_BODY_BYTES, DEFAULT_NETWORK_RECORDER.maxBodyBytes),
+  };
+}
+
+/**
+ * 通过 webContents.debugger 的 Network 域记录标签页的请求与响应，每个标签保留最近 maxEntries 条。
+ * 调试器已被其他功能占用时复用，只断开自己建立的连接；页面重建（唤醒、崩溃恢复）后由调用方重新 bind
+ */
+export class NetworkRecorder {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_NETWORK_RECORDER, ...options };
+    this.recordings = new Map();
+  }
+
+  /**
+   * 开始记录，已在记录时只更新配置；之前的记录保留
+   */
+  start(id, webContents, { maxEntries, captureBodies = true } = {}) {
+    const recording = this.recordings.get(id) || { entries: [], pending: new Map(), startedAt: null };
+    Object.assign(recording, {
+      enabled: true,
+      startedAt: recording.enabled ? recording.startedAt : new Date().toISOString(),
+      maxEntries: maxEntries || recording.maxEntries || this.options.maxEntries,
+      captureBodies,
+    });
+    this.recordings.set(id, recording);
+    if (webContents) this.bind(id, webContents);
+    return this.getStatus(id);
+  }
+
+  stop(id) {
+    const recording = this.recordings.get(id);
+    if (!recording) return this.getStatus(id);
+    this.unbind(id);
+    recording.enabled = false;
+    recording.pending.clear();
+    return this.getStatus(id);
+  }
+
+  isRecording(id) {
+    return Boolean(this.recordings.get(id)?.enabled);
+  }
+
+  /**
+   * 将记录挂到标签当前的 webContents 上
+   */
+  bind(id, webContents) {
+    const recording = this.recordings.get(id);
+    if (!recording?.enabled || recording.webContents === webContents) return;
+    this.unbind(id);
+
+    const dbg = webContents.debugger;
+    let ownsAttachment = false;
+    if (!dbg.isAttached()) {
+      dbg.attach('1.3');
+      ownsAttachment = true;
+    }
+    const onMessage = (_event, method, params) => {
+      this.handleMessage(id, method, params).catch((error) => console.error(`context ${id} network recorder error:`, error));
+    };
+    const onDetach = () => {
+      // 其他功能断开调试器或渲染进程退出时记录随之中断，等待下次 bind
+      if (recording.webContents === webContents) this.release(recording);
+    };
+    dbg.on('message', onMessage);
+    dbg.on('detach', onDetach);
+    Object.assign(recording, { webContents, ownsAttachment, onMessage, onDetach });
+
+    dbg.sendCommand('Network.enable', { maxPostDataSize: this.options.maxBodyBytes })
+      .catch((error) => console.error(`context ${id} Network.enable error:`, error));
+  }
+
+  unbind(id) {
+    const recording = this.recordings.get(id);
+    if (!recording?.webContents) return;
+    const { webContents, ownsAttachment } = recording;
+    this.release(recording);
+    if (webContents.isDestroyed()) return;
+    const dbg = webContents.debugger;
+    if (!dbg.isAttached()) return;
+    if (ownsAttachment) {
+      dbg.detach();
+    } else {
+      dbg.sendCommand('Network.disable').catch(() => {});
+    }
+  }
+
+  release(recording) {
+    const { webContents, onMessage, onDetach } = recording;
+    if (webContents && !webContents.isDestroyed()) {
+      webContents.debugger.removeListener('message', onMessage);
+      webContents.debugger.removeListener('detach', onDetach);
+    }
+    Object.assign(recording, { webContents: null, ownsAttachment: false, onMessage: null, onDetach: null });
+    recording.pending.clear();
+  }
+
+  async handleMessage(id, method, params) {
+    const recording = this.recordings.get(id);
+    if (!recording?.enabled) return;
+    const { pending } = recording;
+
+    switch (method) {
+      case 'Network.requestWillBeSent': {
+        const previous = pending.get(params.requestId);
+        // 重定向复用同一个 requestId，上一跳以重定向响应结束
+        if (previous && params.redirectResponse) {
+          previous.response = this.toResponse(params.redirectResponse);
+          previous.endTimestamp = params.timestamp;
+          this.commit(recording, params.requestId);
+        }
+        if (pending.size >= recording.maxEntries) pending.delete(pending.keys().next().value);
+        pending.set(params.requestId, {
+          requestId: params.requestId,
+          startedDateTime: new Date((params.wallTime || Date.now() / 1000) * 1000).toISOString(),
+          timestamp: params.timestamp,
+          resourceType: params.type || null,
+          request: {
+            method: params.request.method,
+            url: params.request.url,
+            headers: params.request.headers || {},
+            postData: params.request.postData || null,
+          },
+          response: null,
+        });
+        break;
+      }
+      case 'Network.responseReceived': {
+        const entry = pending.get(params.requestId);
+        if (entry) entry.response = this.toResponse(params.response);
+        break;
+      }
+      case 'Network.loadingFinished': {
+        const entry = pending.get(params.requestId);
+        if (!entry) break;
+        entry.endTimestamp = params.timestamp;
+        entry.encodedDataLength = params.encodedDataLength;
+        if (recording.captureBodies) entry.body = await this.readBody(recording, entry);
+        this.commit(recording, params.requestId);
+        break;
+      }
+      case 'Network.loadingFailed': {
+        const entry = pending.get(params.requestId);
+        if (!entry) break;
+        entry.endTimestamp = params.timestamp;
+        entry.error = params.canceled ? 'canceled' : params.blockedReason || params.errorText;
+        this.commit(recording, params.requestId);
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  toResponse(response) {
+    return {
+      status: response.status,
+      statusText: response.statusText,
+      headers: response.headers || {},
+      mimeType: response.mimeType,
+      protocol: response.protocol,
+      remoteIPAddress: response.remoteIPAddress,
+    };
+  }
+
+  async readBody(recording, entry) {
+    if (!BODY_RESOURCE_TYPES.includes(entry.resourceType) || !TEXT_MIME_PATTERN.test(entry.response?.mimeType || '')) return null;
+    const { webContents } = recording;
+    if (!webContents || webContents.isDestroyed()) return null;
+    try {
+      const { body, base64Encoded } = await webContents.debugger.sendCommand('Network.getResponseBody', { requestId: entry.requestId });
+      const truncated = body.length > this.options.maxBodyBytes;
+      return { text: truncated ? body.slice(0, this.options.maxBodyBytes) : body, base64Encoded, truncated };
+    } catch {
+      // 响应体已被释放（如页面跳转）时无法读取
+      return null;
+    }
+  }
+
+  commit(recording, requestId) {
+    const entry = recording.pending.get(requestId);
+    recording.pending.delete(requestId);
+    recording.entries.push(entry);
+    if (recording.entries.length > recording.maxEntries) recording.entries.splice(0, recording.entries.length - recording.maxEntries);
+  }
+
+  getEntries(id) {
+    return [...(this.recordings.get(id)?.entries || [])];
+  }
+
+  clear(id) {
+    const recording = this.recordings.get(id);
+    if (recording) recording.entries = [];
+    return this.getStatus(id);
+  }
+
+  /**
+   * 标签关闭时丢弃记录
+   */
+  remove(id) {
+    this.unbind(id);
+    this.recordings.delete(id);
+  }
+
+  getStatus(id) {
+    const recording = this.recordings.get(id);
+    return {
+      contextId: id,
+      recording: Boolean(recording?.enabled),
+      attached: Boolean(recording?.webContents),
+      startedAt: recording?.startedAt || null,
+      entryCount: recording?.entries.length || 0,
+      maxEntries: recording?.maxEntries || this.options.maxEntries,
+      captureBodies: recording ? recording.captureBodies : true,
+    };
+  }
+}
@@ -0,0 +1,79 @@
+export const MAX_FULL_PAGE_HEIGHT = 16384;
+
+const PAGE_METRICS_SCRIPT = `({
+  scrollHeight: Math.max(document.documentElement.scrollHeight, document.body ? document.body.scrollHeight : 0),
+  viewportHeight: window.innerHeight,
+  scrollY: window.scrollY,
+})`;
+
+function buildScrollScript(y) {
+  return `new Promise((resolve) => {
+  window.scrollTo(0, ${Math.round(y)});
+  requestAnimationFrame(() => requestAnimationFrame(() => resolve(window.scrollY)));
+})`;
+}
+
+/**
+ * 计算整页截图需要滚动到的位置（CSS 像素），最后一屏贴底，超过 maxHeight 的部分不截取
+ */
+export function planScrollPositions(scrollHeight, viewportHeight, maxHeight = MAX_FULL_PAGE_HEIGHT) {
+  const total = Math.min(scrollHeight, maxHeight);
+  if (viewportHeight <= 0 || total <= viewportHeight) return [0];
+
+  const positions = [];
+  for (let y = 0; y + viewportHeight < total; y += viewportHeight) positions.push(y);
+  positions.push(total - viewportHeight);
+  return positions;
+}
+
+/**
+ * 将多张等宽的 BGRA 位图按纵向偏移拼接成一张，重叠部分以后面的切片为准
+ * @param {Array<{bitmap: Buffer, height: number, top: number}>} slices
+ * @param {{width: number, height: number}} size - 拼接结果尺寸（像素）
+ * @returns {Buffer}
+ */
+export function stitchBitmapSlices(slices, { width, height }) {
+  const rowBytes = width * 4;
+  const output = Buffer.alloc(rowBytes * height);
+  for (const { bitmap, height: sliceHeight, top } of slices) {
+    const rows = Math.min(sliceHeight, height - top);
+    for (let row = 0; row < rows; row += 1) {
+      bitmap.copy(output, (top + row) * rowBytes, row * rowBytes, (row + 1) * rowBytes);
+    }
+  }
+  return output;
+}
+
+/**
+ * 逐屏滚动截图并拼接为整页图片，完成后恢复原滚动位置
+ * @param {Object} webContents
+ * @param {Object} params
+ * @param {Function} params.createImageFromBitmap - nativeImage.createFromBitmap
+ * @param {number} [params.maxHeight] - 最大截取高度（CSS 像素）
+ */
+export async function captureFullPage(webContents, { createImageFromBitmap, maxHeight = MAX_FULL_PAGE_HEIGHT }) {
+  const metrics = await webContents.executeJavaScript(PAGE_METRICS_SCRIPT);
+  const positions = planScrollPositions(metrics.scrollHeight, metrics.viewportHeight, maxHeight);
+  const shots = [];
+
+  try {
+    for (const y of positions) {
+      const scrollY = await webContents.executeJavaScript(buildScrollScript(y));
+      shots.push({ image: await webContents.capturePage(), scrollY });
+    }
+  } finally {
+    await webContents.executeJavaScript(`window.scrollTo(0, ${Math.round(metrics.scrollY)})`).catch(() => {});
+  }
+
+  const scaleFactor = shots[0].image.getScaleFactors?.()[0] || 1;
+  const { width, height: shotHeight } = shots[0].image.getSize(scaleFactor);
+  const pixelRatio = shotHeight / metrics.viewportHeight;
+  const height = Math.max(shotHeight, Math.round(Math.min(metrics.scrollHeight, maxHeight) * pixelRatio));
+
+  const bitmap = stitchBitmapSlices(shots.map(({ image, scrollY }) => ({
+    bitmap: image.toBitmap({ scaleFactor }),
+    height: image.getSize(scaleFactor).height,
+    top: Math.round(scrollY * pixelRatio),
+  })), { width, height });
+  return createImageFromBitmap(bitmap, { width, height, scaleFactor });
+}
@@ -0,0 +1,75 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+const PERSIST_PREFIX = 'persist:';
+
+export function isPersistentPartition(partition) {
+  return typeof partition === 'string' && partition.startsWith(PERSIST_PREFIX);
+}
+
+/**
+ * Electron 将 persist:<name> 的数据保存在 <userData>/Partitions/<name>，内存 partition 无磁盘目录
+ */
+export function getPartitionDir(userDataDir, partition) {
+  if (!isPersistentPartition(partition)) return null;
+  const name = encodeURIComponent(partition.slice(PERSIST_PREFIX.length));
+  if (!name || name === '.' || name === '..') return null;
+  return path.join(userDataDir, 'Partitions', name);
+}
+
+function measureDir(dir) {
+  let total = 0;
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const target = path.join(dir, entry.name);
+    try {
+      if (entry.isDirectory()) total += measureDir(target);
+      else if (entry.isFile()) total += fs.statSync(target).size;
+    } catch {
+      // 浏览器运行中文件可能被删除或占用，统计时忽略
+    }
+  }
+  return total;
+}
+
+export function listPartitionDirs(userDataDir) {
+  const root = path.join(userDataDir, 'Partitions');
+  if (!fs.existsSync(root)) return [];
+  return fs.readdirSync(root, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory())
+    .map((entry) => {
+      const dir = path.join(root, entry.name);
+      return { partition: `${PERSIST_PREFIX}${decodeURIComponent(entry.name)}`, dir, sizeBytes: measureDir(dir) };
+    });
+}
+
+/**
+ * 列出磁盘上未被任何标签、已保存会话或账号引用的 partition
+ * @param {string} userDataDir
+ * @param {Iterable<string>} inUse - 仍在使用的 partition
+ */
+export function findOrphanedPartitions(userDataDir, inUse) {
+  const used = new Set(inUse);
+  return listPartitionDirs(userDataDir).filter((entry) => !used.has(entry.partition));
+}
+
+/**
+ * 删除 partition 目录；文件被占用等原因失败时返回错误，由调用方决定是否延后删除
+ */
+export function removePartitionDir(userDataDir, partition) {
+  const dir = getPartitionDir(userDataDir, partition);
+  if (!dir) return { partition, removed: false, error: 'partition is not persistent' };
+  try {
+    fs.rmSync(dir, { recursive: true, force: true });
+    return { partition, removed: true };
+  } catch (error) {
+    return { partition, removed: false, error: error.message };
+  }
+}
+
+/**
+ * 清空 session 的 Cookie、存储与缓存
+ */
+export async function wipeSessionData(ses) {
+  await ses.clearStorageData();
+  await ses.clearCache();
+}
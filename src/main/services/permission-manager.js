@@ -0,0 +1,104 @@
+import { randomUUID } from 'node:crypto';
+import { resolvePermissionDecision, toPermissionOrigin } from '../utils/permission-policy.js';
+
+const DEFAULT_PROMPT_TIMEOUT_MS = 60 * 1000;
+
+/**
+ * 为标签页 session 安装权限处理器：按标签策略放行或拒绝，"ask" 时交由渲染进程确认
+ */
+export class PermissionManager {
+  constructor({ resolveContext, onPrompt = () => {}, onResolved = () => {}, onRemember = () => {}, timeoutMs = DEFAULT_PROMPT_TIMEOUT_MS } = {}) {
+    this.resolveContext = resolveContext;
+    this.onPrompt = onPrompt;
+    this.onResolved = onResolved;
+    this.onRemember = onRemember;
+    this.timeoutMs = timeoutMs;
+    this.pending = new Map();
+    this.sessions = new WeakSet();
+  }
+
+  attachSession(ses) {
+    if (this.sessions.has(ses)) return;
+    this.sessions.add(ses);
+    ses.setPermissionRequestHandler((webContents, permission, callback, details = {}) => {
+      this.handleRequest(webContents, permission, callback, details);
+    });
+    ses.setPermissionCheckHandler((webContents, permission, requestingOrigin) => this.checkPermission(webContents, permission, requestingOrigin));
+  }
+
+  checkPermission(webContents, permission, requestingOrigin) {
+    const ctx = this.resolveContext(webContents);
+    if (!ctx) return false;
+    // 'ask' 未经用户允许前不能报告为已授予，否则 Notification.permission 等直接返回 granted，绕过询问
+    return resolvePermissionDecision(ctx.permissions, permission, requestingOrigin) === 'allow';
+  }
+
+  handleRequest(webContents, permission, callback, details = {}) {
+    const ctx = this.resolveContext(webContents);
+    if (!ctx) {
+      callback(false);
+      return null;
+    }
+
+    const origin = toPermissionOrigin(details.requestingUrl || webContents?.getURL?.() || '');
+    const decision = resolvePermissionDecision(ctx.permissions, permission, origin);
+    if (decision !== 'ask') {
+      callback(decision === 'allow');
+      return null;
+    }
+
+    // 同一标签同一来源的相同权限只弹出一次提示，结果同时回复给所有等待的请求
+    const existing = [...this.pending.values()].find((request) => (
+      request.contextId === ctx.id && request.origin === origin && request.permission === permission
+    ));
+    if (existing) {
+      existing.callbacks.push(callback);
+      return existing.id;
+    }
+
+    const request = {
+      id: randomUUID(),
+      contextId: ctx.id,
+      permission,
+      origin,
+      mediaTypes: details.mediaTypes || [],
+      createdAt: new Date().toISOString(),
+      callbacks: [callback],
+    };
+    request.timer = setTimeout(() => this.respond(request.id, { allow: false }), this.timeoutMs);
+    this.pending.set(request.id, request);
+    this.onPrompt(this.describe(request));
+    return request.id;
+  }
+
+  respond(id, { allow = false, remember = false } = {}) {
+    const request = this.pending.get(id);
+    if (!request) return false;
+
+    clearTimeout(request.timer);
+    this.pending.delete(id);
+    request.callbacks.forEach((callback) => callback(Boolean(allow)));
+    if (remember) {
+      this.onRemember(request.contextId, { origin: request.origin, permission: request.permission, allow: Boolean(allow) });
+    }
+    this.onResolved({ ...this.describe(request), allow: Boolean(allow) });
+    return true;
+  }
+
+  // 关闭或休眠标签时拒绝其未处理的请求
+  cancelContext(contextId) {
+    [...this.pending.values()]
+      .filter((request) => request.contextId === contextId)
+      .forEach((request) => this.respond(request.id, { allow: false }));
+  }
+
+  listPending({ contextId } = {}) {
+    return [...this.pending.values()]
+      .filter((request) => !contextId || request.contextId === contextId)
+      .map((request) => this.describe(request));
+  }
+
+  describe({ id, contextId, permission, origin, mediaTypes, createdAt }) {
+    return { id, contextId, permission, origin, mediaTypes, createdAt };
+  }
+}
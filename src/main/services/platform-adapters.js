@@ -1,4 +1,5 @@
 import { createHmac } from 'node:crypto';
+import { selectRpaSteps } from '../utils/rpa-script.js';
 
 function wait(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
@@ -16,6 +17,7 @@ export class PlatformApiError extends Error {
   static TIMEOUT = 'TIMEOUT';
   static CAPTCHA_REQUIRED = 'CAPTCHA_REQUIRED';
   static CONTENT_VIOLATION = 'CONTENT_VIOLATION';
+  static AUTOMATION_FAILED = 'AUTOMATION_FAILED';
 
   constructor(message, code = 'UNKNOWN') {
     super(message);
@@ -958,6 +960,54 @@ class ToutiaoAdapter extends BaseAdapter {
   }
 }
 
+/**
+ * 无开放 API 的平台：在账号的隔离标签页中按声明式脚本操作创作者中心完成发布
+ * runner 由主进程注入，负责定位账号标签页并通过 CDP 执行步骤
+ */
+export class RpaAdapter extends BaseAdapter {
+  constructor({ script, runner, timeoutMs } = {}) {
+    super(script?.platform || 'rpa', { mode: 'mock', timeoutMs });
+    if (!script || !script.scripts) throw new PlatformApiError('RPA 适配器缺少发布脚本', 'INVALID_CONFIG');
+    if (typeof runner !== 'function') throw new PlatformApiError(`平台 ${this.name} 的 RPA 适配器缺少 runner`, 'INVALID_CONFIG');
+    this.mode = 'rpa';
+    this.script = script;
+    this.runner = runner;
+  }
+
+  async publish({ account, contentType, contentAsset }) {
+    await this.enforceRateLimit(500);
+
+    const steps = selectRpaSteps(this.script, contentType);
+    if (!steps) {
+      throw new PlatformApiError(`平台 ${this.name} 未配置内容类型 ${contentType} 的 RPA 脚本`, PlatformApiError.INVALID_PAYLOAD);
+    }
+
+    try {
+      const result = await this.runner({
+        account,
+        creatorUrl: this.script.creatorUrl,
+        steps,
+        stepTimeoutMs: this.script.stepTimeoutMs,
+        vars: {
+          title: contentAsset?.title || '',
+          body: contentAsset?.body || '',
+          filePath: contentAsset?.filePath || '',
+          contentType,
+          accountId: account.id,
+          nickname: account.nickname,
+        },
+      });
+      return { ok: true, platform: this.name, remoteId: `rpa-${Date.now()}`, url: result.url, steps: result.steps };
+    } catch (error) {
+      if (error instanceof PlatformApiError) throw error;
+      const msg = error instanceof Error ? error.message : String(error);
+      throw new PlatformApiError(`RPA 发布失败: ${msg}`, PlatformApiError.AUTOMATION_FAILED);
+    }
+  }
+}
+
+const BUILTIN_PLATFORMS = ['抖音', '小红书', '头条'];
+
 export class PlatformAdapterRegistry {
   constructor(config = {}) {
     this.adapters = new Map([
@@ -970,4 +1020,16 @@ export class PlatformAdapterRegistry {
   getAdapter(platform) {
     return this.adapters.get(platform);
   }
+
+  isBuiltin(platform) {
+    return BUILTIN_PLATFORMS.includes(platform);
+  }
+
+  registerAdapter(platform, adapter) {
+    this.adapters.set(platform, adapter);
+  }
+
+  unregisterAdapter(platform) {
+    this.adapters.delete(platform);
+  }
 }
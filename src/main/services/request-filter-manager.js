@@ -0,0 +1,90 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { compileFilterRules, matchFilterRule, parseFilterList } from '../utils/request-filter.js';
+
+/**
+ * 在标签页 session 的 webRequest.onBeforeRequest 上按规则列表拦截或重定向请求，
+ * 规则列表从本地目录加载，每个标签可单独开启并选择使用的列表
+ */
+export class RequestFilterManager {
+  constructor({ listsDir, resolveContext } = {}) {
+    this.listsDir = listsDir;
+    this.resolveContext = resolveContext;
+    this.lists = new Map();
+    this.compiledCache = new Map();
+    this.stats = new Map();
+    this.sessions = new WeakSet();
+  }
+
+  loadLists() {
+    this.lists.clear();
+    this.compiledCache.clear();
+    if (!fs.existsSync(this.listsDir)) return this.listLists();
+
+    for (const file of fs.readdirSync(this.listsDir).filter((name) => name.endsWith('.txt')).sort()) {
+      const id = path.basename(file, '.txt');
+      const filePath = path.join(this.listsDir, file);
+      this.lists.set(id, { id, file: filePath, rules: parseFilterList(fs.readFileSync(filePath, 'utf8'), id) });
+    }
+    return this.listLists();
+  }
+
+  listLists() {
+    return [...this.lists.values()].map(({ id, file, rules }) => ({ id, file, ruleCount: rules.length }));
+  }
+
+  getCompiled(listIds) {
+    const ids = (listIds || [...this.lists.keys()]).filter((id) => this.lists.has(id));
+    const key = ids.join('\n');
+    if (!this.compiledCache.has(key)) {
+      this.compiledCache.set(key, compileFilterRules(ids.flatMap((id) => this.lists.get(id).rules)));
+    }
+    return this.compiledCache.get(key);
+  }
+
+  attachSession(ses) {
+    if (this.sessions.has(ses)) return;
+    this.sessions.add(ses);
+    ses.webRequest.onBeforeRequest((details, callback) => callback(this.handleRequest(details)));
+  }
+
+  /**
+   * @returns {Object} onBeforeRequest 回调的响应：{} 放行、{ cancel } 拦截或 { redirectURL } 重定向
+   */
+  handleRequest(details) {
+    // 不拦截页面主文档，避免用户主动打开的地址被规则误伤
+    if (details.resourceType === 'mainFrame') return {};
+    const ctx = this.resolveContext(details.webContents);
+    if (!ctx?.requestFilter?.enabled) return {};
+
+    const compiled = this.getCompiled(ctx.requestFilter.lists);
+    // 已重定向过来的请求不再匹配，目标地址命中规则（包括规则自身）时不会反复重定向
+    if (compiled.redirectTargets.has(details.url)) return {};
+    const rule = matchFilterRule(compiled, details.url);
+    if (!rule) return {};
+
+    this.record(ctx.id, rule);
+    return rule.redirect ? { redirectURL: rule.redirect } : { cancel: true };
+  }
+
+  record(contextId, rule) {
+    const stats = this.stats.get(contextId) || { blocked: 0, redirected: 0, byList: {}, byHost: {} };
+    if (rule.redirect) stats.redirected += 1;
+    else stats.blocked += 1;
+    stats.byList[rule.listId] = (stats.byList[rule.listId] || 0) + 1;
+    const host = rule.type === 'domain' ? rule.value : rule.raw;
+    stats.byHost[host] = (stats.byHost[host] || 0) + 1;
+    this.stats.set(contextId, stats);
+  }
+
+  getStats(contextId) {
+    const stats = this.stats.get(contextId);
+    return stats
+      ? { contextId, ...stats, byList: { ...stats.byList }, byHost: { ...stats.byHost } }
+      : { contextId, blocked: 0, redirected: 0, byList: {}, byHost: {} };
+  }
+
+  resetStats(contextId) {
+    return this.stats.delete(contextId);
+  }
+}
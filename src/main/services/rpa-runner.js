@@ -0,0 +1,144 @@
+import { DEFAULT_RPA_STEP_TIMEOUT_MS, renderRpaStep } from '../utils/rpa-script.js';
+
+function wait(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * 通过 webContents.debugger（CDP）驱动标签页；调试器已被其他功能占用时复用，不负责断开
+ */
+export class CdpDriver {
+  constructor(webContents, { pollIntervalMs = 200 } = {}) {
+    this.webContents = webContents;
+    this.pollIntervalMs = pollIntervalMs;
+    this.ownsAttachment = false;
+  }
+
+  attach() {
+    const dbg = this.webContents.debugger;
+    if (!dbg.isAttached()) {
+      dbg.attach('1.3');
+      this.ownsAttachment = true;
+    }
+  }
+
+  detach() {
+    const dbg = this.webContents.debugger;
+    if (this.ownsAttachment && dbg.isAttached()) dbg.detach();
+    this.ownsAttachment = false;
+  }
+
+  send(method, params = {}) {
+    return this.webContents.debugger.sendCommand(method, params);
+  }
+
+  async evaluate(expression) {
+    const { result, exceptionDetails } = await this.send('Runtime.evaluate', { expression, returnByValue: true, awaitPromise: true });
+    if (exceptionDetails) throw new Error(exceptionDetails.exception?.description || exceptionDetails.text || 'evaluate failed');
+    return result?.value;
+  }
+
+  async waitFor(expression, timeoutMs, description) {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+      // 导航过程中上下文可能被销毁，忽略单次求值失败
+      const value = await this.evaluate(expression).catch(() => undefined);
+      if (value) return value;
+      if (Date.now() >= deadline) throw new Error(`timed out after ${timeoutMs}ms waiting for ${description}`);
+      await wait(this.pollIntervalMs);
+    }
+  }
+
+  async querySelector(selector) {
+    const { root } = await this.send('DOM.getDocument', { depth: 0 });
+    const { nodeId } = await this.send('DOM.querySelector', { nodeId: root.nodeId, selector });
+    if (!nodeId) throw new Error(`element not found: ${selector}`);
+    return nodeId;
+  }
+
+  async navigate(url, timeoutMs) {
+    const { errorText } = await this.send('Page.navigate', { url });
+    if (errorText) throw new Error(`navigation failed: ${errorText}`);
+    await this.waitFor(`document.readyState === 'complete'`, timeoutMs, `page load of ${url}`);
+  }
+
+  waitForSelector(selector, timeoutMs) {
+    return this.waitFor(`Boolean(document.querySelector(${JSON.stringify(selector)}))`, timeoutMs, `selector ${selector}`);
+  }
+
+  async click(selector) {
+    const nodeId = await this.querySelector(selector);
+    await this.send('DOM.scrollIntoViewIfNeeded', { nodeId });
+    const { model } = await this.send('DOM.getBoxModel', { nodeId });
+    const [x1, y1, , , x3, y3] = model.content;
+    const point = { x: (x1 + x3) / 2, y: (y1 + y3) / 2, button: 'left', clickCount: 1 };
+    await this.send('Input.dispatchMouseEvent', { type: 'mousePressed', ...point });
+    await this.send('Input.dispatchMouseEvent', { type: 'mouseReleased', ...point });
+  }
+
+  async type(selector, text) {
+    await this.send('DOM.focus', { nodeId: await this.querySelector(selector) });
+    await this.send('Input.insertText', { text });
+  }
+
+  async upload(selector, files) {
+    await this.send('DOM.setFileInputFiles', { nodeId: await this.querySelector(selector), files });
+  }
+
+  async assert({ selector, text, url }, timeoutMs) {
+    const checks = [];
+    if (url) checks.push(`location.href.includes(${JSON.stringify(url)})`);
+    if (selector) checks.push(`Boolean(document.querySelector(${JSON.stringify(selector)}))`);
+    if (text) {
+      const scope = selector ? `document.querySelector(${JSON.stringify(selector)})` : 'document.body';
+      checks.push(`((${scope} || {}).innerText || '').includes(${JSON.stringify(text)})`);
+    }
+    await this.waitFor(checks.join(' && '), timeoutMs, `assertion ${JSON.stringify({ selector, text, url })}`);
+  }
+}
+
+async function runStep(driver, step, timeoutMs) {
+  switch (step.action) {
+    case 'navigate':
+      return driver.navigate(step.url, timeoutMs);
+    case 'waitForSelector':
+      return driver.waitForSelector(step.selector, timeoutMs);
+    case 'type':
+      await driver.waitForSelector(step.selector, timeoutMs);
+      return driver.type(step.selector, step.text);
+    case 'upload':
+      if (step.files.length === 0) throw new Error('no files to upload');
+      await driver.waitForSelector(step.selector, timeoutMs);
+      return driver.upload(step.selector, step.files);
+    case 'click':
+      await driver.waitForSelector(step.selector, timeoutMs);
+      return driver.click(step.selector);
+    case 'assert':
+      return driver.assert(step, timeoutMs);
+    default:
+      throw new Error(`unsupported action: ${step.action}`);
+  }
+}
+
+/**
+ * 依次执行声明式步骤，任一必需步骤失败即中止并抛出带步骤序号的错误
+ * @param {CdpDriver} driver
+ * @param {Array} steps - normalizeRpaScript 规范化后的步骤
+ * @param {Object} [options]
+ * @param {Object} [options.vars] - 模板变量，如 title/body/filePath
+ * @param {number} [options.stepTimeoutMs] - 单步默认超时
+ */
+export async function runRpaSteps(driver, steps, { vars = {}, stepTimeoutMs = DEFAULT_RPA_STEP_TIMEOUT_MS } = {}) {
+  const completed = [];
+  for (const [index, rawStep] of steps.entries()) {
+    const step = renderRpaStep(rawStep, vars);
+    try {
+      await runStep(driver, step, step.timeoutMs || stepTimeoutMs);
+      completed.push({ index, action: step.action, ok: true });
+    } catch (error) {
+      if (!step.optional) throw new Error(`step ${index + 1} (${step.action}) failed: ${error.message}`);
+      completed.push({ index, action: step.action, ok: false, error: error.message });
+    }
+  }
+  return { steps: completed, url: await driver.evaluate('location.href').catch(() => '') };
+}
@@ -0,0 +1,92 @@
+import { DEFAULT_SESSION_EXPIRY_MARGIN_MS, evaluateSessionCookies } from '../utils/session-health.js';
+
+// 参与巡检的账号状态，其余状态（如手动停用）不自动修改
+const CHECKED_STATUSES = ['active', 'session_expired'];
+
+export class SessionHealthChecker {
+  /**
+   * @param {Object} options
+   * @param {Function} options.getCookies - (partition) => Promise<Cookie[]>
+   * @param {Function} [options.hasPartition] - (partition) => boolean，partition 尚未在磁盘上创建的账号不参与巡检
+   */
+  constructor({ matrixService, getCookies, hasPartition = () => true, cookieNames = {}, expiryMarginMs = DEFAULT_SESSION_EXPIRY_MARGIN_MS } = {}) {
+    this.matrixService = matrixService;
+    this.getCookies = getCookies;
+    this.hasPartition = hasPartition;
+    this.cookieNames = cookieNames;
+    this.expiryMarginMs = expiryMarginMs;
+    // accountId -> 已告警的即将过期时间，避免每轮重复告警
+    this.expiringAlerts = new Map();
+    this.running = null;
+  }
+
+  async checkAccount(account, { now = Date.now() } = {}) {
+    const cookies = await this.getCookies(account.partition);
+    const health = evaluateSessionCookies(cookies, this.cookieNames[account.platform], { now, expiryMarginMs: this.expiryMarginMs });
+    const result = {
+      accountId: account.id,
+      platform: account.platform,
+      health: health.status,
+      cookie: health.cookie || null,
+      expiresAt: health.expiresAt || null,
+      status: account.status,
+    };
+
+    // 从未登录过的账号本就没有登录态 Cookie，不算失效
+    if (health.status === 'missing' && !account.sessionSeenAt) return result;
+
+    if (health.status === 'missing' || health.status === 'expired') {
+      this.expiringAlerts.delete(account.id);
+      if (account.status !== 'session_expired') {
+        result.status = (await this.matrixService.markAccountSessionExpired({ id: account.id, reason: health.status, expiresAt: health.expiresAt })).status;
+      }
+      return result;
+    }
+
+    if (health.status === 'valid' || health.status === 'expiring') {
+      this.matrixService.recordAccountSession({ id: account.id, seenAt: new Date(now).toISOString() });
+    }
+
+    if (health.status === 'expiring' && this.expiringAlerts.get(account.id) !== health.expiresAt) {
+      this.expiringAlerts.set(account.id, health.expiresAt);
+      await this.matrixService.sendAlert('account_session_expiring', {
+        accountId: account.id,
+        platform: account.platform,
+        expiresAt: health.expiresAt,
+        pendingTasks: this.matrixService.countPendingSchedules(account.id),
+      });
+    }
+
+    // 重新登录后自动恢复
+    if (health.status !== 'unknown' && account.status === 'session_expired') {
+      result.status = this.matrixService.updateAccountStatus({ id: account.id, status: 'active' }).status;
+    }
+    return result;
+  }
+
+  /**
+   * 巡检全部绑定 partition 的账号，同一时间只运行一轮
+   */
+  checkAll(options) {
+    if (!this.running) {
+      this.running = this.runCheck(options).finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  async runCheck(options) {
+    const results = [];
+    const accounts = this.matrixService.listAccounts()
+      .filter((account) => account.partition && CHECKED_STATUSES.includes(account.status) && this.hasPartition(account.partition));
+    for (const account of accounts) {
+      try {
+        results.push(await this.checkAccount(account, options));
+      } catch (error) {
+        results.push({ accountId: account.id, platform: account.platform, status: account.status, health: 'error', error: error.message });
+      }
+    }
+    return results;
+  }
+}
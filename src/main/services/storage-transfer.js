@@ -0,0 +1,129 @@
+import { createCipheriv, createDecipheriv, randomBytes, scryptSync } from 'node:crypto';
+
+const BUNDLE_VERSION = 1;
+const CIPHER = 'aes-256-gcm';
+
+export const LOCAL_STORAGE_READ_SCRIPT = 'JSON.stringify(Object.fromEntries(Object.entries(window.localStorage)))';
+
+export function buildLocalStorageWriteScript(items) {
+  return `(() => {
+  const items = ${JSON.stringify(items)};
+  for (const [key, value] of Object.entries(items)) window.localStorage.setItem(key, value);
+  return Object.keys(items).length;
+})();`;
+}
+
+function deriveKey(passphrase, salt) {
+  return scryptSync(passphrase, salt, 32);
+}
+
+export function encryptBundle(bundle, passphrase) {
+  const salt = randomBytes(16);
+  const iv = randomBytes(12);
+  const cipher = createCipheriv(CIPHER, deriveKey(passphrase, salt), iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(bundle), 'utf8'), cipher.final()]);
+  return {
+    version: BUNDLE_VERSION,
+    encrypted: true,
+    algorithm: CIPHER,
+    salt: salt.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64'),
+  };
+}
+
+export function decryptBundle(payload, passphrase) {
+  if (!passphrase) throw new Error('bundle is encrypted, passphrase required');
+  try {
+    const decipher = createDecipheriv(CIPHER, deriveKey(passphrase, Buffer.from(payload.salt, 'base64')), Buffer.from(payload.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(payload.tag, 'base64'));
+    const plain = Buffer.concat([decipher.update(Buffer.from(payload.data, 'base64')), decipher.final()]);
+    return JSON.parse(plain.toString('utf8'));
+  } catch {
+    throw new Error('failed to decrypt bundle, wrong passphrase or corrupted data');
+  }
+}
+
+/**
+ * 解析导入的存储包，加密包需提供口令
+ */
+export function parseBundle(input, passphrase) {
+  const bundle = input?.encrypted ? decryptBundle(input, passphrase) : input;
+  if (!bundle || bundle.version !== BUNDLE_VERSION || !Array.isArray(bundle.cookies)) {
+    throw new Error('invalid storage bundle');
+  }
+  return { ...bundle, localStorage: bundle.localStorage || {} };
+}
+
+/**
+ * 将 cookies.get 返回的 Cookie 转换为 cookies.set 的参数
+ */
+export function toCookieSetDetails(cookie) {
+  const host = cookie.domain.replace(/^\./, '');
+  const details = {
+    url: `${cookie.secure ? 'https' : 'http'}://${host}${cookie.path || '/'}`,
+    name: cookie.name,
+    value: cookie.value,
+    path: cookie.path || '/',
+    secure: Boolean(cookie.secure),
+    httpOnly: Boolean(cookie.httpOnly),
+  };
+  if (!cookie.hostOnly) details.domain = cookie.domain;
+  if (!cookie.session && cookie.expirationDate) details.expirationDate = cookie.expirationDate;
+  if (cookie.sameSite && cookie.sameSite !== 'unspecified') details.sameSite = cookie.sameSite;
+  return details;
+}
+
+/**
+ * 导出标签页 session 的 Cookie，以及当前页面源下的 localStorage
+ * @param {Object} params
+ * @param {Object} params.ses - Electron Session
+ * @param {Object} [params.webContents] - 读取 localStorage 的标签页
+ * @param {boolean} [params.includeLocalStorage] - 需要已加载的页面，标签休眠时报错而不是返回空的 localStorage
+ * @param {string} [params.passphrase] - 提供时对导出包加密
+ */
+export async function exportSessionStorage({ ses, webContents, partition, includeLocalStorage = false, passphrase }) {
+  const cookies = await ses.cookies.get({});
+  const localStorage = {};
+
+  if (includeLocalStorage && (!webContents || webContents.isDestroyed())) {
+    throw new Error('context is hibernated, activate it before copying localStorage');
+  }
+  if (includeLocalStorage) {
+    const currentUrl = webContents.getURL();
+    if (/^https?:/.test(currentUrl)) {
+      const raw = await webContents.executeJavaScript(LOCAL_STORAGE_READ_SCRIPT);
+      localStorage[new URL(currentUrl).origin] = JSON.parse(raw);
+    }
+  }
+
+  const bundle = {
+    version: BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    partition,
+    cookies,
+    localStorage,
+  };
+  return passphrase ? encryptBundle(bundle, passphrase) : bundle;
+}
+
+/**
+ * 将存储包中的 Cookie 写入目标 session，返回成功/失败数量与待写入的 localStorage
+ */
+export async function importSessionStorage({ ses, bundle }) {
+  let imported = 0;
+  const failed = [];
+
+  for (const cookie of bundle.cookies) {
+    try {
+      await ses.cookies.set(toCookieSetDetails(cookie));
+      imported += 1;
+    } catch (error) {
+      failed.push({ name: cookie.name, domain: cookie.domain, error: error.message });
+    }
+  }
+  await ses.cookies.flushStore();
+
+  return { cookies: imported, failed, localStorage: bundle.localStorage };
+}
@@ -0,0 +1,295 @@
+import path from 'node:path';
+import fs from 'node:fs';
+import Database from 'better-sqlite3';
+
+// 随标签页一起持久化的扩展字段：字段名 -> [列名, 是否 JSON 序列化]
+const SETTING_COLUMNS = {
+  accountId: ['account_id', false],
+  openerId: ['opener_id', false],
+  popupPolicy: ['popup_policy', false],
+  name: ['name', false],
+  color: ['color', false],
+  group: ['group_name', false],
+  permissions: ['permissions_json', true],
+  requestFilter: ['request_filter_json', true],
+  navigationPolicy: ['navigation_policy_json', true],
+  extensions: ['extensions_json', true],
+  fingerprint: ['fingerprint_json', true],
+  device: ['device_json', true],
+  region: ['region_json', true],
+  proxy: ['proxy_json', true],
+};
+
+const SELECT_COLUMNS = [
+  'id',
+  'partition',
+  'last_url as lastUrl',
+  'title',
+  'sort_order as sortOrder',
+  'created_at as createdAt',
+  'updated_at as updatedAt',
+  ...Object.entries(SETTING_COLUMNS).map(([field, [column]]) => `${column} as "${field}"`),
+].join(', ');
+
+// 代理密码只以加密形式落盘，无法加密时不保存，恢复后需重新填写
+function sealProxy(proxy, secretCodec) {
+  const { password, ...rest } = proxy;
+  const encrypted = password && secretCodec ? secretCodec.encrypt(password) : null;
+  return encrypted ? { ...rest, encryptedPassword: encrypted } : rest;
+}
+
+function openProxy(proxy, secretCodec) {
+  const { encryptedPassword, ...rest } = proxy;
+  if (!encryptedPassword) return { ...rest, password: rest.password || '' };
+  try {
+    return { ...rest, password: secretCodec ? secretCodec.decrypt(encryptedPassword) : '' };
+  } catch (error) {
+    console.error('proxy password decrypt error:', error);
+    return { ...rest, password: '' };
+  }
+}
+
+function encodeSetting(field, value, secretCodec) {
+  if (value === undefined || value === null) return null;
+  if (field === 'proxy') return JSON.stringify(sealProxy(value, secretCodec));
+  return SETTING_COLUMNS[field][1] ? JSON.stringify(value) : value;
+}
+
+function decodeRow(row, secretCodec) {
+  if (!row) return null;
+  const session = { ...row };
+  for (const [field, [, isJson]] of Object.entries(SETTING_COLUMNS)) {
+    if (isJson) session[field] = row[field] ? JSON.parse(row[field]) : null;
+  }
+  if (session.proxy) session.proxy = openProxy(session.proxy, secretCodec);
+  return session;
+}
+
+export class TabSessionStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.baseDir
+   * @param {{encrypt: Function, decrypt: Function}} [options.secretCodec] - 加密代理密码，encrypt 返回 null 表示当前无法加密
+   */
+  constructor({ baseDir, secretCodec = null } = {}) {
+    this.secretCodec = secretCodec;
+    this.dbFile = path.join(baseDir, 'tab-sessions.db');
+    fs.mkdirSync(path.dirname(this.dbFile), { recursive: true });
+    this.db = new Database(this.dbFile);
+    this.initSchema();
+  }
+
+  initSchema() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS tab_sessions (
+        id TEXT PRIMARY KEY,
+        partition TEXT NOT NULL,
+        last_url TEXT NOT NULL,
+        title TEXT NOT NULL DEFAULT '',
+        sort_order INTEGER NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS tab_meta (
+        key TEXT PRIMARY KEY,
+        value TEXT
+      );
+
+      CREATE TABLE IF NOT EXISTS context_crashes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        context_id TEXT NOT NULL,
+        kind TEXT NOT NULL,
+        reason TEXT NOT NULL DEFAULT '',
+        exit_code INTEGER,
+        url TEXT NOT NULL DEFAULT '',
+        action TEXT NOT NULL DEFAULT '',
+        created_at TEXT NOT NULL
+      );
+    `);
+
+    const columns = this.db.prepare(`PRAGMA table_info(tab_sessions)`).all();
+    for (const [column] of Object.values(SETTING_COLUMNS)) {
+      if (!columns.some((col) => col.name === column)) {
+        this.db.exec(`ALTER TABLE tab_sessions ADD COLUMN ${column} TEXT`);
+      }
+    }
+  }
+
+  listSessions() {
+    return this.db.prepare(`
+      SELECT ${SELECT_COLUMNS}
+      FROM tab_sessions
+      ORDER BY sort_order ASC, created_at ASC
+    `).all().map((row) => decodeRow(row, this.secretCodec));
+  }
+
+  getSession(id) {
+    return decodeRow(this.db.prepare(`
+      SELECT ${SELECT_COLUMNS}
+      FROM tab_sessions
+      WHERE id = ?
+      LIMIT 1
+    `).get(id), this.secretCodec);
+  }
+
+  /**
+   * 将旧版本明文保存的代理密码改为加密保存；加密需在 app ready 之后进行
+   */
+  protectProxyPasswords() {
+    const rows = this.db.prepare(`SELECT id, proxy_json as proxy FROM tab_sessions WHERE proxy_json LIKE '%"password"%'`).all();
+    const update = this.db.prepare('UPDATE tab_sessions SET proxy_json = ? WHERE id = ?');
+    let updated = 0;
+    for (const row of rows) {
+      const proxy = JSON.parse(row.proxy);
+      if (!Object.hasOwn(proxy, 'password')) continue;
+      update.run(encodeSetting('proxy', proxy, this.secretCodec), row.id);
+      updated += 1;
+    }
+    return updated;
+  }
+
+  nextSortOrder() {
+    const row = this.db.prepare('SELECT MAX(sort_order) as m FROM tab_sessions').get();
+    return row.m === null ? 0 : row.m + 1;
+  }
+
+  saveSession({ id, partition, lastUrl, title = '', sortOrder, ...settings }) {
+    const existing = this.getSession(id);
+    const now = new Date().toISOString();
+    const order = sortOrder ?? existing?.sortOrder ?? this.nextSortOrder();
+    const settingFields = Object.keys(SETTING_COLUMNS);
+    const settingColumns = settingFields.map((field) => SETTING_COLUMNS[field][0]);
+
+    this.db.prepare(`
+      INSERT INTO tab_sessions (id, partition, last_url, title, sort_order, created_at, updated_at, ${settingColumns.join(', ')})
+      VALUES (?, ?, ?, ?, ?, ?, ?, ${settingColumns.map(() => '?').join(', ')})
+      ON CONFLICT(id) DO UPDATE SET
+        partition = excluded.partition,
+        last_url = excluded.last_url,
+        title = excluded.title,
+        sort_order = excluded.sort_order,
+        updated_at = excluded.updated_at,
+        ${settingColumns.map((column) => `${column} = excluded.${column}`).join(',\n        ')}
+    `).run(
+      id,
+      partition,
+      lastUrl,
+      title,
+      order,
+      existing?.createdAt || now,
+      now,
+      ...settingFields.map((field) => encodeSetting(field, settings[field], this.secretCodec)),
+    );
+
+    return this.getSession(id);
+  }
+
+  updateSessionState(id, { lastUrl, title }) {
+    const existing = this.getSession(id);
+    if (!existing) return null;
+
+    this.db.prepare(`
+      UPDATE tab_sessions
+      SET last_url = ?, title = ?, updated_at = ?
+      WHERE id = ?
+    `).run(lastUrl || existing.lastUrl, title ?? existing.title, new Date().toISOString(), id);
+
+    return this.getSession(id);
+  }
+
+  updateSessionSettings(id, patch) {
+    if (!this.getSession(id)) return null;
+
+    const fields = Object.keys(patch).filter((field) => SETTING_COLUMNS[field]);
+    if (fields.length > 0) {
+      this.db.prepare(`
+        UPDATE tab_sessions
+        SET ${fields.map((field) => `${SETTING_COLUMNS[field][0]} = ?`).join(', ')}, updated_at = ?
+        WHERE id = ?
+      `).run(...fields.map((field) => encodeSetting(field, patch[field], this.secretCodec)), new Date().toISOString(), id);
+    }
+
+    return this.getSession(id);
+  }
+
+  removeSession(id) {
+    this.db.prepare('DELETE FROM tab_sessions WHERE id = ?').run(id);
+    if (this.getActiveContextId() === id) this.setActiveContextId(null);
+    return { id };
+  }
+
+  logContextCrash({ contextId, kind, reason = '', exitCode = null, url = '', action = '' }) {
+    const createdAt = new Date().toISOString();
+    const { lastInsertRowid } = this.db.prepare(`
+      INSERT INTO context_crashes (context_id, kind, reason, exit_code, url, action, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(contextId, kind, reason, exitCode, url, action, createdAt);
+
+    // 只保留最近 500 条
+    this.db.exec('DELETE FROM context_crashes WHERE id NOT IN (SELECT id FROM context_crashes ORDER BY id DESC LIMIT 500)');
+    return { id: Number(lastInsertRowid), contextId, kind, reason, exitCode, url, action, createdAt };
+  }
+
+  listContextCrashes({ contextId, limit = 50 } = {}) {
+    const where = contextId ? 'WHERE context_id = ?' : '';
+    return this.db.prepare(`
+      SELECT id, context_id as contextId, kind, reason, exit_code as exitCode, url, action, created_at as createdAt
+      FROM context_crashes
+      ${where}
+      ORDER BY id DESC
+      LIMIT ?
+    `).all(...(contextId ? [contextId] : []), limit);
+  }
+
+  getMeta(key) {
+    const row = this.db.prepare('SELECT value FROM tab_meta WHERE key = ? LIMIT 1').get(key);
+    return row?.value ?? null;
+  }
+
+  setMeta(key, value) {
+    this.db.prepare(`
+      INSERT INTO tab_meta (key, value) VALUES (?, ?)
+      ON CONFLICT(key) DO UPDATE SET value = excluded.value
+    `).run(key, value);
+  }
+
+  getActiveContextId() {
+    return this.getMeta('active_context_id') || null;
+  }
+
+  setActiveContextId(id) {
+    this.setMeta('active_context_id', id);
+  }
+
+  // 删除失败（文件被占用）的 partition 目录，下次启动、创建 session 之前再删除
+  listPendingPartitionWipes() {
+    const value = this.getMeta('pending_partition_wipes');
+    return value ? JSON.parse(value) : [];
+  }
+
+  setPendingPartitionWipes(partitions) {
+    this.setMeta('pending_partition_wipes', JSON.stringify([...new Set(partitions)]));
+    return this.listPendingPartitionWipes();
+  }
+
+  getGroupExtensions(group) {
+    const value = this.getMeta(`group_extensions:${group}`);
+    return value ? JSON.parse(value) : [];
+  }
+
+  setGroupExtensions(group, paths) {
+    this.setMeta(`group_extensions:${group}`, JSON.stringify(paths));
+    return this.getGroupExtensions(group);
+  }
+
+  getWindowLayout(windowKey) {
+    const value = this.getMeta(`window_layout:${windowKey}`);
+    return value ? JSON.parse(value) : null;
+  }
+
+  saveWindowLayout(windowKey, layout) {
+    this.setMeta(`window_layout:${windowKey}`, JSON.stringify(layout));
+    return this.getWindowLayout(windowKey);
+  }
+}
@@ -0,0 +1,83 @@
+import { computeSplitGeometry, computeViewportBounds, normalizeInsets, normalizeSplitRatios } from '../utils/view-layout.js';
+
+/**
+ * 管理主窗口 contentView 中挂载的标签页视图：负责增删子视图，并在窗口尺寸变化时重新布局。
+ * 同时显示多个视图时按分屏网格排列；fitView 可将视图放在窗格内的部分区域（如移动设备模式）
+ */
+export class ViewLayoutManager {
+  constructor({ insets, onLayout = () => {}, fitView = (_view, pane) => pane } = {}) {
+    this.insets = normalizeInsets(insets);
+    this.ratios = normalizeSplitRatios();
+    this.onLayout = onLayout;
+    this.fitView = fitView;
+    this.window = null;
+    this.views = [];
+    this.handleResize = () => this.layout();
+  }
+
+  attachWindow(window) {
+    this.detachWindow();
+    this.window = window;
+    this.views = [];
+    window.on('resize', this.handleResize);
+  }
+
+  detachWindow() {
+    if (this.window && !this.window.isDestroyed()) {
+      this.window.removeListener('resize', this.handleResize);
+    }
+    this.window = null;
+    this.views = [];
+  }
+
+  setInsets(insets) {
+    this.insets = normalizeInsets({ ...this.insets, ...insets });
+    this.layout();
+  }
+
+  setRatios(ratios) {
+    this.ratios = normalizeSplitRatios({ ...this.ratios, ...ratios });
+    this.layout();
+  }
+
+  getViewportBounds() {
+    if (!this.window || this.window.isDestroyed()) return computeViewportBounds(null, this.insets);
+    const [width, height] = this.window.getContentSize();
+    return computeViewportBounds({ width, height }, this.insets);
+  }
+
+  getLayoutInfo() {
+    const viewport = this.getViewportBounds();
+    return { viewport, ...computeSplitGeometry(viewport, this.views.length, this.ratios) };
+  }
+
+  /**
+   * 替换当前显示的视图（按窗格顺序），未在列表中的旧视图会从窗口移除
+   */
+  showViews(views, { ratios } = {}) {
+    if (!this.window || this.window.isDestroyed()) return false;
+    if (ratios) this.ratios = normalizeSplitRatios({ ...this.ratios, ...ratios });
+    const next = views.filter(Boolean);
+    const { contentView } = this.window;
+
+    this.views.filter((view) => !next.includes(view)).forEach((view) => contentView.removeChildView(view));
+    next.filter((view) => !this.views.includes(view)).forEach((view) => contentView.addChildView(view));
+    this.views = next;
+    this.layout();
+    return true;
+  }
+
+  removeView(view) {
+    if (!this.views.includes(view)) return false;
+    this.views = this.views.filter((item) => item !== view);
+    if (this.window && !this.window.isDestroyed()) this.window.contentView.removeChildView(view);
+    this.layout();
+    return true;
+  }
+
+  layout() {
+    const info = this.getLayoutInfo();
+    this.views.forEach((view, index) => view.setBounds(this.fitView(view, info.panes[index])));
+    this.onLayout(info);
+  }
+}
@@ -0,0 +1,44 @@
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+const MAX_LABEL_LENGTH = 40;
+
+function normalizeText(value, field) {
+  if (value === undefined || value === null) return null;
+  if (typeof value !== 'string') throw new Error(`${field} must be a string`);
+  const text = value.trim();
+  if (text.length > MAX_LABEL_LENGTH) throw new Error(`${field} must be at most ${MAX_LABEL_LENGTH} characters`);
+  return text || null;
+}
+
+export function normalizeContextColor(color) {
+  if (color === undefined || color === null || color === '') return null;
+  if (typeof color !== 'string' || !COLOR_PATTERN.test(color)) throw new Error('color must be a hex color like #1e90ff');
+  return color.toLowerCase();
+}
+
+/**
+ * 规范化标签页的自定义名称、颜色与分组，未设置的字段为 null
+ * @param {{name?: string, color?: string, group?: string}} input
+ * @returns {{name: string|null, color: string|null, group: string|null}}
+ */
+export function normalizeContextLabels({ name, color, group } = {}) {
+  return {
+    name: normalizeText(name, 'name'),
+    color: normalizeContextColor(color),
+    group: normalizeText(group, 'group'),
+  };
+}
+
+/**
+ * 按分组汇总标签页，未分组的标签不计入
+ * @param {Array<{id: string, group: string|null}>} contexts
+ * @returns {Array<{group: string, count: number, ids: string[]}>}
+ */
+export function summarizeContextGroups(contexts) {
+  const groups = new Map();
+  for (const ctx of contexts) {
+    if (!ctx.group) continue;
+    if (!groups.has(ctx.group)) groups.set(ctx.group, []);
+    groups.get(ctx.group).push(ctx.id);
+  }
+  return [...groups.entries()].map(([group, ids]) => ({ group, count: ids.length, ids }));
+}
@@ -0,0 +1,45 @@
+export const DEFAULT_CRASH_RECOVERY = {
+  autoReload: true,
+  baseDelayMs: 1000,
+  maxDelayMs: 30 * 1000,
+  maxAttempts: 3,
+  // 距上次崩溃超过该时长视为已恢复稳定，重新计算重试次数
+  resetAfterMs: 5 * 60 * 1000,
+};
+
+// 正常退出（如标签关闭）不算崩溃
+const IGNORED_GONE_REASONS = ['clean-exit'];
+
+function readPositiveInt(value, fallback) {
+  const parsed = Number.parseInt(value ?? '', 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+export function readCrashRecoveryOptions(env = process.env) {
+  return {
+    autoReload: !['0', 'false', 'off'].includes(String(env.CRASH_AUTO_RELOAD ?? '').toLowerCase()),
+    baseDelayMs: readPositiveInt(env.CRASH_RELOAD_BASE_MS, DEFAULT_CRASH_RECOVERY.baseDelayMs),
+    maxDelayMs: readPositiveInt(env.CRASH_RELOAD_MAX_MS, DEFAULT_CRASH_RECOVERY.maxDelayMs),
+    maxAttempts: readPositiveInt(env.CRASH_RELOAD_MAX_ATTEMPTS, DEFAULT_CRASH_RECOVERY.maxAttempts),
+    resetAfterMs: DEFAULT_CRASH_RECOVERY.resetAfterMs,
+  };
+}
+
+export function isCrashReason(reason) {
+  return !IGNORED_GONE_REASONS.includes(reason);
+}
+
+/**
+ * 计算崩溃后的恢复动作，重试间隔按次数指数退避
+ * @param {{attempts: number, lastCrashAt: number}|null} state - 该标签此前的恢复状态
+ * @returns {{state: {attempts: number, lastCrashAt: number}, reload: boolean, delayMs: number}}
+ */
+export function planCrashRecovery(state, { now, ...options } = {}) {
+  const { autoReload, baseDelayMs, maxDelayMs, maxAttempts, resetAfterMs } = { ...DEFAULT_CRASH_RECOVERY, ...options };
+  const previous = state && now - state.lastCrashAt < resetAfterMs ? state.attempts : 0;
+  const attempts = previous + 1;
+  const next = { attempts, lastCrashAt: now };
+
+  if (!autoReload || attempts > maxAttempts) return { state: next, reload: false, delayMs: 0 };
+  return { state: next, reload: true, delayMs: Math.min(baseDelayMs * 2 ** (attempts - 1), maxDelayMs) };
+}
@@ -0,0 +1,96 @@
+import { CHROME_VERSION } from './fingerprint-profiles.js';
+
+const IOS_SAFARI_UA = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1';
+
+const androidChromeUa = (device) => `Mozilla/5.0 (Linux; Android 14; ${device}) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/${CHROME_VERSION} Mobile Safari/537.36`;
+
+// 内置移动设备：宽高为 CSS 像素，UA 与平台需与设备一致
+export const DEVICE_PRESETS = [
+  { id: 'iphone-15-pro', name: 'iPhone 15 Pro', width: 393, height: 852, deviceScaleFactor: 3, platform: 'iPhone', userAgent: IOS_SAFARI_UA, touch: true },
+  { id: 'iphone-se', name: 'iPhone SE', width: 375, height: 667, deviceScaleFactor: 2, platform: 'iPhone', userAgent: IOS_SAFARI_UA, touch: true },
+  { id: 'pixel-7', name: 'Pixel 7', width: 412, height: 915, deviceScaleFactor: 2.625, platform: 'Linux armv81', userAgent: androidChromeUa('Pixel 7'), touch: true },
+  { id: 'galaxy-s23', name: 'Galaxy S23', width: 360, height: 780, deviceScaleFactor: 3, platform: 'Linux armv81', userAgent: androidChromeUa('SM-S911B'), touch: true },
+];
+
+const DEVICE_SIZE_RANGE = { min: 200, max: 4000 };
+const DEVICE_SCALE_RANGE = { min: 1, max: 4 };
+
+function findPreset(id) {
+  return DEVICE_PRESETS.find((preset) => preset.id === id) || null;
+}
+
+function ensureSize(value, field) {
+  if (!Number.isInteger(value) || value < DEVICE_SIZE_RANGE.min || value > DEVICE_SIZE_RANGE.max) {
+    throw new Error(`device.${field} must be an integer between ${DEVICE_SIZE_RANGE.min} and ${DEVICE_SIZE_RANGE.max}`);
+  }
+}
+
+/**
+ * 解析标签页的移动设备配置，未设置时为 null（桌面模式）
+ * @param {string|Object|null|undefined} input - 预设 id，或带 presetId 的覆盖字段 / 完整的自定义设备
+ * @returns {Object|null} { id, name, width, height, deviceScaleFactor, platform, userAgent, touch }
+ */
+export function normalizeDeviceProfile(input) {
+  if (input === undefined || input === null || input === '') return null;
+  if (typeof input === 'string') {
+    const preset = findPreset(input);
+    if (!preset) throw new Error(`unknown device preset: ${input}`);
+    return { ...preset };
+  }
+  if (typeof input !== 'object' || Array.isArray(input)) throw new Error('device must be a preset id or an object');
+
+  const { presetId, ...fields } = input;
+  const base = presetId ? findPreset(presetId) : null;
+  if (presetId && !base) throw new Error(`unknown device preset: ${presetId}`);
+  const device = {
+    touch: true,
+    ...base,
+    ...fields,
+    id: fields.id || (base && Object.keys(fields).length === 0 ? base.id : 'custom'),
+    name: fields.name || base?.name || '自定义设备',
+  };
+
+  ensureSize(device.width, 'width');
+  ensureSize(device.height, 'height');
+  const scale = device.deviceScaleFactor ?? 1;
+  if (typeof scale !== 'number' || scale < DEVICE_SCALE_RANGE.min || scale > DEVICE_SCALE_RANGE.max) {
+    throw new Error(`device.deviceScaleFactor must be between ${DEVICE_SCALE_RANGE.min} and ${DEVICE_SCALE_RANGE.max}`);
+  }
+  if (typeof device.userAgent !== 'string' || !device.userAgent.trim()) throw new Error('device.userAgent is required');
+  return {
+    ...device,
+    deviceScaleFactor: scale,
+    platform: typeof device.platform === 'string' && device.platform ? device.platform : 'Linux armv81',
+    touch: Boolean(device.touch),
+  };
+}
+
+/**
+ * 设备模式下页面脚本看到的 UA、平台与屏幕信息以设备为准，其余指纹字段保持不变
+ */
+export function applyDeviceToFingerprint(fingerprint, device) {
+  if (!device) return fingerprint;
+  return {
+    ...fingerprint,
+    userAgent: device.userAgent,
+    platform: device.platform,
+    viewport: { width: device.width, height: device.height },
+    deviceScaleFactor: device.deviceScaleFactor,
+  };
+}
+
+/**
+ * 在窗格内放置设备视图：窗格足够大时按设备尺寸显示，否则等比缩小；水平居中、顶部对齐
+ * @param {{x: number, y: number, width: number, height: number}} pane - 窗格区域
+ * @param {{width: number, height: number}} device
+ * @returns {{bounds: Object, scale: number}} 视图位置与页面缩放比例
+ */
+export function fitDeviceBounds(pane, device) {
+  const scale = Math.min(1, pane.width / device.width, pane.height / device.height);
+  const width = Math.floor(device.width * scale);
+  const height = Math.floor(device.height * scale);
+  return {
+    bounds: { x: pane.x + Math.floor((pane.width - width) / 2), y: pane.y, width, height },
+    scale,
+  };
+}
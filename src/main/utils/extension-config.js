@@ -0,0 +1,55 @@
+import path from 'node:path';
+
+function normalizePathList(value, field) {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value)) throw new Error(`${field} must be an array of directories`);
+  const paths = value.map((dir) => {
+    if (typeof dir !== 'string' || !dir.trim()) throw new Error(`${field} must be an array of directories`);
+    if (!path.isAbsolute(dir.trim())) throw new Error(`extension path must be absolute: ${dir}`);
+    return path.resolve(dir.trim());
+  });
+  return [...new Set(paths)];
+}
+
+/**
+ * 规范化标签页的扩展配置；直接传入目录数组时视为全部启用
+ * @param {Object|string[]|null|undefined} input - { paths, disabled } 或目录数组
+ * @returns {{paths: string[], disabled: string[]}}
+ */
+export function normalizeExtensionSettings(input) {
+  if (input === undefined || input === null) return { paths: [], disabled: [] };
+  if (Array.isArray(input)) return { paths: normalizePathList(input, 'extensions'), disabled: [] };
+  if (typeof input !== 'object') throw new Error('extensions must be an object');
+  return {
+    paths: normalizePathList(input.paths, 'extensions.paths'),
+    disabled: normalizePathList(input.disabled, 'extensions.disabled'),
+  };
+}
+
+export function normalizeGroupExtensions(paths) {
+  return normalizePathList(paths, 'paths');
+}
+
+/**
+ * 合并分组与标签自身配置的扩展，标签可单独停用分组下发的扩展
+ * @returns {Array<{path: string, source: 'group'|'context', enabled: boolean}>}
+ */
+export function resolveContextExtensions({ groupPaths = [], settings }) {
+  const { paths, disabled } = normalizeExtensionSettings(settings);
+  const entries = new Map();
+  for (const dir of groupPaths) entries.set(dir, 'group');
+  for (const dir of paths) if (!entries.has(dir)) entries.set(dir, 'context');
+  return [...entries].map(([dir, source]) => ({ path: dir, source, enabled: !disabled.includes(dir) }));
+}
+
+/**
+ * 启用或停用标签的某个扩展；启用未配置过的目录时加入标签自身的列表
+ */
+export function toggleContextExtension(settings, { path: dir, enabled, groupPaths = [] }) {
+  const current = normalizeExtensionSettings(settings);
+  const [target] = normalizePathList([dir], 'path');
+  const configured = current.paths.includes(target) || groupPaths.includes(target);
+  const paths = enabled && !configured ? [...current.paths, target] : current.paths;
+  const disabled = enabled ? current.disabled.filter((item) => item !== target) : [...new Set([...current.disabled, target])];
+  return { paths, disabled };
+}
@@ -0,0 +1,160 @@
+import { createHash } from 'node:crypto';
+
+export const CHROME_VERSION = '126.0.0.0';
+
+// 内置指纹模板：UA、语言、时区、平台、屏幕与 WebGL 信息需保持一致，避免组合出不真实的环境
+export const FINGERPRINT_PRESETS = [
+  {
+    id: 'win10-chrome-nvidia',
+    userAgent: `Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/${CHROME_VERSION} Safari/537.36`,
+    languages: ['zh-CN', 'zh'],
+    timezone: 'Asia/Shanghai',
+    platform: 'Win32',
+    viewport: { width: 1920, height: 1080 },
+    deviceScaleFactor: 1,
+    webgl: {
+      vendor: 'Google Inc. (NVIDIA)',
+      renderer: 'ANGLE (NVIDIA, NVIDIA GeForce GTX 1660 SUPER Direct3D11 vs_5_0 ps_5_0, D3D11)',
+    },
+  },
+  {
+    id: 'win11-edge-intel',
+    userAgent: `Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/${CHROME_VERSION} Safari/537.36 Edg/${CHROME_VERSION}`,
+    languages: ['zh-CN', 'zh', 'en'],
+    timezone: 'Asia/Shanghai',
+    platform: 'Win32',
+    viewport: { width: 1536, height: 864 },
+    deviceScaleFactor: 1.25,
+    webgl: {
+      vendor: 'Google Inc. (Intel)',
+      renderer: 'ANGLE (Intel, Intel(R) UHD Graphics 630 Direct3D11 vs_5_0 ps_5_0, D3D11)',
+    },
+  },
+  {
+    id: 'macos-chrome-m1',
+    userAgent: `Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/${CHROME_VERSION} Safari/537.36`,
+    languages: ['zh-CN', 'zh', 'en-US', 'en'],
+    timezone: 'Asia/Shanghai',
+    platform: 'MacIntel',
+    viewport: { width: 1440, height: 900 },
+    deviceScaleFactor: 2,
+    webgl: {
+      vendor: 'Google Inc. (Apple)',
+      renderer: 'ANGLE (Apple, ANGLE Metal Renderer: Apple M1, Unspecified Version)',
+    },
+  },
+  {
+    id: 'win10-chrome-amd',
+    userAgent: `Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/${CHROME_VERSION} Safari/537.36`,
+    languages: ['zh-CN', 'zh'],
+    timezone: 'Asia/Shanghai',
+    platform: 'Win32',
+    viewport: { width: 2560, height: 1440 },
+    deviceScaleFactor: 1,
+    webgl: {
+      vendor: 'Google Inc. (AMD)',
+      renderer: 'ANGLE (AMD, AMD Radeon RX 6600 Direct3D11 vs_5_0 ps_5_0, D3D11)',
+    },
+  },
+];
+
+function findPreset(id) {
+  return FINGERPRINT_PRESETS.find((preset) => preset.id === id) || null;
+}
+
+/**
+ * 按种子稳定地挑选指纹模板，同一 partition 每次都会得到同一个模板
+ * @param {string} seed - 一般为 partition 名称
+ * @returns {Object} 指纹模板
+ */
+export function pickFingerprintPreset(seed) {
+  const digest = createHash('sha256').update(String(seed)).digest();
+  return FINGERPRINT_PRESETS[digest.readUInt32BE(0) % FINGERPRINT_PRESETS.length];
+}
+
+/**
+ * 解析调用方传入的指纹配置
+ * @param {string|Object|undefined} input - 模板 id，或带 presetId 的覆盖字段
+ * @param {string} seed - 未指定模板时用于挑选默认模板
+ * @returns {Object} 完整的指纹配置
+ */
+export function resolveFingerprintProfile(input, seed) {
+  if (typeof input === 'string') {
+    const preset = findPreset(input);
+    if (!preset) throw new Error(`unknown fingerprint preset: ${input}`);
+    return structuredClone(preset);
+  }
+
+  const overrides = input && typeof input === 'object' ? input : {};
+  const base = overrides.presetId ? findPreset(overrides.presetId) : pickFingerprintPreset(seed);
+  if (!base) throw new Error(`unknown fingerprint preset: ${overrides.presetId}`);
+
+  const { presetId, ...fields } = overrides;
+  return {
+    ...structuredClone(base),
+    ...fields,
+    id: fields.id || (Object.keys(fields).length > 0 ? 'custom' : base.id),
+    viewport: { ...base.viewport, ...fields.viewport },
+    webgl: { ...base.webgl, ...fields.webgl },
+  };
+}
+
+/**
+ * 生成在页面主世界执行的指纹覆盖脚本，由标签页 preload 在页面脚本之前注入
+ * @param {Object} profile - 完整的指纹配置
+ * @returns {string} 可直接执行的脚本
+ */
+export function buildFingerprintScript(profile) {
+  const config = JSON.stringify({
+    languages: profile.languages,
+    timezone: profile.timezone,
+    platform: profile.platform,
+    width: profile.viewport.width,
+    height: profile.viewport.height,
+    deviceScaleFactor: profile.deviceScaleFactor,
+    vendor: profile.webgl.vendor,
+    renderer: profile.webgl.renderer,
+  });
+
+  return `(() => {
+  const fp = ${config};
+  const define = (target, key, value) => {
+    try {
+      Object.defineProperty(target, key, { get: () => value, configurable: true });
+    } catch (e) {}
+  };
+
+  define(Navigator.prototype, 'languages', Object.freeze([...fp.languages]));
+  define(Navigator.prototype, 'language', fp.languages[0]);
+  define(Navigator.prototype, 'platform', fp.platform);
+  define(Screen.prototype, 'width', fp.width);
+  define(Screen.prototype, 'height', fp.height);
+  define(Screen.prototype, 'availWidth', fp.width);
+  define(Screen.prototype, 'availHeight', fp.height - 40);
+  define(window, 'devicePixelRatio', fp.deviceScaleFactor);
+
+  const NativeDateTimeFormat = Intl.DateTimeFormat;
+  const PatchedDateTimeFormat = function DateTimeFormat(locales, options) {
+    return new NativeDateTimeFormat(locales, { timeZone: fp.timezone, ...options });
+  };
+  PatchedDateTimeFormat.prototype = NativeDateTimeFormat.prototype;
+  PatchedDateTimeFormat.supportedLocalesOf = NativeDateTimeFormat.supportedLocalesOf;
+  Intl.DateTimeFormat = PatchedDateTimeFormat;
+
+  const UNMASKED_VENDOR_WEBGL = 0x9245;
+  const UNMASKED_RENDERER_WEBGL = 0x9246;
+  [window.WebGLRenderingContext, window.WebGL2RenderingContext].forEach((ctor) => {
+    if (!ctor) return;
+    const getParameter = ctor.prototype.getParameter;
+    ctor.prototype.getParameter = function patchedGetParameter(name) {
+      if (name === UNMASKED_VENDOR_WEBGL) return fp.vendor;
+      if (name === UNMASKED_RENDERER_WEBGL) return fp.renderer;
+      return getParameter.call(this, name);
+    };
+  });
+})();`;
+}
+
+export function encodeFingerprintArgument(profile) {
+  return `--fingerprint-script=${Buffer.from(buildFingerprintScript(profile), 'utf8').toString('base64')}`;
+}
@@ -0,0 +1,90 @@
+export const REDACTED_VALUE = '[REDACTED]';
+
+// 默认脱敏的请求/响应头，导出的 HAR 常被转发排查问题，避免泄露登录态
+export const SENSITIVE_HEADERS = ['cookie', 'set-cookie', 'authorization', 'proxy-authorization'];
+
+const HAR_CREATOR = { name: 'electron-vue-isolated-browser', version: '1.0.0' };
+
+export function redactHeaders(headers = {}) {
+  return Object.fromEntries(Object.entries(headers).map(([name, value]) => (
+    [name, SENSITIVE_HEADERS.includes(name.toLowerCase()) ? REDACTED_VALUE : value]
+  )));
+}
+
+function toHarHeaders(headers = {}, redact) {
+  const source = redact ? redactHeaders(headers) : headers;
+  // CDP 将同名头合并为以换行分隔的一个值（如多个 Set-Cookie），HAR 中拆回多条
+  return Object.entries(source).flatMap(([name, value]) => String(value).split('\n').map((item) => ({ name, value: item })));
+}
+
+function findHeader(headers = {}, name) {
+  const key = Object.keys(headers).find((item) => item.toLowerCase() === name);
+  return key ? headers[key] : '';
+}
+
+function toQueryString(url) {
+  try {
+    return [...new URL(url).searchParams].map(([name, value]) => ({ name, value }));
+  } catch {
+    return [];
+  }
+}
+
+function toHarEntry(entry, redact) {
+  const { request, response } = entry;
+  const time = entry.endTimestamp && entry.timestamp ? Math.max(0, (entry.endTimestamp - entry.timestamp) * 1000) : 0;
+  const content = { size: entry.encodedDataLength ?? 0, mimeType: response?.mimeType || '' };
+  if (entry.body) {
+    content.text = entry.body.text;
+    if (entry.body.base64Encoded) content.encoding = 'base64';
+    if (entry.body.truncated) content.comment = 'truncated';
+  }
+
+  return {
+    startedDateTime: entry.startedDateTime,
+    time,
+    request: {
+      method: request.method,
+      url: request.url,
+      httpVersion: response?.protocol || '',
+      headers: toHarHeaders(request.headers, redact),
+      queryString: toQueryString(request.url),
+      cookies: [],
+      headersSize: -1,
+      bodySize: request.postData ? Buffer.byteLength(request.postData) : 0,
+      ...(request.postData ? { postData: { mimeType: findHeader(request.headers, 'content-type'), text: request.postData } } : {}),
+    },
+    response: {
+      status: response?.status ?? 0,
+      statusText: response?.statusText || '',
+      httpVersion: response?.protocol || '',
+      headers: toHarHeaders(response?.headers, redact),
+      cookies: [],
+      content,
+      redirectURL: findHeader(response?.headers, 'location'),
+      headersSize: -1,
+      bodySize: entry.encodedDataLength ?? -1,
+    },
+    cache: {},
+    timings: { send: 0, wait: time, receive: 0 },
+    serverIPAddress: response?.remoteIPAddress || undefined,
+    _resourceType: entry.resourceType || null,
+    _error: entry.error || null,
+  };
+}
+
+/**
+ * 将网络记录转换为 HAR 1.2 格式；redact 为 true 时将 Cookie 与认证相关的头替换为占位值
+ * @param {Object[]} entries - NetworkRecorder 记录的请求
+ * @param {{redact?: boolean}} [options]
+ */
+export function buildHar(entries, { redact = true } = {}) {
+  return {
+    log: {
+      version: '1.2',
+      creator: HAR_CREATOR,
+      pages: [],
+      entries: entries.map((entry) => toHarEntry(entry, redact)),
+    },
+  };
+}
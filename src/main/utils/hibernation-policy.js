@@ -0,0 +1,37 @@
+export const DEFAULT_HIBERNATE_IDLE_MS = 30 * 60 * 1000;
+export const DEFAULT_MAX_LIVE_TABS = 8;
+
+export function readHibernationOptions(env = process.env) {
+  const idleMs = Number.parseInt(env.TAB_HIBERNATE_IDLE_MS || '', 10);
+  const maxLiveTabs = Number.parseInt(env.TAB_MAX_LIVE_TABS || '', 10);
+  return {
+    idleMs: Number.isInteger(idleMs) && idleMs > 0 ? idleMs : DEFAULT_HIBERNATE_IDLE_MS,
+    maxLiveTabs: Number.isInteger(maxLiveTabs) && maxLiveTabs > 0 ? maxLiveTabs : DEFAULT_MAX_LIVE_TABS,
+  };
+}
+
+/**
+ * 计算需要休眠的标签：闲置超过阈值的后台标签，以及超出存活上限时最久未使用的标签。
+ * 当前激活标签、keepIds 中的标签（如分屏中可见的窗格）与正在播放声音的标签不会被休眠。
+ * @param {Array<{id: string, hibernated: boolean, lastActiveAt: number, isAudible?: boolean}>} tabs
+ * @param {{now: number, activeId: string|null, keepIds?: string[], idleMs: number, maxLiveTabs: number}} options
+ * @returns {string[]} 需要休眠的标签 id
+ */
+export function selectContextsToHibernate(tabs, { now, activeId, keepIds = [], idleMs, maxLiveTabs }) {
+  const live = tabs.filter((tab) => !tab.hibernated);
+  const candidates = live
+    .filter((tab) => tab.id !== activeId && !keepIds.includes(tab.id) && !tab.isAudible)
+    .sort((a, b) => a.lastActiveAt - b.lastActiveAt);
+
+  const selected = new Set(candidates.filter((tab) => now - tab.lastActiveAt >= idleMs).map((tab) => tab.id));
+
+  let liveCount = live.length - selected.size;
+  for (const tab of candidates) {
+    if (liveCount <= maxLiveTabs) break;
+    if (selected.has(tab.id)) continue;
+    selected.add(tab.id);
+    liveCount -= 1;
+  }
+
+  return candidates.filter((tab) => selected.has(tab.id)).map((tab) => tab.id);
+}
@@ -0,0 +1,58 @@
+const DOMAIN_PATTERN = /^[a-z0-9-]+(\.[a-z0-9-]+)*$/;
+
+// 页面初始化与新窗口常见的空白页，不视为越界访问
+const ALWAYS_ALLOWED_URLS = ['about:blank'];
+
+function normalizeDomainList(value, field) {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value)) throw new Error(`${field} must be an array of domains`);
+  const domains = value.map((item) => {
+    if (typeof item !== 'string') throw new Error(`${field} must be an array of domains`);
+    const domain = item.trim().toLowerCase().replace(/^\*?\./, '');
+    if (!DOMAIN_PATTERN.test(domain)) throw new Error(`invalid domain in ${field}: ${item}`);
+    return domain;
+  });
+  return [...new Set(domains)];
+}
+
+/**
+ * 规范化标签页的导航域名策略；allow 非空时仅允许名单内的域名，block 中的域名始终禁止。
+ * 域名同时匹配其子域名
+ * @param {{allow?: string[], block?: string[]}|null|undefined} input
+ * @returns {{allow: string[], block: string[]}}
+ */
+export function normalizeNavigationPolicy(input) {
+  if (input === undefined || input === null) return { allow: [], block: [] };
+  if (typeof input !== 'object' || Array.isArray(input)) throw new Error('navigationPolicy must be an object');
+  return {
+    allow: normalizeDomainList(input.allow, 'navigationPolicy.allow'),
+    block: normalizeDomainList(input.block, 'navigationPolicy.block'),
+  };
+}
+
+function matchesDomain(hostname, domains) {
+  return domains.find((domain) => hostname === domain || hostname.endsWith(`.${domain}`)) || null;
+}
+
+/**
+ * 判断标签页能否访问目标地址；设置了策略时，http/https 以外的地址（about:blank 除外）一律禁止
+ * @returns {{allowed: boolean, reason?: string, hostname?: string}}
+ */
+export function checkNavigation(policy, url) {
+  const { allow, block } = normalizeNavigationPolicy(policy);
+  if (allow.length === 0 && block.length === 0) return { allowed: true };
+  if (ALWAYS_ALLOWED_URLS.includes(url)) return { allowed: true };
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return { allowed: false, reason: 'invalid-url' };
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) return { allowed: false, reason: 'scheme' };
+
+  const hostname = parsed.hostname.toLowerCase();
+  if (matchesDomain(hostname, block)) return { allowed: false, reason: 'blocklist', hostname };
+  if (allow.length > 0 && !matchesDomain(hostname, allow)) return { allowed: false, reason: 'not-allowlisted', hostname };
+  return { allowed: true, hostname };
+}
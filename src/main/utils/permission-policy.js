@@ -0,0 +1,83 @@
+export const PERMISSION_MODES = ['allow', 'deny', 'ask'];
+
+// 受策略管理的权限类型及默认处理方式；未列出的类型沿用 Electron 默认行为
+export const DEFAULT_PERMISSION_POLICY = {
+  geolocation: 'ask',
+  notifications: 'ask',
+  media: 'ask',
+  'display-capture': 'ask',
+  'clipboard-read': 'ask',
+  'clipboard-sanitized-write': 'allow',
+  openExternal: 'ask',
+  fullscreen: 'allow',
+  pointerLock: 'allow',
+  midi: 'deny',
+  midiSysex: 'deny',
+  'idle-detection': 'deny',
+  'window-management': 'deny',
+};
+
+export const PERMISSION_TYPES = Object.keys(DEFAULT_PERMISSION_POLICY);
+
+function normalizePolicy(policy = {}) {
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) throw new Error('permissions.policy must be an object');
+  const result = { ...DEFAULT_PERMISSION_POLICY };
+  for (const [permission, mode] of Object.entries(policy)) {
+    if (!PERMISSION_TYPES.includes(permission)) throw new Error(`unknown permission type: ${permission}`);
+    if (!PERMISSION_MODES.includes(mode)) throw new Error(`permission mode must be one of ${PERMISSION_MODES.join('/')}`);
+    result[permission] = mode;
+  }
+  return result;
+}
+
+function normalizeDecisions(decisions = {}) {
+  const result = {};
+  for (const [origin, entries] of Object.entries(decisions || {})) {
+    for (const [permission, decision] of Object.entries(entries || {})) {
+      if (!PERMISSION_TYPES.includes(permission) || !['allow', 'deny'].includes(decision)) continue;
+      result[origin] = { ...result[origin], [permission]: decision };
+    }
+  }
+  return result;
+}
+
+/**
+ * 规范化标签页的权限设置
+ * @param {Object|null|undefined} input - { policy: { [permission]: allow/deny/ask }, decisions: { [origin]: { [permission]: allow/deny } } }
+ * @returns {{policy: Object, decisions: Object}}
+ */
+export function normalizePermissionSettings(input) {
+  if (input === undefined || input === null) return { policy: { ...DEFAULT_PERMISSION_POLICY }, decisions: {} };
+  if (typeof input !== 'object' || Array.isArray(input)) throw new Error('permissions must be an object');
+  return { policy: normalizePolicy(input.policy), decisions: normalizeDecisions(input.decisions) };
+}
+
+export function toPermissionOrigin(url) {
+  try {
+    return new URL(url).origin;
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * 判定某个来源的权限请求：已记住的决定优先，其次为标签页策略
+ * @returns {'allow'|'deny'|'ask'}
+ */
+export function resolvePermissionDecision(settings, permission, origin) {
+  if (!PERMISSION_TYPES.includes(permission)) return 'allow';
+  const remembered = settings?.decisions?.[origin]?.[permission];
+  if (remembered) return remembered;
+  return settings?.policy?.[permission] || DEFAULT_PERMISSION_POLICY[permission];
+}
+
+export function rememberPermissionDecision(settings, { origin, permission, allow }) {
+  const decisions = { ...settings.decisions, [origin]: { ...settings.decisions[origin], [permission]: allow ? 'allow' : 'deny' } };
+  return { ...settings, decisions };
+}
+
+export function clearPermissionDecisions(settings, origin) {
+  if (!origin) return { ...settings, decisions: {} };
+  const { [origin]: _removed, ...decisions } = settings.decisions;
+  return { ...settings, decisions };
+}
@@ -0,0 +1,41 @@
+export const POPUP_POLICIES = ['new-tab', 'same-tab', 'deny'];
+
+export const DEFAULT_POPUP_POLICY = 'new-tab';
+
+export function normalizePopupPolicy(policy) {
+  if (policy === undefined || policy === null || policy === '') return DEFAULT_POPUP_POLICY;
+  if (!POPUP_POLICIES.includes(policy)) {
+    throw new Error(`popupPolicy must be one of ${POPUP_POLICIES.join('/')}`);
+  }
+  return policy;
+}
+
+// 先打开空白弹窗、再由来源页面设置地址或写入内容是 OAuth 登录的常见做法
+const BLANK_POPUP_URL = 'about:blank';
+
+/**
+ * 根据标签页的弹窗策略决定 window.open 的处理方式
+ * @param {string} policy - new-tab / same-tab / deny
+ * @param {Object} details - setWindowOpenHandler 回调参数
+ * @returns {{type: string, url?: string, activate?: boolean}}
+ */
+export function resolvePopupAction(policy, { url, disposition } = {}) {
+  const isBlank = url === BLANK_POPUP_URL;
+  if (!isBlank && !/^https?:\/\//i.test(url || '')) return { type: 'deny' };
+  if (policy === 'deny') return { type: 'deny' };
+  // 空白弹窗依赖 window.opener 与来源页面交互，在当前标签打开没有意义
+  if (policy === 'same-tab') return isBlank ? { type: 'deny' } : { type: 'same-tab', url };
+  return { type: 'new-tab', url, activate: disposition !== 'background-tab' };
+}
+
+/**
+ * 页面自行关闭（如 OAuth 结束时调用 window.close()）时关闭对应标签。
+ * 休眠、重建与关闭标签会先解除标签与页面的关联，isAttached 返回 false，不会触发
+ * @param {Object} webContents
+ * @param {{isAttached: Function, onClosed: Function}} handlers
+ */
+export function watchSelfClose(webContents, { isAttached, onClosed }) {
+  webContents.once('destroyed', () => {
+    if (isAttached()) onClosed();
+  });
+}
@@ -0,0 +1,94 @@
+const PROXY_PROTOCOLS = ['http', 'https', 'socks5'];
+
+export const DEFAULT_PROXY_TEST_URL = 'https://www.baidu.com';
+
+/**
+ * 校验并规范化标签页代理配置。Chromium 只对 HTTP/HTTPS 代理触发 login 事件，SOCKS5 代理不支持账号密码
+ * @param {Object|null|undefined} input - { protocol, host, port, username, password, bypass }
+ * @returns {Object|null} 规范化后的代理配置，未配置时返回 null
+ */
+export function normalizeProxyConfig(input) {
+  if (input === undefined || input === null) return null;
+  if (typeof input !== 'object' || Array.isArray(input)) throw new Error('proxy must be an object');
+
+  const protocol = String(input.protocol || 'http').toLowerCase();
+  if (!PROXY_PROTOCOLS.includes(protocol)) {
+    throw new Error(`proxy.protocol must be one of ${PROXY_PROTOCOLS.join('/')}`);
+  }
+
+  const host = typeof input.host === 'string' ? input.host.trim() : '';
+  if (!host) throw new Error('proxy.host must be a string');
+
+  const port = Number(input.port);
+  if (!Number.isInteger(port) || port <= 0 || port > 65535) {
+    throw new Error('proxy.port must be an integer between 1 and 65535');
+  }
+
+  if (protocol === 'socks5' && (input.username || input.password)) {
+    throw new Error('proxy.username and proxy.password are not supported for socks5 proxies');
+  }
+
+  return {
+    protocol,
+    host,
+    port,
+    username: input.username ? String(input.username) : '',
+    password: input.password ? String(input.password) : '',
+    bypass: input.bypass ? String(input.bypass) : '<local>',
+  };
+}
+
+/**
+ * 转换为 session.setProxy 所需的参数，未配置代理时沿用系统代理
+ */
+export function buildSessionProxyConfig(proxy) {
+  if (!proxy) return { mode: 'system' };
+  return {
+    mode: 'fixed_servers',
+    proxyRules: `${proxy.protocol}://${proxy.host}:${proxy.port}`,
+    proxyBypassRules: proxy.bypass,
+  };
+}
+
+/**
+ * 响应 webContents 的 login 事件：仅当质询来自本标签配置的代理时返回凭据
+ * @returns {{username: string, password: string}|null}
+ */
+export function resolveProxyCredentials(proxy, authInfo = {}) {
+  if (!proxy || !proxy.username || !authInfo.isProxy) return null;
+  if (authInfo.host && authInfo.host !== proxy.host) return null;
+  if (authInfo.port && Number(authInfo.port) !== proxy.port) return null;
+  return { username: proxy.username, password: proxy.password };
+}
+
+/**
+ * 对外展示的代理信息，不包含密码
+ */
+export function describeProxy(proxy) {
+  if (!proxy) return null;
+  const { password, ...rest } = proxy;
+  return { ...rest, hasPassword: Boolean(password) };
+}
+
+/**
+ * 通过标签页 session 请求测试地址，验证代理连通性
+ * @param {Object} params
+ * @param {Function} params.fetchImpl - 绑定到目标 session 的 fetch（session.fetch）
+ * @param {string} [params.url] - 测试地址
+ * @param {number} [params.timeoutMs] - 超时时间
+ */
+export async function testProxyConnection({ fetchImpl, url = DEFAULT_PROXY_TEST_URL, timeoutMs = 8000 }) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  const started = Date.now();
+
+  try {
+    const response = await fetchImpl(url, { method: 'GET', signal: controller.signal, cache: 'no-store' });
+    return { ok: response.ok, url, status: response.status, latencyMs: Date.now() - started };
+  } catch (error) {
+    const message = error.name === 'AbortError' ? `proxy test timed out after ${timeoutMs}ms` : error.message;
+    return { ok: false, url, error: message, latencyMs: Date.now() - started };
+  } finally {
+    clearTimeout(timer);
+  }
+}
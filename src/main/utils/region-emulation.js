@@ -0,0 +1,89 @@
+const DEFAULT_GEOLOCATION_ACCURACY = 100;
+
+function normalizeTimezone(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value !== 'string') throw new Error('region.timezone must be a string');
+  try {
+    return new Intl.DateTimeFormat('en-US', { timeZone: value }).resolvedOptions().timeZone;
+  } catch {
+    throw new Error(`invalid timezone: ${value}`);
+  }
+}
+
+function normalizeLocale(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value !== 'string') throw new Error('region.locale must be a string');
+  try {
+    return Intl.getCanonicalLocales(value)[0];
+  } catch {
+    throw new Error(`invalid locale: ${value}`);
+  }
+}
+
+function normalizeCoordinate(value, field, limit) {
+  const number = Number(value);
+  if (value === null || value === '' || !Number.isFinite(number) || Math.abs(number) > limit) {
+    throw new Error(`region.geolocation.${field} must be a number between -${limit} and ${limit}`);
+  }
+  return number;
+}
+
+function normalizeGeolocation(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value !== 'object' || Array.isArray(value)) throw new Error('region.geolocation must be an object');
+  const accuracy = value.accuracy === undefined ? DEFAULT_GEOLOCATION_ACCURACY : Number(value.accuracy);
+  if (!Number.isFinite(accuracy) || accuracy <= 0) throw new Error('region.geolocation.accuracy must be a positive number');
+  return {
+    latitude: normalizeCoordinate(value.latitude, 'latitude', 90),
+    longitude: normalizeCoordinate(value.longitude, 'longitude', 180),
+    accuracy,
+  };
+}
+
+/**
+ * 规范化标签页的地区配置，未设置任何字段时为 null（沿用指纹模板的时区与语言）
+ * @param {Object|null|undefined} input - { timezone, locale, geolocation: { latitude, longitude, accuracy } }
+ * @returns {{timezone: string|null, locale: string|null, geolocation: Object|null}|null}
+ */
+export function normalizeRegionSettings(input) {
+  if (input === undefined || input === null) return null;
+  if (typeof input !== 'object' || Array.isArray(input)) throw new Error('region must be an object');
+  const region = {
+    timezone: normalizeTimezone(input.timezone),
+    locale: normalizeLocale(input.locale),
+    geolocation: normalizeGeolocation(input.geolocation),
+  };
+  return region.timezone || region.locale || region.geolocation ? region : null;
+}
+
+/**
+ * 地区配置覆盖指纹中的时区与首选语言，使页面脚本读取到的值与 CDP 覆盖一致
+ */
+export function applyRegionToFingerprint(fingerprint, region) {
+  if (!region) return fingerprint;
+  return {
+    ...fingerprint,
+    timezone: region.timezone || fingerprint.timezone,
+    languages: region.locale
+      ? [region.locale, ...fingerprint.languages.filter((language) => language !== region.locale)]
+      : fingerprint.languages,
+  };
+}
+
+/**
+ * 生成下发给标签页的 CDP Emulation 命令
+ * @param {Object} region - normalizeRegionSettings 的结果
+ * @param {{userAgent: string}} options - 设置语言时需同时覆盖 UA 才能修改 Accept-Language
+ * @returns {Array<[string, Object]>}
+ */
+export function buildRegionEmulationCommands(region, { userAgent } = {}) {
+  if (!region) return [];
+  const commands = [];
+  if (region.timezone) commands.push(['Emulation.setTimezoneOverride', { timezoneId: region.timezone }]);
+  if (region.locale) {
+    commands.push(['Emulation.setLocaleOverride', { locale: region.locale }]);
+    commands.push(['Emulation.setUserAgentOverride', { userAgent, acceptLanguage: region.locale }]);
+  }
+  if (region.geolocation) commands.push(['Emulation.setGeolocationOverride', region.geolocation]);
+  return commands;
+}
@@ -0,0 +1,104 @@
+const REDIRECT_SEPARATOR = '=>';
+
+function escapeRegex(value) {
+  return value.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// 带协议的通配符从 URL 开头匹配，其余规则按子串匹配
+function wildcardToRegex(pattern) {
+  const source = escapeRegex(pattern).replace(/\*/g, '.*');
+  return new RegExp(pattern.includes('://') ? `^${source}` : source, 'i');
+}
+
+function parseRule(line, listId) {
+  const [matcher, redirect] = line.split(REDIRECT_SEPARATOR).map((part) => part.trim());
+  if (redirect !== undefined && !/^https?:\/\//i.test(redirect)) return null;
+  // 按浏览器发出请求时的形式保存，便于识别重定向后的请求
+  const base = { listId, raw: line, redirect: redirect ? new URL(redirect).href : null };
+
+  const domainMatch = matcher.match(/^\|\|([^/*^]+)\^?$/) || matcher.match(/^([a-z0-9-]+(\.[a-z0-9-]+)+)$/i);
+  if (domainMatch) return { ...base, type: 'domain', value: domainMatch[1].toLowerCase() };
+
+  if (matcher.length > 2 && matcher.startsWith('/') && matcher.endsWith('/')) {
+    return { ...base, type: 'pattern', value: matcher, regex: new RegExp(matcher.slice(1, -1), 'i') };
+  }
+  if (matcher.includes('*') || matcher.includes('/')) {
+    return { ...base, type: 'pattern', value: matcher, regex: wildcardToRegex(matcher) };
+  }
+  return null;
+}
+
+/**
+ * 解析规则列表文本，无法识别的行会被跳过
+ * @param {string} text - 规则文件内容
+ * @param {string} listId - 规则列表 id（一般为文件名）
+ * @returns {Object[]} 规则
+ */
+export function parseFilterList(text, listId) {
+  return String(text)
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith('#') && !line.startsWith('!'))
+    .map((line) => {
+      try {
+        return parseRule(line, listId);
+      } catch {
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+/**
+ * 将多个规则列表编译为便于匹配的结构：域名规则按域名索引，其余规则顺序匹配；
+ * redirectTargets 收集全部重定向目标，目标地址本身命中规则时据此放行，避免无限重定向
+ */
+export function compileFilterRules(rules) {
+  const domains = new Map();
+  const patterns = [];
+  const redirectTargets = new Set();
+  for (const rule of rules) {
+    if (rule.redirect) redirectTargets.add(rule.redirect);
+    if (rule.type === 'domain') {
+      if (!domains.has(rule.value)) domains.set(rule.value, rule);
+    } else {
+      patterns.push(rule);
+    }
+  }
+  return { domains, patterns, redirectTargets };
+}
+
+/**
+ * 查找与请求 URL 匹配的规则，域名规则同时匹配子域名
+ * @returns {Object|null}
+ */
+export function matchFilterRule(compiled, url) {
+  let hostname;
+  try {
+    hostname = new URL(url).hostname.toLowerCase();
+  } catch {
+    return null;
+  }
+
+  const labels = hostname.split('.');
+  for (let i = 0; i < labels.length - 1; i += 1) {
+    const rule = compiled.domains.get(labels.slice(i).join('.'));
+    if (rule) return rule;
+  }
+  return compiled.patterns.find((rule) => rule.regex.test(url)) || null;
+}
+
+/**
+ * 规范化标签页的请求过滤设置：lists 为 null 时启用全部规则列表
+ */
+export function normalizeRequestFilterSettings(input) {
+  if (input === undefined || input === null) return { enabled: false, lists: null };
+  if (typeof input !== 'object' || Array.isArray(input)) throw new Error('requestFilter must be an object');
+  if (input.lists !== undefined && input.lists !== null && !Array.isArray(input.lists)) {
+    throw new Error('requestFilter.lists must be an array');
+  }
+  return {
+    enabled: Boolean(input.enabled),
+    lists: Array.isArray(input.lists) ? [...new Set(input.lists.map(String))] : null,
+  };
+}
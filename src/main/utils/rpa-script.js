@@ -0,0 +1,104 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+export const RPA_STEP_ACTIONS = ['navigate', 'waitForSelector', 'type', 'upload', 'click', 'assert'];
+
+export const DEFAULT_RPA_STEP_TIMEOUT_MS = 15000;
+
+// 各动作必填字段
+const REQUIRED_FIELDS = {
+  navigate: ['url'],
+  waitForSelector: ['selector'],
+  type: ['selector', 'text'],
+  upload: ['selector', 'files'],
+  click: ['selector'],
+  assert: [],
+};
+
+function normalizeStep(step, index) {
+  const where = `steps[${index}]`;
+  if (!step || typeof step !== 'object' || Array.isArray(step)) throw new Error(`${where} must be an object`);
+  if (!RPA_STEP_ACTIONS.includes(step.action)) {
+    throw new Error(`${where}.action must be one of ${RPA_STEP_ACTIONS.join('/')}`);
+  }
+  for (const field of REQUIRED_FIELDS[step.action]) {
+    if (step[field] === undefined || step[field] === null || step[field] === '') throw new Error(`${where}.${field} is required`);
+  }
+  if (step.action === 'assert' && !step.selector && !step.text && !step.url) {
+    throw new Error(`${where} assert requires selector, text or url`);
+  }
+  if (step.timeoutMs !== undefined && (!Number.isInteger(step.timeoutMs) || step.timeoutMs <= 0)) {
+    throw new Error(`${where}.timeoutMs must be a positive integer`);
+  }
+
+  const normalized = { action: step.action };
+  for (const field of ['url', 'selector', 'text', 'timeoutMs']) {
+    if (step[field] !== undefined) normalized[field] = step[field];
+  }
+  if (step.files !== undefined) normalized.files = Array.isArray(step.files) ? step.files.map(String) : [String(step.files)];
+  if (step.optional) normalized.optional = true;
+  return normalized;
+}
+
+/**
+ * 校验并规范化 RPA 发布脚本
+ * @param {Object} input - { platform, creatorUrl, scripts: { default: [...steps], <contentType>: [...steps] } }
+ */
+export function normalizeRpaScript(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) throw new Error('rpa script must be an object');
+  if (typeof input.platform !== 'string' || !input.platform.trim()) throw new Error('platform must be a string');
+  if (!input.scripts || typeof input.scripts !== 'object' || Array.isArray(input.scripts)) {
+    throw new Error('scripts must be an object keyed by content type');
+  }
+
+  const scripts = {};
+  for (const [contentType, steps] of Object.entries(input.scripts)) {
+    if (!Array.isArray(steps) || steps.length === 0) throw new Error(`scripts.${contentType} must be a non-empty array`);
+    scripts[contentType] = steps.map(normalizeStep);
+  }
+
+  return {
+    platform: input.platform.trim(),
+    creatorUrl: typeof input.creatorUrl === 'string' ? input.creatorUrl : '',
+    stepTimeoutMs: Number.isInteger(input.stepTimeoutMs) && input.stepTimeoutMs > 0 ? input.stepTimeoutMs : DEFAULT_RPA_STEP_TIMEOUT_MS,
+    scripts,
+  };
+}
+
+/**
+ * 按内容类型选择步骤，未单独配置时使用 default
+ */
+export function selectRpaSteps(script, contentType) {
+  return script.scripts[contentType] || script.scripts.default || null;
+}
+
+/**
+ * 替换步骤中的 {{变量}}，未提供的变量替换为空字符串
+ */
+export function renderRpaStep(step, vars = {}) {
+  const render = (value) => String(value).replace(/\{\{\s*(\w+)\s*\}\}/g, (_, key) => (vars[key] ?? '').toString());
+  const rendered = { ...step };
+  for (const field of ['url', 'selector', 'text']) {
+    if (rendered[field] !== undefined) rendered[field] = render(rendered[field]);
+  }
+  if (rendered.files) rendered.files = rendered.files.map(render).filter(Boolean);
+  return rendered;
+}
+
+/**
+ * 读取目录下的 *.json 脚本，单个文件解析失败时跳过并返回错误信息
+ */
+export function loadRpaScripts(dir) {
+  const scripts = [];
+  const errors = [];
+  if (!fs.existsSync(dir)) return { scripts, errors };
+
+  for (const file of fs.readdirSync(dir).filter((name) => name.endsWith('.json')).sort()) {
+    try {
+      scripts.push({ ...normalizeRpaScript(JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'))), file });
+    } catch (error) {
+      errors.push({ file, error: error.message });
+    }
+  }
+  return { scripts, errors };
+}
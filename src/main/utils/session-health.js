@@ -0,0 +1,63 @@
+// 各平台登录态 Cookie 名称，任一存在且未过期即视为已登录
+export const DEFAULT_SESSION_COOKIES = {
+  抖音: ['sessionid', 'sessionid_ss'],
+  小红书: ['web_session'],
+  头条: ['sessionid', 'sid_tt'],
+};
+
+const PLATFORM_ENV_PREFIXES = {
+  抖音: 'DOUYIN',
+  小红书: 'XIAOHONGSHU',
+  头条: 'TOUTIAO',
+};
+
+export const DEFAULT_SESSION_CHECK_INTERVAL_MS = 10 * 60 * 1000;
+export const DEFAULT_SESSION_EXPIRY_MARGIN_MS = 24 * 60 * 60 * 1000;
+
+function readPositiveInt(value, fallback) {
+  const parsed = Number.parseInt(value ?? '', 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+function parseCookieNames(value) {
+  return String(value || '').split(',').map((name) => name.trim()).filter(Boolean);
+}
+
+/**
+ * 读取登录态巡检配置，<PLATFORM>_SESSION_COOKIES 以逗号分隔覆盖默认 Cookie 名称
+ */
+export function readSessionHealthOptions(env = process.env) {
+  const cookieNames = {};
+  for (const [platform, defaults] of Object.entries(DEFAULT_SESSION_COOKIES)) {
+    const override = parseCookieNames(env[`${PLATFORM_ENV_PREFIXES[platform]}_SESSION_COOKIES`]);
+    cookieNames[platform] = override.length > 0 ? override : defaults;
+  }
+  return {
+    intervalMs: readPositiveInt(env.SESSION_CHECK_INTERVAL_MS, DEFAULT_SESSION_CHECK_INTERVAL_MS),
+    expiryMarginMs: readPositiveInt(env.SESSION_EXPIRY_MARGIN_MS, DEFAULT_SESSION_EXPIRY_MARGIN_MS),
+    cookieNames,
+  };
+}
+
+/**
+ * 根据 partition 中的 Cookie 判断登录态
+ * @param {Array} cookies - session.cookies.get 的结果，expirationDate 单位为秒
+ * @param {string[]} cookieNames - 登录态 Cookie 名称
+ * @returns {{status: 'valid'|'expiring'|'expired'|'missing'|'unknown', cookie?: string, expiresAt?: string|null}}
+ */
+export function evaluateSessionCookies(cookies, cookieNames, { now = Date.now(), expiryMarginMs = DEFAULT_SESSION_EXPIRY_MARGIN_MS } = {}) {
+  if (!cookieNames || cookieNames.length === 0) return { status: 'unknown' };
+
+  const matched = cookies.filter((cookie) => cookieNames.includes(cookie.name) && cookie.value);
+  if (matched.length === 0) return { status: 'missing' };
+
+  // 会话 Cookie 没有过期时间，视为最晚过期
+  const expiryOf = (cookie) => (cookie.session || !cookie.expirationDate ? Infinity : cookie.expirationDate * 1000);
+  const best = matched.reduce((a, b) => (expiryOf(b) > expiryOf(a) ? b : a));
+  const expiresAtMs = expiryOf(best);
+  const expiresAt = Number.isFinite(expiresAtMs) ? new Date(expiresAtMs).toISOString() : null;
+
+  if (expiresAtMs <= now) return { status: 'expired', cookie: best.name, expiresAt };
+  if (expiresAtMs - now <= expiryMarginMs) return { status: 'expiring', cookie: best.name, expiresAt };
+  return { status: 'valid', cookie: best.name, expiresAt };
+}
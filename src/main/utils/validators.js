@@ -26,6 +26,11 @@ export function validateDeleteAccountPayload(payload) {
   ensureString(payload.id, 'id');
 }
 
+export function validateAccountContextPayload(payload) {
+  ensureObject(payload);
+  ensureString(payload.id, 'id');
+}
+
 export function validateGenerateContentPayload(payload) {
   ensureObject(payload);
   ensureString(payload.hotspotId, 'hotspotId');
@@ -41,6 +46,230 @@ export function validateSchedulePayload(payload) {
   ensureString(payload.contentAssetId, 'contentAssetId', { required: false });
 }
 
+export function validateCreateContextPayload(payload) {
+  ensureObject(payload);
+  ensureString(payload.url, 'url', { required: false });
+  if (payload.fingerprint !== undefined && payload.fingerprint !== null && typeof payload.fingerprint !== 'string') {
+    ensureObject(payload.fingerprint, 'fingerprint');
+  }
+  if (payload.proxy !== undefined && payload.proxy !== null) ensureObject(payload.proxy, 'proxy');
+  ensureString(payload.popupPolicy, 'popupPolicy', { required: false });
+  ensureString(payload.name, 'name', { required: false });
+  ensureString(payload.color, 'color', { required: false });
+  ensureString(payload.group, 'group', { required: false });
+  if (payload.permissions !== undefined && payload.permissions !== null) ensureObject(payload.permissions, 'permissions');
+  if (payload.requestFilter !== undefined && payload.requestFilter !== null) ensureObject(payload.requestFilter, 'requestFilter');
+  if (payload.ephemeral !== undefined && typeof payload.ephemeral !== 'boolean') throw new Error('ephemeral must be a boolean');
+  if (payload.navigationPolicy !== undefined && payload.navigationPolicy !== null) ensureObject(payload.navigationPolicy, 'navigationPolicy');
+  validateDeviceField(payload.device);
+  if (payload.region !== undefined && payload.region !== null) ensureObject(payload.region, 'region');
+  if (payload.extensions !== undefined && payload.extensions !== null && !Array.isArray(payload.extensions)) {
+    ensureObject(payload.extensions, 'extensions');
+  }
+}
+
+function validateDeviceField(device) {
+  if (device !== undefined && device !== null && typeof device !== 'string') ensureObject(device, 'device');
+}
+
+export function validateSetDevicePayload(payload) {
+  ensureObject(payload);
+  ensureString(payload.id, 'id');
+  validateDeviceField(payload.device);
+}
+
+export function validateSetRegionPayload(payload) {
+  ensureObject(payload);
+  ensureString(payload.id, 'id');
+  if (payload.region !== undefined && payload.region !== null) ensureObject(payload.region, 'region');
+}
+
+export function validateSetNavigationPolicyPayload(payload) {
+  ensureObject(payload);
+  ensureString(payload.id, 'id');
+  for (const field of ['allow', 'block']) {
+    if (payload[field] !== undefined && (!Array.isArray(payload[field]) || payload[field].some((domain) => typeof domain !== 'string'))) {
+      throw new Error(`${field} must be an array of domains`);
+    }
+  }
+}
+
+export function validateCloneContextPayload(payload) {
+  ensureObject(payload);
+  ensureString(payload.id, 'id');
+  ensureString(payload.name, 'name', { required: false });
+  for (const field of ['includeCookies', 'includeLocalStorage', 'ephemeral']) {
+    if (payload[field] !== undefined && typeof payload[field] !== 'boolean') throw new Error(`${field} must be a boolean`);
+  }
+}
+
+export function validateExtensionTogglePayload(payload) {
+  ensureObject(payload);
+  ensureString(payload.id, 'id');
+  ensureString(payload.path, 'path');
+}
+
+export function validateGroupExtensionsPayload(payload) {
+  validateContextGroupPayload(payload);
+  if (!Array.isArray(payload.paths) || payload.paths.some((dir) => typeof dir !== 'string')) {
+    throw new Error('paths must be an array of strings');
+  }
+}
+
+export function validateRemovePartitionsPayload(payload) {
+  ensureObject(payload);
+  if (!Array.isArray(payload.partitions) || payload.partitions.length === 0 || payload.partitions.some((p) => typeof p !== 'string')) {
+    throw new Error('partitions must be a non-empty array of strings');
+  }
+}
+
+export function validateSetRequestFilterPayload(payload) {
+  ensureObject(payload);
+  ensureString(payload.id, 'id');
+  if (payload.enabled !== undefined && typeof payload.enabled !== 'boolean') throw new Error('enabled must be a boolean');
+  if (payload.lists !== undefined && payload.lists !== null) {
+    if (!Array.isArray(payload.lists) || payload.lists.some((id) => typeof id !== 'string')) {
+      throw new Error('lists must be an array of list ids');
+    }
+  }
+}
+
+export function validateSetPermissionPolicyPayload(payload) {
+  ensureObject(payload);
+  ensureString(payload.id, 'id');
+  ensureObject(payload.policy, 'policy');
+}
+
+export function validateClearPermissionDecisionsPayload(payload) {
+  ensureObject(payload);
+  ensureString(payload.id, 'id');
+  ensureString(payload.origin, 'origin', { required: false });
+}
+
+export function validateListPermissionRequestsPayload(payload) {
+  ensureObject(payload);
+  ensureString(payload.contextId, 'contextId', { required: false });
+}
+
+export function validateRespondPermissionPayload(payload) {
+  ensureObject(payload);
+  ensureString(payload.requestId, 'requestId');
+  if (typeof payload.allow !== 'boolean') throw new Error('allow must be a boolean');
+  if (payload.remember !== undefined && typeof payload.remember !== 'boolean') throw new Error('remember must be a boolean');
+}
+
+export function validateContextLabelPayload(payload, field) {
+  ensureObject(payload);
+  ensureString(payload.id, 'id');
+  ensureString(payload[field], field, { required: false });
+}
+
+export function validateContextGroupPayload(payload) {
+  ensureObject(payload);
+  ensureString(payload.group, 'group');
+}
+
+export function validateSetPopupPolicyPayload(payload) {
+  ensureObject(payload);
+  ensureString(payload.id, 'id');
+  ensureString(payload.policy, 'policy');
+}
+
+export function validateTestProxyPayload(payload) {
+  ensureObject(payload);
+  ensureString(payload.id, 'id');
+  ensureString(payload.url, 'url', { required: false });
+}
+
+export function validateCapturePayload(payload) {
+  ensureObject(payload);
+  ensureString(payload.id, 'id', { required: false });
+  if (payload.fullPage !== undefined && typeof payload.fullPage !== 'boolean') throw new Error('fullPage must be a boolean');
+  ensureString(payload.scheduleId, 'scheduleId', { required: false });
+  ensureString(payload.contentAssetId, 'contentAssetId', { required: false });
+}
+
+export function validateStartNetworkLogPayload(payload) {
+  ensureObject(payload);
+  ensureString(payload.id, 'id');
+  if (payload.maxEntries !== undefined && (!Number.isInteger(payload.maxEntries) || payload.maxEntries <= 0)) {
+    throw new Error('maxEntries must be a positive integer');
+  }
+  if (payload.captureBodies !== undefined && typeof payload.captureBodies !== 'boolean') throw new Error('captureBodies must be a boolean');
+}
+
+export function validateExportHarPayload(payload) {
+  ensureObject(payload);
+  ensureString(payload.id, 'id');
+  if (payload.saveAs !== undefined && typeof payload.saveAs !== 'boolean') throw new Error('saveAs must be a boolean');
+  if (payload.redact !== undefined && typeof payload.redact !== 'boolean') throw new Error('redact must be a boolean');
+}
+
+export function validateExportStoragePayload(payload) {
+  ensureObject(payload);
+  ensureString(payload.id, 'id');
+  if (payload.includeLocalStorage !== undefined && typeof payload.includeLocalStorage !== 'boolean') {
+    throw new Error('includeLocalStorage must be a boolean');
+  }
+  ensureString(payload.passphrase, 'passphrase', { required: false });
+  if (payload.saveAs !== undefined && typeof payload.saveAs !== 'boolean') throw new Error('saveAs must be a boolean');
+}
+
+export function validateImportStoragePayload(payload) {
+  ensureObject(payload);
+  ensureString(payload.id, 'id', { required: false });
+  ensureString(payload.passphrase, 'passphrase', { required: false });
+  ensureString(payload.url, 'url', { required: false });
+  // 未传 bundle 时由主进程弹出文件选择框读取
+  if (payload.bundle !== undefined && payload.bundle !== null) ensureObject(payload.bundle, 'bundle');
+}
+
+export function validateContextActionPayload(payload) {
+  ensureObject(payload);
+  ensureString(payload.id, 'id');
+}
+
+export function validateListDownloadsPayload(payload) {
+  ensureObject(payload);
+  ensureString(payload.contextId, 'contextId', { required: false });
+}
+
+export function validateDownloadActionPayload(payload) {
+  ensureObject(payload);
+  ensureString(payload.id, 'id');
+}
+
+export function validateSetLayoutPayload(payload) {
+  ensureObject(payload);
+  ensureString(payload.mode, 'mode');
+  if (payload.panes !== undefined && !Array.isArray(payload.panes)) throw new Error('panes must be an array');
+  if (payload.ratios !== undefined) ensureObject(payload.ratios, 'ratios');
+}
+
+export function validateAssignPanePayload(payload) {
+  ensureObject(payload);
+  ensureString(payload.id, 'id');
+  if (!Number.isInteger(payload.paneIndex) || payload.paneIndex < 0) {
+    throw new Error('paneIndex must be a non-negative integer');
+  }
+}
+
+export function validateResizeSplitPayload(payload) {
+  ensureObject(payload);
+  ensureObject(payload.ratios, 'ratios');
+}
+
+export function validateSetViewInsetsPayload(payload) {
+  ensureObject(payload);
+  ensureObject(payload.insets, 'insets');
+  for (const key of ['top', 'right', 'bottom', 'left']) {
+    const value = payload.insets[key];
+    if (value !== undefined && (typeof value !== 'number' || !Number.isFinite(value) || value < 0)) {
+      throw new Error(`insets.${key} must be a non-negative number`);
+    }
+  }
+}
+
 export function validateNavigatePayload(payload) {
   ensureObject(payload);
   ensureString(payload.id, 'id');
@@ -77,6 +306,27 @@ export function validateDeleteContentAssetPayload(payload) {
   ensureString(payload.id, 'id');
 }
 
+export function validateListCrashesPayload(payload) {
+  validateListQueryPayload(payload);
+  ensureString(payload.contextId, 'contextId', { required: false });
+}
+
+export function validateLinkCapturePayload(payload) {
+  ensureObject(payload);
+  ensureString(payload.id, 'id');
+  ensureString(payload.scheduleId, 'scheduleId', { required: false });
+  ensureString(payload.contentAssetId, 'contentAssetId', { required: false });
+  if (payload.scheduleId === undefined && payload.contentAssetId === undefined) {
+    throw new Error('scheduleId or contentAssetId is required');
+  }
+}
+
+export function validateListCapturesPayload(payload) {
+  validateListQueryPayload(payload);
+  ensureString(payload.scheduleId, 'scheduleId', { required: false });
+  ensureString(payload.contentAssetId, 'contentAssetId', { required: false });
+}
+
 export function validateImportSnapshotPayload(payload) {
   ensureObject(payload);
   ensureObject(payload.snapshot, 'snapshot');
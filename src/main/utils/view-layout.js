@@ -0,0 +1,117 @@
+// 标签页区域与窗口边缘的距离：顶部为地址栏与标签栏（渲染进程加载后按实际高度上报），左侧预留给侧边栏
+export const DEFAULT_VIEW_INSETS = { top: 120, right: 0, bottom: 0, left: 0 };
+export const MIN_VIEW_SIZE = { width: 320, height: 200 };
+export const FALLBACK_CONTENT_SIZE = { width: 1000, height: 720 };
+
+export function normalizeInsets(insets = {}) {
+  const result = { ...DEFAULT_VIEW_INSETS };
+  for (const key of Object.keys(DEFAULT_VIEW_INSETS)) {
+    const value = Number(insets[key]);
+    if (Number.isFinite(value) && value >= 0) result[key] = Math.round(value);
+  }
+  return result;
+}
+
+/**
+ * 计算标签页可用的显示区域，窗口过小时保持最小尺寸
+ * @param {{width: number, height: number}} contentSize - 窗口内容区尺寸
+ * @param {Object} [insets] - { top, right, bottom, left }
+ * @returns {{x: number, y: number, width: number, height: number}}
+ */
+export function computeViewportBounds(contentSize, insets) {
+  const { top, right, bottom, left } = normalizeInsets(insets);
+  const { width, height } = contentSize || FALLBACK_CONTENT_SIZE;
+  return {
+    x: left,
+    y: top,
+    width: Math.max(MIN_VIEW_SIZE.width, Math.round(width - left - right)),
+    height: Math.max(MIN_VIEW_SIZE.height, Math.round(height - top - bottom)),
+  };
+}
+
+export const VIEW_LAYOUT_MODES = ['single', 'split'];
+export const MIN_SPLIT_PANES = 2;
+export const MAX_SPLIT_PANES = 4;
+export const SPLITTER_SIZE = 6;
+export const DEFAULT_SPLIT_RATIOS = { column: 0.5, row: 0.5 };
+const MIN_SPLIT_RATIO = 0.2;
+const MAX_SPLIT_RATIO = 0.8;
+
+/**
+ * 分隔条位置以视口比例表示：column 为左右分隔，row 为上下分隔
+ */
+export function normalizeSplitRatios(ratios = {}) {
+  const result = { ...DEFAULT_SPLIT_RATIOS };
+  for (const key of Object.keys(DEFAULT_SPLIT_RATIOS)) {
+    const value = Number(ratios?.[key]);
+    if (Number.isFinite(value)) result[key] = Math.min(MAX_SPLIT_RATIO, Math.max(MIN_SPLIT_RATIO, value));
+  }
+  return result;
+}
+
+/**
+ * 校验窗口布局：single 只显示激活标签，split 按顺序将 2-4 个标签放入窗格
+ * @param {Object|null} input - { mode, panes, ratios }
+ * @returns {{mode: string, panes: string[], ratios: {column: number, row: number}}}
+ */
+export function normalizeViewLayout(input) {
+  const mode = input?.mode || 'single';
+  if (!VIEW_LAYOUT_MODES.includes(mode)) {
+    throw new Error(`layout.mode must be one of ${VIEW_LAYOUT_MODES.join('/')}`);
+  }
+  const ratios = normalizeSplitRatios(input?.ratios);
+  if (mode === 'single') return { mode, panes: [], ratios };
+
+  const panes = Array.isArray(input.panes) ? input.panes : [];
+  if (panes.length < MIN_SPLIT_PANES || panes.length > MAX_SPLIT_PANES) {
+    throw new Error(`layout.panes must contain ${MIN_SPLIT_PANES}-${MAX_SPLIT_PANES} context ids`);
+  }
+  if (panes.some((id) => typeof id !== 'string' || !id)) throw new Error('layout.panes must contain context ids');
+  if (new Set(panes).size !== panes.length) throw new Error('layout.panes must not contain duplicates');
+  return { mode, panes: [...panes], ratios };
+}
+
+/**
+ * 计算分屏窗格与分隔条的位置。
+ * 2 个窗格左右排列；3 个窗格左侧占满高度、右侧上下排列；4 个窗格为 2x2，按从左到右、从上到下排序
+ * @param {{x: number, y: number, width: number, height: number}} viewport
+ * @param {number} count - 窗格数量
+ * @param {Object} [ratios]
+ * @returns {{panes: Object[], splitters: Object[]}}
+ */
+export function computeSplitGeometry(viewport, count, ratios) {
+  if (count <= 1) return { panes: [{ ...viewport }], splitters: [] };
+  if (count > MAX_SPLIT_PANES) throw new Error(`split layout supports at most ${MAX_SPLIT_PANES} panes`);
+
+  const { column, row } = normalizeSplitRatios(ratios);
+  const leftWidth = Math.round((viewport.width - SPLITTER_SIZE) * column);
+  const rightX = viewport.x + leftWidth + SPLITTER_SIZE;
+  const rightWidth = viewport.width - leftWidth - SPLITTER_SIZE;
+  const topHeight = Math.round((viewport.height - SPLITTER_SIZE) * row);
+  const bottomY = viewport.y + topHeight + SPLITTER_SIZE;
+  const bottomHeight = viewport.height - topHeight - SPLITTER_SIZE;
+
+  const columnSplitter = { orientation: 'column', x: viewport.x + leftWidth, y: viewport.y, width: SPLITTER_SIZE, height: viewport.height };
+  const leftFull = { x: viewport.x, y: viewport.y, width: leftWidth, height: viewport.height };
+  const rightFull = { x: rightX, y: viewport.y, width: rightWidth, height: viewport.height };
+  if (count === 2) return { panes: [leftFull, rightFull], splitters: [columnSplitter] };
+
+  const rightTop = { x: rightX, y: viewport.y, width: rightWidth, height: topHeight };
+  const rightBottom = { x: rightX, y: bottomY, width: rightWidth, height: bottomHeight };
+  if (count === 3) {
+    return {
+      panes: [leftFull, rightTop, rightBottom],
+      splitters: [columnSplitter, { orientation: 'row', x: rightX, y: viewport.y + topHeight, width: rightWidth, height: SPLITTER_SIZE }],
+    };
+  }
+
+  return {
+    panes: [
+      { x: viewport.x, y: viewport.y, width: leftWidth, height: topHeight },
+      rightTop,
+      { x: viewport.x, y: bottomY, width: leftWidth, height: bottomHeight },
+      rightBottom,
+    ],
+    splitters: [columnSplitter, { orientation: 'row', x: viewport.x, y: viewport.y + topHeight, width: viewport.width, height: SPLITTER_SIZE }],
+  };
+}
@@ -0,0 +1,32 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeContextColor, normalizeContextLabels, summarizeContextGroups } from '../src/main/utils/context-labels.js';
+
+test('normalizeContextLabels trims text and defaults missing fields to null', () => {
+  assert.deepEqual(normalizeContextLabels(), { name: null, color: null, group: null });
+  assert.deepEqual(
+    normalizeContextLabels({ name: '  抖音后台-A  ', color: '#1E90FF', group: '客户甲' }),
+    { name: '抖音后台-A', color: '#1e90ff', group: '客户甲' },
+  );
+  assert.equal(normalizeContextLabels({ name: '   ' }).name, null);
+});
+
+test('normalizeContextLabels rejects invalid values', () => {
+  assert.throws(() => normalizeContextLabels({ name: 1 }), /name must be a string/);
+  assert.throws(() => normalizeContextLabels({ group: 'x'.repeat(41) }), /at most 40/);
+  assert.throws(() => normalizeContextColor('red'), /hex color/);
+  assert.equal(normalizeContextColor(''), null);
+});
+
+test('summarizeContextGroups keeps first-seen order and skips ungrouped contexts', () => {
+  const groups = summarizeContextGroups([
+    { id: 'a', group: '抖音' },
+    { id: 'b', group: null },
+    { id: 'c', group: '小红书' },
+    { id: 'd', group: '抖音' },
+  ]);
+  assert.deepEqual(groups, [
+    { group: '抖音', count: 2, ids: ['a', 'd'] },
+    { group: '小红书', count: 1, ids: ['c'] },
+  ]);
+});
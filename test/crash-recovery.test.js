@@ -0,0 +1,46 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_CRASH_RECOVERY,
+  isCrashReason,
+  planCrashRecovery,
+  readCrashRecoveryOptions,
+} from '../src/main/utils/crash-recovery.js';
+
+test('readCrashRecoveryOptions reads env overrides', () => {
+  assert.equal(readCrashRecoveryOptions({}).autoReload, true);
+  assert.equal(readCrashRecoveryOptions({}).maxAttempts, DEFAULT_CRASH_RECOVERY.maxAttempts);
+
+  const options = readCrashRecoveryOptions({ CRASH_AUTO_RELOAD: 'false', CRASH_RELOAD_BASE_MS: '500', CRASH_RELOAD_MAX_ATTEMPTS: 'x' });
+  assert.equal(options.autoReload, false);
+  assert.equal(options.baseDelayMs, 500);
+  assert.equal(options.maxAttempts, DEFAULT_CRASH_RECOVERY.maxAttempts);
+});
+
+test('isCrashReason ignores clean exits', () => {
+  assert.equal(isCrashReason('crashed'), true);
+  assert.equal(isCrashReason('oom'), true);
+  assert.equal(isCrashReason('clean-exit'), false);
+});
+
+test('planCrashRecovery backs off and stops after max attempts', () => {
+  const options = { baseDelayMs: 1000, maxDelayMs: 3000, maxAttempts: 3, resetAfterMs: 60000 };
+  let state = null;
+  const delays = [];
+  for (let i = 0; i < 4; i += 1) {
+    const plan = planCrashRecovery(state, { now: 1000 + i, ...options });
+    state = plan.state;
+    delays.push(plan.reload ? plan.delayMs : null);
+  }
+  assert.deepEqual(delays, [1000, 2000, 3000, null]);
+  assert.equal(state.attempts, 4);
+
+  const afterQuiet = planCrashRecovery(state, { now: 1000 + 60000 + 10, ...options });
+  assert.deepEqual(afterQuiet, { state: { attempts: 1, lastCrashAt: 61010 }, reload: true, delayMs: 1000 });
+});
+
+test('planCrashRecovery only records the crash when auto reload is off', () => {
+  const plan = planCrashRecovery(null, { now: 5, autoReload: false });
+  assert.equal(plan.reload, false);
+  assert.equal(plan.state.attempts, 1);
+});
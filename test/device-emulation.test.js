@@ -0,0 +1,56 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEVICE_PRESETS,
+  applyDeviceToFingerprint,
+  fitDeviceBounds,
+  normalizeDeviceProfile,
+} from '../src/main/utils/device-emulation.js';
+import { resolveFingerprintProfile } from '../src/main/utils/fingerprint-profiles.js';
+
+test('normalizeDeviceProfile resolves presets, overrides and custom devices', () => {
+  assert.equal(normalizeDeviceProfile(null), null);
+  assert.deepEqual(normalizeDeviceProfile('pixel-7'), DEVICE_PRESETS.find((preset) => preset.id === 'pixel-7'));
+
+  const landscape = normalizeDeviceProfile({ presetId: 'iphone-se', width: 667, height: 375 });
+  assert.equal(landscape.id, 'custom');
+  assert.equal(landscape.userAgent, DEVICE_PRESETS.find((preset) => preset.id === 'iphone-se').userAgent);
+
+  const custom = normalizeDeviceProfile({ width: 400, height: 800, userAgent: 'Mozilla/5.0 (Linux; Android 13) Mobile', touch: false });
+  assert.deepEqual(
+    { id: custom.id, deviceScaleFactor: custom.deviceScaleFactor, platform: custom.platform, touch: custom.touch },
+    { id: 'custom', deviceScaleFactor: 1, platform: 'Linux armv81', touch: false },
+  );
+
+  // 已保存的完整配置原样恢复
+  assert.deepEqual(normalizeDeviceProfile({ ...normalizeDeviceProfile('iphone-15-pro') }), normalizeDeviceProfile('iphone-15-pro'));
+
+  assert.throws(() => normalizeDeviceProfile('nokia'), /unknown device preset: nokia/);
+  assert.throws(() => normalizeDeviceProfile({ width: 400, height: 800 }), /device\.userAgent is required/);
+  assert.throws(() => normalizeDeviceProfile({ presetId: 'pixel-7', width: 10 }), /device\.width must be an integer/);
+  assert.throws(() => normalizeDeviceProfile({ presetId: 'pixel-7', deviceScaleFactor: 8 }), /deviceScaleFactor must be between/);
+});
+
+test('applyDeviceToFingerprint replaces UA, platform and screen only', () => {
+  const fingerprint = resolveFingerprintProfile('win10-chrome-nvidia', 'seed');
+  const device = normalizeDeviceProfile('iphone-15-pro');
+  const merged = applyDeviceToFingerprint(fingerprint, device);
+  assert.equal(merged.userAgent, device.userAgent);
+  assert.equal(merged.platform, 'iPhone');
+  assert.deepEqual(merged.viewport, { width: 393, height: 852 });
+  assert.equal(merged.deviceScaleFactor, 3);
+  assert.equal(merged.webgl, fingerprint.webgl);
+  assert.equal(applyDeviceToFingerprint(fingerprint, null), fingerprint);
+});
+
+test('fitDeviceBounds centers the device and scales it down to fit the pane', () => {
+  const device = { width: 400, height: 800 };
+  assert.deepEqual(fitDeviceBounds({ x: 0, y: 120, width: 1000, height: 900 }, device), {
+    bounds: { x: 300, y: 120, width: 400, height: 800 },
+    scale: 1,
+  });
+  assert.deepEqual(fitDeviceBounds({ x: 10, y: 120, width: 500, height: 400 }, device), {
+    bounds: { x: 160, y: 120, width: 200, height: 400 },
+    scale: 0.5,
+  });
+});
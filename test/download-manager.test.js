@@ -0,0 +1,98 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { DownloadManager } from '../src/main/services/download-manager.js';
+
+function createFakeItem({ filename = 'report.xlsx', totalBytes = 100 } = {}) {
+  const item = new EventEmitter();
+  let paused = false;
+  Object.assign(item, {
+    savePath: null,
+    received: 0,
+    cancelled: false,
+    getFilename: () => filename,
+    getURL: () => `https://creator.douyin.com/export/${filename}`,
+    getMimeType: () => 'application/vnd.ms-excel',
+    getTotalBytes: () => totalBytes,
+    getReceivedBytes: () => item.received,
+    setSavePath: (p) => { item.savePath = p; },
+    isPaused: () => paused,
+    pause: () => { paused = true; },
+    resume: () => { paused = false; },
+    canResume: () => paused,
+    cancel: () => { item.cancelled = true; },
+  });
+  return item;
+}
+
+function createManager() {
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'download-manager-'));
+  const updates = [];
+  const manager = new DownloadManager({
+    baseDir: tmp,
+    resolveContextId: (webContents) => webContents.contextId,
+    onUpdate: (record) => updates.push(record),
+  });
+  return { tmp, manager, updates };
+}
+
+test('download manager saves into a per-context folder and tracks progress', () => {
+  const { tmp, manager, updates } = createManager();
+  const item = createFakeItem();
+  const record = manager.handleDownload(item, { contextId: 'ctx-1' });
+
+  assert.equal(item.savePath, path.join(tmp, 'downloads', 'ctx-1', 'report.xlsx'));
+  assert.equal(record.state, 'progressing');
+
+  item.received = 40;
+  item.emit('updated', {}, 'progressing');
+  assert.equal(manager.getDownload(record.id).receivedBytes, 40);
+
+  item.received = 100;
+  item.emit('done', {}, 'completed');
+  const done = manager.getDownload(record.id);
+  assert.equal(done.state, 'completed');
+  assert.ok(done.completedAt);
+  assert.equal(updates.length, 3);
+  assert.equal(manager.cancelDownload(record.id), false);
+});
+
+test('download manager avoids overwriting existing files', () => {
+  const { tmp, manager } = createManager();
+  fs.mkdirSync(path.join(tmp, 'downloads', 'ctx-1'), { recursive: true });
+  fs.writeFileSync(path.join(tmp, 'downloads', 'ctx-1', 'report.xlsx'), '');
+
+  const item = createFakeItem();
+  manager.handleDownload(item, { contextId: 'ctx-1' });
+  assert.equal(path.basename(item.savePath), 'report (1).xlsx');
+});
+
+test('download manager pauses, resumes and cancels active items', () => {
+  const { manager } = createManager();
+  const item = createFakeItem();
+  const { id } = manager.handleDownload(item, { contextId: 'ctx-1' });
+
+  assert.equal(manager.resumeDownload(id), false);
+  assert.equal(manager.pauseDownload(id), true);
+  assert.equal(manager.getDownload(id).paused, true);
+  assert.equal(manager.pauseDownload(id), false);
+  assert.equal(manager.resumeDownload(id), true);
+  assert.equal(manager.cancelDownload(id), true);
+  assert.equal(item.cancelled, true);
+});
+
+test('download manager lists by context and attaches each session once', () => {
+  const { manager } = createManager();
+  manager.handleDownload(createFakeItem({ filename: 'a.png' }), { contextId: 'ctx-1' });
+  manager.handleDownload(createFakeItem({ filename: 'b.png' }), { contextId: 'ctx-2' });
+  assert.equal(manager.listDownloads().length, 2);
+  assert.equal(manager.listDownloads({ contextId: 'ctx-2' })[0].filename, 'b.png');
+
+  const ses = new EventEmitter();
+  manager.attachSession(ses);
+  manager.attachSession(ses);
+  assert.equal(ses.listenerCount('will-download'), 1);
+});
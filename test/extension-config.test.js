@@ -0,0 +1,40 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  normalizeExtensionSettings,
+  normalizeGroupExtensions,
+  resolveContextExtensions,
+  toggleContextExtension,
+} from '../src/main/utils/extension-config.js';
+
+test('normalizeExtensionSettings accepts a directory list or settings object', () => {
+  assert.deepEqual(normalizeExtensionSettings(null), { paths: [], disabled: [] });
+  assert.deepEqual(normalizeExtensionSettings(['/ext/a', '/ext/a/', '/ext/b']), { paths: ['/ext/a', '/ext/b'], disabled: [] });
+  assert.deepEqual(normalizeExtensionSettings({ paths: ['/ext/a'], disabled: ['/ext/a'] }), { paths: ['/ext/a'], disabled: ['/ext/a'] });
+  assert.throws(() => normalizeExtensionSettings(['ext/a']), /extension path must be absolute/);
+  assert.throws(() => normalizeExtensionSettings({ paths: '/ext/a' }), /extensions\.paths must be an array/);
+  assert.throws(() => normalizeGroupExtensions([1]), /paths must be an array of directories/);
+});
+
+test('resolveContextExtensions merges group and context extensions', () => {
+  const entries = resolveContextExtensions({
+    groupPaths: ['/ext/capture'],
+    settings: { paths: ['/ext/capture', '/ext/helper'], disabled: ['/ext/helper'] },
+  });
+  assert.deepEqual(entries, [
+    { path: '/ext/capture', source: 'group', enabled: true },
+    { path: '/ext/helper', source: 'context', enabled: false },
+  ]);
+});
+
+test('toggleContextExtension disables group extensions and adds new directories', () => {
+  const groupPaths = ['/ext/capture'];
+  const disabled = toggleContextExtension(null, { path: '/ext/capture', enabled: false, groupPaths });
+  assert.deepEqual(disabled, { paths: [], disabled: ['/ext/capture'] });
+
+  const reenabled = toggleContextExtension(disabled, { path: '/ext/capture', enabled: true, groupPaths });
+  assert.deepEqual(reenabled, { paths: [], disabled: [] });
+
+  const added = toggleContextExtension(reenabled, { path: '/ext/new', enabled: true, groupPaths });
+  assert.deepEqual(added, { paths: ['/ext/new'], disabled: [] });
+});
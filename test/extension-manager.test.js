@@ -0,0 +1,55 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { ExtensionManager } from '../src/main/services/extension-manager.js';
+
+function createFakeSession() {
+  const loaded = new Map();
+  return {
+    loaded,
+    async loadExtension(dir) {
+      if (dir.includes('broken')) throw new Error('Manifest file is missing or unreadable');
+      const extension = { id: `id-${dir}`, name: dir.split('/').pop(), version: '1.0.0' };
+      loaded.set(extension.id, extension);
+      return extension;
+    },
+    removeExtension(id) {
+      loaded.delete(id);
+    },
+  };
+}
+
+test('ExtensionManager loads, keeps and removes extensions per partition', async () => {
+  const manager = new ExtensionManager();
+  const ses = createFakeSession();
+
+  const first = await manager.sync(ses, 'persist:a', ['/ext/capture', '/ext/broken']);
+  assert.equal(first['/ext/capture'].name, 'capture');
+  assert.match(first['/ext/broken'].error, /Manifest/);
+  assert.equal(ses.loaded.size, 1);
+
+  await manager.sync(ses, 'persist:a', ['/ext/capture']);
+  assert.equal(ses.loaded.size, 1);
+
+  await manager.sync(ses, 'persist:a', []);
+  assert.equal(ses.loaded.size, 0);
+  assert.deepEqual(manager.describe('persist:a'), {});
+  assert.deepEqual(manager.describe('persist:other'), {});
+});
+
+test('ExtensionManager serializes concurrent syncs for the same partition', async () => {
+  const manager = new ExtensionManager();
+  const ses = createFakeSession();
+  let loads = 0;
+  const loadExtension = ses.loadExtension.bind(ses);
+  ses.loadExtension = async (dir) => {
+    loads += 1;
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    return loadExtension(dir);
+  };
+
+  await Promise.all([
+    manager.sync(ses, 'persist:a', ['/ext/capture']),
+    manager.sync(ses, 'persist:a', ['/ext/capture']),
+  ]);
+  assert.equal(loads, 1);
+});
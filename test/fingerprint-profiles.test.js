@@ -0,0 +1,59 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  FINGERPRINT_PRESETS,
+  buildFingerprintScript,
+  encodeFingerprintArgument,
+  pickFingerprintPreset,
+  resolveFingerprintProfile,
+} from '../src/main/utils/fingerprint-profiles.js';
+
+test('pickFingerprintPreset is stable for the same partition', () => {
+  const first = pickFingerprintPreset('persist:acct-1');
+  const second = pickFingerprintPreset('persist:acct-1');
+  assert.equal(first.id, second.id);
+  assert.ok(FINGERPRINT_PRESETS.includes(first));
+});
+
+test('resolveFingerprintProfile accepts preset id and rejects unknown ids', () => {
+  const profile = resolveFingerprintProfile('macos-chrome-m1', 'persist:ctx-a');
+  assert.equal(profile.platform, 'MacIntel');
+  assert.equal(profile.deviceScaleFactor, 2);
+  assert.notEqual(profile, FINGERPRINT_PRESETS.find((p) => p.id === 'macos-chrome-m1'));
+  assert.throws(() => resolveFingerprintProfile('nope', 'persist:ctx-a'), /unknown fingerprint preset/);
+});
+
+test('resolveFingerprintProfile merges overrides onto the chosen preset', () => {
+  const profile = resolveFingerprintProfile({
+    presetId: 'win10-chrome-nvidia',
+    timezone: 'Asia/Tokyo',
+    viewport: { width: 1280 },
+    webgl: { renderer: 'ANGLE (custom)' },
+  }, 'persist:ctx-a');
+  assert.equal(profile.id, 'custom');
+  assert.equal(profile.timezone, 'Asia/Tokyo');
+  assert.deepEqual(profile.viewport, { width: 1280, height: 1080 });
+  assert.equal(profile.webgl.vendor, 'Google Inc. (NVIDIA)');
+  assert.equal(profile.webgl.renderer, 'ANGLE (custom)');
+
+  const fallback = resolveFingerprintProfile(undefined, 'persist:ctx-a');
+  assert.equal(fallback.id, pickFingerprintPreset('persist:ctx-a').id);
+});
+
+test('resolveFingerprintProfile keeps a stored profile unchanged', () => {
+  const stored = resolveFingerprintProfile({ presetId: 'win11-edge-intel', languages: ['en-US'] }, 'persist:ctx-a');
+  assert.deepEqual(resolveFingerprintProfile(stored, 'persist:ctx-b'), stored);
+});
+
+test('fingerprint script is valid and carries profile values', () => {
+  const profile = resolveFingerprintProfile('win11-edge-intel', 'seed');
+  const script = buildFingerprintScript(profile);
+  assert.doesNotThrow(() => new Function(script));
+  assert.match(script, /Intel\(R\) UHD Graphics 630/);
+  assert.match(script, /"timezone":"Asia\/Shanghai"/);
+
+  const arg = encodeFingerprintArgument(profile);
+  assert.ok(arg.startsWith('--fingerprint-script='));
+  const decoded = Buffer.from(arg.slice('--fingerprint-script='.length), 'base64').toString('utf8');
+  assert.equal(decoded, script);
+});
@@ -0,0 +1,44 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_HIBERNATE_IDLE_MS,
+  DEFAULT_MAX_LIVE_TABS,
+  readHibernationOptions,
+  selectContextsToHibernate,
+} from '../src/main/utils/hibernation-policy.js';
+
+const now = 1_000_000;
+
+function tab(id, idleFor, extra = {}) {
+  return { id, hibernated: false, lastActiveAt: now - idleFor, ...extra };
+}
+
+test('idle background tabs are hibernated, the active tab never is', () => {
+  const tabs = [tab('a', 5000), tab('b', 100), tab('c', 9000)];
+  const ids = selectContextsToHibernate(tabs, { now, activeId: 'a', idleMs: 1000, maxLiveTabs: 10 });
+  assert.deepEqual(ids, ['c']);
+});
+
+test('tabs beyond the live cap are hibernated least recently used first', () => {
+  const tabs = [tab('a', 0), tab('b', 300), tab('c', 200), tab('d', 100), tab('e', 50, { hibernated: true })];
+  const ids = selectContextsToHibernate(tabs, { now, activeId: 'a', idleMs: 10_000, maxLiveTabs: 2 });
+  assert.deepEqual(ids, ['b', 'c']);
+});
+
+test('audible tabs are kept alive', () => {
+  const tabs = [tab('a', 0), tab('b', 9000, { isAudible: true }), tab('c', 9000)];
+  const ids = selectContextsToHibernate(tabs, { now, activeId: 'a', idleMs: 1000, maxLiveTabs: 1 });
+  assert.deepEqual(ids, ['c']);
+});
+
+test('tabs visible in split panes are kept alive', () => {
+  const tabs = [tab('a', 0), tab('b', 9000), tab('c', 9000)];
+  const ids = selectContextsToHibernate(tabs, { now, activeId: 'a', keepIds: ['a', 'b'], idleMs: 1000, maxLiveTabs: 1 });
+  assert.deepEqual(ids, ['c']);
+});
+
+test('readHibernationOptions falls back to defaults on invalid values', () => {
+  assert.deepEqual(readHibernationOptions({}), { idleMs: DEFAULT_HIBERNATE_IDLE_MS, maxLiveTabs: DEFAULT_MAX_LIVE_TABS });
+  assert.deepEqual(readHibernationOptions({ TAB_HIBERNATE_IDLE_MS: '60000', TAB_MAX_LIVE_TABS: '3' }), { idleMs: 60000, maxLiveTabs: 3 });
+  assert.deepEqual(readHibernationOptions({ TAB_HIBERNATE_IDLE_MS: 'x', TAB_MAX_LIVE_TABS: '0' }), { idleMs: DEFAULT_HIBERNATE_IDLE_MS, maxLiveTabs: DEFAULT_MAX_LIVE_TABS });
+});
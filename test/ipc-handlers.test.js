@@ -12,10 +12,33 @@ function createFakeIpcMain() {
 
 function createStubs() {
   const contexts = new Map();
+  const downloads = [
+    { id: 'd1', contextId: 'ctx-1', state: 'completed', filename: 'a.png', savePath: '/tmp/a.png', mimeType: 'image/png' },
+    { id: 'd2', contextId: 'ctx-2', state: 'progressing', filename: 'b.mp4', savePath: '/tmp/b.mp4', mimeType: 'video/mp4' },
+  ];
+  const permissionRequests = [{ id: 'p1', contextId: 'ctx-1', permission: 'geolocation', origin: 'https://a.test' }];
   let activeId = null;
+  let layout = { mode: 'single', panes: [], ratios: { column: 0.5, row: 0.5 } };
+  const updateLabels = (id, patch) => {
+    const c = contexts.get(id);
+    if (!c) return null;
+    Object.assign(c, patch);
+    return { name: c.name, color: c.color, group: c.group };
+  };
   const contextApi = {
-    createIsolatedContext: (url) => {
-      const ctx = { id: `ctx-${contexts.size + 1}`, partition: `persist:ctx-${contexts.size + 1}`, url };
+    createIsolatedContext: (url, options = {}) => {
+      const ctx = {
+        id: `ctx-${contexts.size + 1}`,
+        partition: options.ephemeral ? `ctx-${contexts.size + 1}` : `persist:ctx-${contexts.size + 1}`,
+        ephemeral: Boolean(options.ephemeral),
+        url,
+        fingerprint: options.fingerprint,
+        proxy: options.proxy,
+        name: options.name || null,
+        color: options.color || null,
+        group: options.group || null,
+        permissions: { policy: { geolocation: 'ask', ...options.permissions?.policy }, decisions: {} },
+      };
       contexts.set(ctx.id, { ...ctx, title: 'tab', currentUrl: url || 'https://example.com', isLoading: false });
       return ctx;
     },
@@ -31,13 +54,146 @@ function createStubs() {
       c.currentUrl = url;
       return true;
     },
+    openAccountContext: ({ accountId, partition, url }) => {
+      const existing = [...contexts.values()].find((c) => c.accountId === accountId);
+      if (existing) {
+        activeId = existing.id;
+        return existing;
+      }
+      const ctx = { id: `ctx-${contexts.size + 1}`, partition, accountId, url };
+      contexts.set(ctx.id, { ...ctx, title: 'tab', currentUrl: url, isLoading: false });
+      activeId = ctx.id;
+      return ctx;
+    },
+    getAccountContextId: (accountId) => [...contexts.values()].find((c) => c.accountId === accountId)?.id || null,
+    goBack: (id) => contexts.has(id) && contexts.get(id).canGoBack === true,
+    goForward: (id) => contexts.has(id) && contexts.get(id).canGoForward === true,
+    reloadContext: (id) => contexts.has(id),
+    stopContext: (id) => contexts.has(id),
+    setPopupPolicy: (id, policy) => {
+      if (!contexts.has(id)) return false;
+      contexts.get(id).popupPolicy = policy;
+      return true;
+    },
+    listDownloads: ({ contextId } = {}) => downloads.filter((d) => !contextId || d.contextId === contextId),
+    getDownload: (id) => downloads.find((d) => d.id === id) || null,
+    pauseDownload: (id) => downloads.some((d) => d.id === id && d.state === 'progressing'),
+    resumeDownload: (id) => downloads.some((d) => d.id === id && d.state === 'progressing'),
+    cancelDownload: (id) => downloads.some((d) => d.id === id && d.state === 'progressing'),
+    testContextProxy: async (id, url) => (contexts.has(id)
+      ? { ok: true, url: url || 'https://www.baidu.com', status: 200 }
+      : { ok: false, error: 'context not found' }),
+    checkAccountSessions: async () => [{ accountId: 'a1', platform: '抖音', health: 'missing', status: 'session_expired' }],
+    listContextExtensions: (id) => (contexts.has(id) ? [{ path: '/ext/capture', source: 'group', enabled: true, loaded: true }] : null),
+    enableContextExtension: async (id, path) => (contexts.has(id) ? [{ path, source: 'context', enabled: true, loaded: true }] : null),
+    disableContextExtension: async (id, path) => (contexts.has(id) ? [{ path, source: 'context', enabled: false, loaded: false }] : null),
+    getGroupExtensions: () => ['/ext/capture'],
+    setGroupExtensions: async (group, paths) => paths,
+    cloneContext: async ({ id, name, includeCookies }) => {
+      if (!contexts.has(id)) throw new Error('context not found');
+      const cloneId = `${id}-clone`;
+      contexts.set(cloneId, { id: cloneId, name });
+      return { context: { id: cloneId, name }, sourceId: id, cookies: includeCookies ? 2 : 0, failed: [], localStorageOrigins: [] };
+    },
+    wipeContext: async (id) => {
+      const ctx = contexts.get(id);
+      if (!ctx) throw new Error('context not found');
+      contexts.delete(id);
+      return { partition: ctx.partition, closed: [id], removed: !ctx.ephemeral, pending: false };
+    },
+    listContextCrashes: ({ contextId, limit }) => [{ id: 1, contextId: contextId || 'ctx-1', kind: 'crashed', reason: 'oom' }].slice(0, limit),
+    listOrphanedPartitions: () => [{ partition: 'persist:ctx-old', dir: '/tmp/Partitions/ctx-old', sizeBytes: 1024 }],
+    removeOrphanedPartitions: (partitions) => partitions.map((partition) => ({ partition, removed: partition === 'persist:ctx-old' })),
+    captureContext: async ({ id, fullPage = false }) => {
+      const targetId = id || activeId;
+      if (!contexts.has(targetId)) throw new Error('context not found');
+      return { contextId: targetId, url: 'https://a.test', title: 'a', filePath: `/tmp/captures/${targetId}.png`, width: 800, height: fullPage ? 3000 : 600, fullPage };
+    },
+    exportContextStorage: async ({ id }) => {
+      if (!contexts.has(id)) throw new Error('context not found');
+      return { version: 1, partition: contexts.get(id).partition, cookies: [], localStorage: {} };
+    },
+    importContextStorage: async ({ id }) => ({ contextId: id || 'ctx-new', cookies: 0, failed: [], localStorageOrigins: [] }),
     listContexts: () => [...contexts.values()],
     getActiveContextId: () => activeId,
+    listFingerprintPresets: () => [{ id: 'win10-chrome-nvidia' }],
+    renameContext: (id, name) => updateLabels(id, { name }),
+    setContextColor: (id, color) => updateLabels(id, { color }),
+    setContextGroup: (id, group) => updateLabels(id, { group }),
+    listContextGroups: () => [...new Set([...contexts.values()].map((c) => c.group).filter(Boolean))]
+      .map((group) => ({ group, ids: [...contexts.values()].filter((c) => c.group === group).map((c) => c.id) })),
+    openContextGroup: (group) => ({ opened: [...contexts.values()].filter((c) => c.group === group).map((c) => c.id) }),
+    closeContextGroup: (group) => {
+      const ids = [...contexts.values()].filter((c) => c.group === group).map((c) => c.id);
+      ids.forEach((id) => contexts.delete(id));
+      return { closed: ids };
+    },
+    getPermissions: (id) => contexts.get(id)?.permissions || null,
+    setPermissionPolicy: (id, policy) => {
+      const c = contexts.get(id);
+      if (!c) return null;
+      c.permissions = { ...c.permissions, policy: { ...c.permissions.policy, ...policy } };
+      return c.permissions;
+    },
+    clearPermissionDecisions: (id) => {
+      const c = contexts.get(id);
+      if (!c) return null;
+      c.permissions = { ...c.permissions, decisions: {} };
+      return c.permissions;
+    },
+    listPermissionRequests: ({ contextId } = {}) => permissionRequests.filter((r) => !contextId || r.contextId === contextId),
+    respondPermissionRequest: (requestId) => permissionRequests.some((r) => r.id === requestId),
+    listFilterLists: () => [{ id: 'trackers', ruleCount: 12 }],
+    reloadFilterLists: () => [{ id: 'trackers', ruleCount: 13 }],
+    setRequestFilter: (id, patch) => {
+      const c = contexts.get(id);
+      if (!c) return null;
+      c.requestFilter = { enabled: false, lists: null, ...c.requestFilter, ...patch };
+      return c.requestFilter;
+    },
+    setNavigationPolicy: (id, policy) => {
+      const c = contexts.get(id);
+      if (!c) return null;
+      c.navigationPolicy = { allow: policy.allow || [], block: policy.block || [] };
+      return c.navigationPolicy;
+    },
+    startNetworkRecording: (id, { maxEntries }) => {
+      if (!contexts.has(id)) throw new Error('context not found');
+      return { contextId: id, recording: true, entryCount: 0, maxEntries: maxEntries || 500 };
+    },
+    stopNetworkRecording: (id) => ({ contextId: id, recording: false, entryCount: 3 }),
+    getNetworkRecordingStatus: (id) => (contexts.has(id) ? { contextId: id, recording: false, entryCount: 0 } : null),
+    clearNetworkLog: (id) => (contexts.has(id) ? { contextId: id, recording: false, entryCount: 0 } : null),
+    exportNetworkHar: async ({ id, redact = true, saveAs = false }) => ({ contextId: id, filePath: saveAs ? null : `/tmp/${id}.har`, entryCount: 3, redacted: redact }),
+    listDevicePresets: () => [{ id: 'iphone-15-pro', name: 'iPhone 15 Pro' }],
+    setContextDevice: (id, device) => (contexts.has(id) ? { device: device ? { id: device } : null } : null),
+    setContextRegion: (id, region) => (contexts.has(id) ? { region } : null),
+    getRequestFilterStats: (id) => ({ contextId: id, blocked: id === 'ctx-1' ? 3 : 0, redirected: 0, byList: {}, byHost: {} }),
+    getViewLayout: () => layout,
+    setViewLayout: ({ mode, panes = [], ratios }) => {
+      if (mode === 'split' && panes.some((id) => !contexts.has(id))) throw new Error('context not found');
+      layout = { mode, panes: mode === 'split' ? panes : [], ratios: { ...layout.ratios, ...ratios } };
+      return layout;
+    },
+    assignPane: (paneIndex, id) => {
+      if (layout.mode !== 'split') throw new Error('split layout is not active');
+      layout.panes[paneIndex] = id;
+      return layout;
+    },
+    resizeSplit: (ratios) => {
+      layout.ratios = { ...layout.ratios, ...ratios };
+      return layout;
+    },
+    setViewInsets: (insets) => {
+      layout.viewport = { x: insets.left || 0, y: insets.top, width: 800, height: 600 - insets.top };
+      return layout;
+    },
   };
 
   const matrixService = {
     getPlatforms: () => ['抖音', '小红书', '头条'],
-    listAccounts: () => [],
+    listAccounts: () => [{ id: 'a1', platform: '抖音', nickname: 'a', partition: 'persist:acct-a1' }],
+    getAccountContextTarget: ({ id }) => (id === 'a1' ? { accountId: 'a1', partition: 'persist:acct-a1', url: 'https://creator.douyin.com/' } : null),
     addAccount: (p) => ({ id: 'a1', ...p }),
     updateAccountStatus: (p) => ({ ...p }),
     deleteAccount: (p) => ({ ...p }),
@@ -47,6 +203,7 @@ function createStubs() {
     saveGeneratedContent: (p) => ({ ...p }),
     listContentAssets: () => [{ id: 'ca1', title: 'asset1' }],
     deleteContentAsset: (p) => ({ ...p }),
+    saveDownloadedAsset: (d) => ({ id: 'ca-d', title: d.filename, source: 'download', filePath: d.savePath }),
     schedulePublish: (p) => ({ id: 's1', ...p, status: 'scheduled' }),
     cancelSchedule: (p) => ({ ...p }),
     retrySchedule: (p) => ({ ...p }),
@@ -60,6 +217,14 @@ function createStubs() {
     getRecentFailures: () => [{ id: 'f1', errorMessage: 'x' }],
     exportSnapshot: () => ({ accounts: [] }),
     importSnapshot: () => ({ imported: { accounts: 0 } }),
+    ensureCaptureTargets: ({ scheduleId }) => {
+      if (scheduleId && scheduleId !== 's1') throw new Error('schedule not found');
+    },
+    saveCapture: (capture) => ({ id: 'cap1', ...capture, scheduleId: capture.scheduleId || null, contentAssetId: capture.contentAssetId || null }),
+    linkCapture: ({ id, ...links }) => ({ id, ...links }),
+    listRpaScripts: () => ({ scripts: [{ platform: '视频号', file: 'channels.json', contentTypes: ['default'] }], errors: [] }),
+    reloadRpaScripts: () => ({ scripts: [], errors: [{ file: 'broken.json', error: 'invalid' }] }),
+    listCaptures: ({ scheduleId }) => (scheduleId === 's1' ? [{ id: 'cap1', scheduleId: 's1' }] : []),
   };
 
   return { contextApi, matrixService };
@@ -154,3 +319,452 @@ test('ipc generateContent returns business error when hotspot missing', async ()
   assert.equal(result.ok, false);
   assert.equal(result.error, 'hotspot not found');
 });
+
+test('ipc openAccountContext opens once and reports context on account list', async () => {
+  const ipcMain = createFakeIpcMain();
+  const deps = createStubs();
+  registerIpcHandlers({ ipcMain, ...deps });
+
+  let accounts = await ipcMain.invoke('matrix:listAccounts', {});
+  assert.equal(accounts.accounts[0].hasContext, false);
+
+  const opened = await ipcMain.invoke('matrix:openAccountContext', { id: 'a1' });
+  assert.equal(opened.ok, true);
+  assert.equal(opened.context.partition, 'persist:acct-a1');
+
+  const reopened = await ipcMain.invoke('matrix:openAccountContext', { id: 'a1' });
+  assert.equal(reopened.context.id, opened.context.id);
+
+  accounts = await ipcMain.invoke('matrix:listAccounts', {});
+  assert.equal(accounts.accounts[0].hasContext, true);
+  assert.equal(accounts.accounts[0].contextId, opened.context.id);
+
+  const missing = await ipcMain.invoke('matrix:openAccountContext', { id: 'nope' });
+  assert.equal(missing.ok, false);
+  assert.equal(missing.error, 'account not found');
+
+  const bad = await ipcMain.invoke('matrix:openAccountContext', {});
+  assert.equal(bad.ok, false);
+  assert.match(bad.error, /id must be a string/);
+});
+
+test('ipc contexts:create passes fingerprint selection through', async () => {
+  const ipcMain = createFakeIpcMain();
+  const deps = createStubs();
+  registerIpcHandlers({ ipcMain, ...deps });
+
+  const presets = await ipcMain.invoke('contexts:listFingerprintPresets', {});
+  assert.equal(presets.ok, true);
+  assert.equal(presets.presets.length, 1);
+
+  const created = await ipcMain.invoke('contexts:create', { url: 'https://example.com', fingerprint: 'win10-chrome-nvidia' });
+  assert.equal(created.ok, true);
+  assert.equal(created.context.fingerprint, 'win10-chrome-nvidia');
+
+  const bad = await ipcMain.invoke('contexts:create', { url: 'https://example.com', fingerprint: 42 });
+  assert.equal(bad.ok, false);
+  assert.match(bad.error, /fingerprint must be an object/);
+});
+
+test('ipc contexts proxy settings and proxy test', async () => {
+  const ipcMain = createFakeIpcMain();
+  const deps = createStubs();
+  registerIpcHandlers({ ipcMain, ...deps });
+
+  const proxy = { protocol: 'socks5', host: '127.0.0.1', port: 1080 };
+  const created = await ipcMain.invoke('contexts:create', { url: 'https://example.com', proxy });
+  assert.equal(created.ok, true);
+  assert.deepEqual(created.context.proxy, proxy);
+
+  const tested = await ipcMain.invoke('contexts:testProxy', { id: created.context.id, url: 'https://ip.test' });
+  assert.equal(tested.ok, true);
+  assert.equal(tested.result.url, 'https://ip.test');
+
+  const missing = await ipcMain.invoke('contexts:testProxy', { id: 'nope' });
+  assert.equal(missing.ok, false);
+  assert.equal(missing.result.error, 'context not found');
+
+  const bad = await ipcMain.invoke('contexts:create', { proxy: 'socks5://x' });
+  assert.equal(bad.ok, false);
+  assert.match(bad.error, /proxy must be an object/);
+});
+
+test('ipc contexts storage export/import', async () => {
+  const ipcMain = createFakeIpcMain();
+  const deps = createStubs();
+  registerIpcHandlers({ ipcMain, ...deps });
+
+  const created = await ipcMain.invoke('contexts:create', { url: 'https://example.com' });
+  const exported = await ipcMain.invoke('contexts:exportStorage', { id: created.context.id, includeLocalStorage: true });
+  assert.equal(exported.ok, true);
+  assert.equal(exported.bundle.partition, created.context.partition);
+
+  const missing = await ipcMain.invoke('contexts:exportStorage', { id: 'nope' });
+  assert.equal(missing.ok, false);
+  assert.equal(missing.error, 'context not found');
+
+  const imported = await ipcMain.invoke('contexts:importStorage', { bundle: exported.bundle });
+  assert.equal(imported.ok, true);
+  assert.equal(imported.result.contextId, 'ctx-new');
+
+  const bad = await ipcMain.invoke('contexts:importStorage', { id: created.context.id, bundle: 'x' });
+  assert.equal(bad.ok, false);
+  assert.match(bad.error, /bundle must be an object/);
+  assert.match((await ipcMain.invoke('contexts:exportStorage', { id: created.context.id, saveAs: 'yes' })).error, /saveAs must be a boolean/);
+});
+
+test('ipc contexts navigation controls', async () => {
+  const ipcMain = createFakeIpcMain();
+  const deps = createStubs();
+  registerIpcHandlers({ ipcMain, ...deps });
+
+  const created = await ipcMain.invoke('contexts:create', { url: 'https://example.com' });
+  const { id } = created.context;
+
+  assert.equal((await ipcMain.invoke('contexts:goBack', { id })).ok, false);
+  assert.equal((await ipcMain.invoke('contexts:goForward', { id })).ok, false);
+  assert.equal((await ipcMain.invoke('contexts:reload', { id })).ok, true);
+  assert.equal((await ipcMain.invoke('contexts:stop', { id })).ok, true);
+  assert.equal((await ipcMain.invoke('contexts:reload', { id: 'nope' })).ok, false);
+
+  const bad = await ipcMain.invoke('contexts:goBack', {});
+  assert.equal(bad.ok, false);
+  assert.match(bad.error, /id must be a string/);
+});
+
+test('ipc contexts popup policy can be changed per context', async () => {
+  const ipcMain = createFakeIpcMain();
+  const deps = createStubs();
+  registerIpcHandlers({ ipcMain, ...deps });
+
+  const created = await ipcMain.invoke('contexts:create', { url: 'https://example.com', popupPolicy: 'same-tab' });
+  assert.equal(created.ok, true);
+
+  const updated = await ipcMain.invoke('contexts:setPopupPolicy', { id: created.context.id, policy: 'deny' });
+  assert.equal(updated.ok, true);
+  const list = await ipcMain.invoke('contexts:list', {});
+  assert.equal(list.contexts[0].popupPolicy, 'deny');
+
+  const bad = await ipcMain.invoke('contexts:setPopupPolicy', { id: created.context.id });
+  assert.equal(bad.ok, false);
+  assert.match(bad.error, /policy must be a string/);
+});
+
+test('ipc contexts download management', async () => {
+  const ipcMain = createFakeIpcMain();
+  const deps = createStubs();
+  registerIpcHandlers({ ipcMain, ...deps });
+
+  const all = await ipcMain.invoke('contexts:listDownloads', {});
+  assert.equal(all.downloads.length, 2);
+  const filtered = await ipcMain.invoke('contexts:listDownloads', { contextId: 'ctx-2' });
+  assert.equal(filtered.downloads[0].id, 'd2');
+
+  assert.equal((await ipcMain.invoke('contexts:pauseDownload', { id: 'd2' })).ok, true);
+  assert.equal((await ipcMain.invoke('contexts:resumeDownload', { id: 'd2' })).ok, true);
+  assert.equal((await ipcMain.invoke('contexts:cancelDownload', { id: 'd1' })).ok, false);
+
+  const imported = await ipcMain.invoke('contexts:importDownload', { id: 'd1' });
+  assert.equal(imported.ok, true);
+  assert.equal(imported.asset.filePath, '/tmp/a.png');
+
+  const pending = await ipcMain.invoke('contexts:importDownload', { id: 'd2' });
+  assert.equal(pending.ok, false);
+  assert.equal(pending.error, 'download not completed');
+
+  const missing = await ipcMain.invoke('contexts:importDownload', { id: 'nope' });
+  assert.equal(missing.error, 'download not found');
+});
+
+test('ipc contexts split layout assignment', async () => {
+  const ipcMain = createFakeIpcMain();
+  const deps = createStubs();
+  registerIpcHandlers({ ipcMain, ...deps });
+
+  const first = await ipcMain.invoke('contexts:create', { url: 'https://a.test' });
+  const second = await ipcMain.invoke('contexts:create', { url: 'https://b.test' });
+  const third = await ipcMain.invoke('contexts:create', { url: 'https://c.test' });
+
+  const notSplit = await ipcMain.invoke('contexts:assignPane', { paneIndex: 0, id: first.context.id });
+  assert.equal(notSplit.ok, false);
+  assert.equal(notSplit.error, 'split layout is not active');
+
+  const split = await ipcMain.invoke('contexts:setLayout', { mode: 'split', panes: [first.context.id, second.context.id] });
+  assert.equal(split.ok, true);
+  assert.deepEqual(split.layout.panes, ['ctx-1', 'ctx-2']);
+
+  const assigned = await ipcMain.invoke('contexts:assignPane', { paneIndex: 1, id: third.context.id });
+  assert.deepEqual(assigned.layout.panes, ['ctx-1', 'ctx-3']);
+
+  const resized = await ipcMain.invoke('contexts:resizeSplit', { ratios: { column: 0.3 } });
+  assert.equal(resized.layout.ratios.column, 0.3);
+  assert.equal((await ipcMain.invoke('contexts:getLayout', {})).layout.mode, 'split');
+
+  const missing = await ipcMain.invoke('contexts:setLayout', { mode: 'split', panes: ['ctx-1', 'nope'] });
+  assert.equal(missing.ok, false);
+
+  const badIndex = await ipcMain.invoke('contexts:assignPane', { paneIndex: -1, id: 'ctx-1' });
+  assert.match(badIndex.error, /paneIndex must be a non-negative integer/);
+  const badRatios = await ipcMain.invoke('contexts:resizeSplit', {});
+  assert.match(badRatios.error, /ratios must be an object/);
+
+  const inset = await ipcMain.invoke('contexts:setViewInsets', { insets: { top: 186 } });
+  assert.equal(inset.layout.viewport.y, 186);
+  assert.match((await ipcMain.invoke('contexts:setViewInsets', { insets: { top: -1 } })).error, /insets\.top must be a non-negative number/);
+});
+
+test('ipc contexts names, colors and groups', async () => {
+  const ipcMain = createFakeIpcMain();
+  const deps = createStubs();
+  registerIpcHandlers({ ipcMain, ...deps });
+
+  await ipcMain.invoke('contexts:create', { url: 'https://creator.douyin.com', name: '抖音-A', group: '客户甲' });
+  await ipcMain.invoke('contexts:create', { url: 'https://creator.douyin.com', name: '抖音-B' });
+
+  const renamed = await ipcMain.invoke('contexts:rename', { id: 'ctx-1', name: '抖音-A1' });
+  assert.deepEqual(renamed.labels, { name: '抖音-A1', color: null, group: '客户甲' });
+  assert.equal((await ipcMain.invoke('contexts:setColor', { id: 'ctx-1', color: '#ff6600' })).labels.color, '#ff6600');
+  assert.equal((await ipcMain.invoke('contexts:setGroup', { id: 'ctx-2', group: '客户甲' })).ok, true);
+  assert.equal((await ipcMain.invoke('contexts:rename', { id: 'nope', name: 'x' })).error, 'context not found');
+
+  const list = await ipcMain.invoke('contexts:list', {});
+  assert.deepEqual(list.contexts.map((c) => c.name), ['抖音-A1', '抖音-B']);
+
+  const groups = await ipcMain.invoke('contexts:listGroups', {});
+  assert.deepEqual(groups.groups, [{ group: '客户甲', ids: ['ctx-1', 'ctx-2'] }]);
+
+  assert.deepEqual((await ipcMain.invoke('contexts:openGroup', { group: '客户甲' })).opened, ['ctx-1', 'ctx-2']);
+  const closed = await ipcMain.invoke('contexts:closeGroup', { group: '客户甲' });
+  assert.deepEqual(closed.closed, ['ctx-1', 'ctx-2']);
+  assert.equal((await ipcMain.invoke('contexts:openGroup', { group: '客户甲' })).ok, false);
+
+  const bad = await ipcMain.invoke('contexts:closeGroup', {});
+  assert.match(bad.error, /group must be a string/);
+});
+
+test('ipc contexts permission policy and prompts', async () => {
+  const ipcMain = createFakeIpcMain();
+  const deps = createStubs();
+  registerIpcHandlers({ ipcMain, ...deps });
+
+  const created = await ipcMain.invoke('contexts:create', { url: 'https://a.test', permissions: { policy: { notifications: 'deny' } } });
+  const { id } = created.context;
+  assert.equal((await ipcMain.invoke('contexts:getPermissions', { id })).permissions.policy.notifications, 'deny');
+
+  const updated = await ipcMain.invoke('contexts:setPermissionPolicy', { id, policy: { geolocation: 'allow' } });
+  assert.deepEqual(updated.permissions.policy, { geolocation: 'allow', notifications: 'deny' });
+  assert.equal((await ipcMain.invoke('contexts:clearPermissionDecisions', { id })).ok, true);
+  assert.equal((await ipcMain.invoke('contexts:getPermissions', { id: 'nope' })).error, 'context not found');
+
+  const pending = await ipcMain.invoke('contexts:listPermissionRequests', { contextId: 'ctx-1' });
+  assert.equal(pending.requests[0].permission, 'geolocation');
+  assert.equal((await ipcMain.invoke('contexts:respondPermission', { requestId: 'p1', allow: true, remember: true })).ok, true);
+  assert.equal((await ipcMain.invoke('contexts:respondPermission', { requestId: 'nope', allow: false })).ok, false);
+
+  const bad = await ipcMain.invoke('contexts:respondPermission', { requestId: 'p1' });
+  assert.match(bad.error, /allow must be a boolean/);
+  const badPolicy = await ipcMain.invoke('contexts:setPermissionPolicy', { id });
+  assert.match(badPolicy.error, /policy must be an object/);
+});
+
+test('ipc contexts request filter toggles and stats', async () => {
+  const ipcMain = createFakeIpcMain();
+  const deps = createStubs();
+  registerIpcHandlers({ ipcMain, ...deps });
+
+  const created = await ipcMain.invoke('contexts:create', { url: 'https://a.test' });
+  const { id } = created.context;
+
+  assert.equal((await ipcMain.invoke('contexts:listFilterLists', {})).lists[0].id, 'trackers');
+  assert.equal((await ipcMain.invoke('contexts:reloadFilterLists', {})).lists[0].ruleCount, 13);
+
+  const enabled = await ipcMain.invoke('contexts:setRequestFilter', { id, enabled: true, lists: ['trackers'] });
+  assert.deepEqual(enabled.requestFilter, { enabled: true, lists: ['trackers'] });
+  const toggled = await ipcMain.invoke('contexts:setRequestFilter', { id, enabled: false });
+  assert.deepEqual(toggled.requestFilter, { enabled: false, lists: ['trackers'] });
+  assert.equal((await ipcMain.invoke('contexts:setRequestFilter', { id: 'nope', enabled: true })).error, 'context not found');
+
+  assert.equal((await ipcMain.invoke('contexts:getRequestFilterStats', { id })).stats.blocked, 3);
+
+  const bad = await ipcMain.invoke('contexts:setRequestFilter', { id, lists: 'trackers' });
+  assert.match(bad.error, /lists must be an array/);
+});
+
+test('ipc contexts capture saves linked screenshots', async () => {
+  const ipcMain = createFakeIpcMain();
+  const deps = createStubs();
+  let captured = 0;
+  const captureContext = deps.contextApi.captureContext;
+  deps.contextApi.captureContext = async (payload) => {
+    captured += 1;
+    return captureContext(payload);
+  };
+  registerIpcHandlers({ ipcMain, ...deps });
+
+  const created = await ipcMain.invoke('contexts:create', { url: 'https://a.test' });
+  const { id } = created.context;
+
+  const full = await ipcMain.invoke('contexts:capture', { id, fullPage: true, scheduleId: 's1' });
+  assert.equal(full.ok, true);
+  assert.equal(full.capture.height, 3000);
+  assert.equal(full.capture.scheduleId, 's1');
+
+  const missingTask = await ipcMain.invoke('contexts:capture', { id, scheduleId: 'nope' });
+  assert.equal(missingTask.error, 'schedule not found');
+  assert.equal(captured, 1);
+
+  assert.equal((await ipcMain.invoke('contexts:capture', { id: 'nope' })).error, 'context not found');
+  assert.match((await ipcMain.invoke('contexts:capture', { id, fullPage: 'yes' })).error, /fullPage must be a boolean/);
+
+  const linked = await ipcMain.invoke('matrix:linkCapture', { id: 'cap1', contentAssetId: 'ca1' });
+  assert.equal(linked.capture.contentAssetId, 'ca1');
+  assert.match((await ipcMain.invoke('matrix:linkCapture', { id: 'cap1' })).error, /scheduleId or contentAssetId is required/);
+  assert.equal((await ipcMain.invoke('matrix:listCaptures', { scheduleId: 's1' })).captures.length, 1);
+});
+
+test('ipc matrix checkSessions returns health results', async () => {
+  const ipcMain = createFakeIpcMain();
+  registerIpcHandlers({ ipcMain, ...createStubs() });
+
+  const result = await ipcMain.invoke('matrix:checkSessions');
+  assert.equal(result.ok, true);
+  assert.equal(result.results[0].status, 'session_expired');
+});
+
+test('ipc matrix rpa scripts list and reload', async () => {
+  const ipcMain = createFakeIpcMain();
+  registerIpcHandlers({ ipcMain, ...createStubs() });
+
+  assert.equal((await ipcMain.invoke('matrix:listRpaScripts')).scripts[0].platform, '视频号');
+  const reloaded = await ipcMain.invoke('matrix:reloadRpaScripts');
+  assert.equal(reloaded.ok, true);
+  assert.equal(reloaded.errors[0].file, 'broken.json');
+});
+
+test('ipc contexts ephemeral creation, wipe and orphaned partitions', async () => {
+  const ipcMain = createFakeIpcMain();
+  registerIpcHandlers({ ipcMain, ...createStubs() });
+
+  const created = await ipcMain.invoke('contexts:create', { url: 'https://a.test', ephemeral: true });
+  assert.equal(created.context.ephemeral, true);
+  assert.equal(created.context.partition.startsWith('persist:'), false);
+  assert.match((await ipcMain.invoke('contexts:create', { ephemeral: 'yes' })).error, /ephemeral must be a boolean/);
+
+  const wiped = await ipcMain.invoke('contexts:wipe', { id: created.context.id });
+  assert.deepEqual(wiped.result.closed, [created.context.id]);
+  assert.equal((await ipcMain.invoke('contexts:wipe', { id: created.context.id })).error, 'context not found');
+
+  const orphaned = await ipcMain.invoke('contexts:listOrphanedPartitions');
+  assert.equal(orphaned.partitions[0].partition, 'persist:ctx-old');
+  const removed = await ipcMain.invoke('contexts:removeOrphanedPartitions', { partitions: ['persist:ctx-old', 'persist:ctx-1'] });
+  assert.deepEqual(removed.results.map((r) => r.removed), [true, false]);
+  assert.match((await ipcMain.invoke('contexts:removeOrphanedPartitions', { partitions: [] })).error, /non-empty array/);
+});
+
+test('ipc contexts crash log listing', async () => {
+  const ipcMain = createFakeIpcMain();
+  registerIpcHandlers({ ipcMain, ...createStubs() });
+
+  const crashes = await ipcMain.invoke('contexts:listCrashes', { contextId: 'ctx-2' });
+  assert.equal(crashes.crashes[0].contextId, 'ctx-2');
+  assert.equal((await ipcMain.invoke('contexts:listCrashes')).crashes[0].reason, 'oom');
+  assert.match((await ipcMain.invoke('contexts:listCrashes', { limit: 0 })).error, /limit must be/);
+});
+
+test('ipc contexts extensions per context and group', async () => {
+  const ipcMain = createFakeIpcMain();
+  registerIpcHandlers({ ipcMain, ...createStubs() });
+
+  const created = await ipcMain.invoke('contexts:create', { url: 'https://a.test', extensions: ['/ext/helper'] });
+  const { id } = created.context;
+
+  assert.equal((await ipcMain.invoke('contexts:listExtensions', { id })).extensions[0].path, '/ext/capture');
+  assert.equal((await ipcMain.invoke('contexts:enableExtension', { id, path: '/ext/helper' })).extensions[0].enabled, true);
+  assert.equal((await ipcMain.invoke('contexts:disableExtension', { id, path: '/ext/helper' })).extensions[0].enabled, false);
+  assert.equal((await ipcMain.invoke('contexts:listExtensions', { id: 'nope' })).error, 'context not found');
+  assert.match((await ipcMain.invoke('contexts:enableExtension', { id })).error, /path must be a string/);
+
+  assert.deepEqual((await ipcMain.invoke('contexts:getGroupExtensions', { group: '抖音' })).paths, ['/ext/capture']);
+  assert.deepEqual((await ipcMain.invoke('contexts:setGroupExtensions', { group: '抖音', paths: [] })).paths, []);
+  assert.match((await ipcMain.invoke('contexts:setGroupExtensions', { group: '抖音' })).error, /paths must be an array/);
+});
+
+test('ipc contexts:clone copies a context with optional cookies', async () => {
+  const ipcMain = createFakeIpcMain();
+  registerIpcHandlers({ ipcMain, ...createStubs() });
+
+  const created = await ipcMain.invoke('contexts:create', { url: 'https://a.test' });
+  const { id } = created.context;
+
+  const cloned = await ipcMain.invoke('contexts:clone', { id, name: '小号', includeCookies: true });
+  assert.equal(cloned.ok, true);
+  assert.equal(cloned.result.sourceId, id);
+  assert.equal(cloned.result.cookies, 2);
+
+  assert.equal((await ipcMain.invoke('contexts:clone', { id: 'nope' })).error, 'context not found');
+  assert.match((await ipcMain.invoke('contexts:clone', { id, includeCookies: 'yes' })).error, /includeCookies must be a boolean/);
+});
+
+test('ipc contexts:setNavigationPolicy updates the domain allowlist', async () => {
+  const ipcMain = createFakeIpcMain();
+  registerIpcHandlers({ ipcMain, ...createStubs() });
+
+  const created = await ipcMain.invoke('contexts:create', { url: 'https://creator.douyin.com', navigationPolicy: { allow: ['douyin.com'] } });
+  const { id } = created.context;
+
+  const updated = await ipcMain.invoke('contexts:setNavigationPolicy', { id, allow: ['douyin.com'], block: ['ads.douyin.com'] });
+  assert.deepEqual(updated.navigationPolicy, { allow: ['douyin.com'], block: ['ads.douyin.com'] });
+  assert.equal((await ipcMain.invoke('contexts:setNavigationPolicy', { id: 'nope', allow: [] })).error, 'context not found');
+  assert.match((await ipcMain.invoke('contexts:setNavigationPolicy', { id, allow: 'douyin.com' })).error, /allow must be an array of domains/);
+  assert.match((await ipcMain.invoke('contexts:create', { navigationPolicy: 'douyin.com' })).error, /navigationPolicy must be an object/);
+});
+
+test('ipc network log start, stop and HAR export', async () => {
+  const ipcMain = createFakeIpcMain();
+  registerIpcHandlers({ ipcMain, ...createStubs() });
+
+  const created = await ipcMain.invoke('contexts:create', { url: 'https://creator.douyin.com' });
+  const { id } = created.context;
+
+  assert.equal((await ipcMain.invoke('contexts:startNetworkLog', { id, maxEntries: 100 })).status.maxEntries, 100);
+  assert.match((await ipcMain.invoke('contexts:startNetworkLog', { id, maxEntries: 0 })).error, /maxEntries must be a positive integer/);
+  assert.equal((await ipcMain.invoke('contexts:startNetworkLog', { id: 'nope' })).error, 'context not found');
+  assert.equal((await ipcMain.invoke('contexts:stopNetworkLog', { id })).status.recording, false);
+  assert.equal((await ipcMain.invoke('contexts:getNetworkLogStatus', { id: 'nope' })).error, 'context not found');
+  assert.equal((await ipcMain.invoke('contexts:clearNetworkLog', { id })).status.entryCount, 0);
+
+  const exported = await ipcMain.invoke('contexts:exportHar', { id });
+  assert.equal(exported.result.redacted, true);
+  assert.equal((await ipcMain.invoke('contexts:exportHar', { id, redact: false })).result.redacted, false);
+  assert.match((await ipcMain.invoke('contexts:exportHar', { id, redact: 'no' })).error, /redact must be a boolean/);
+  assert.equal((await ipcMain.invoke('contexts:exportHar', { id, saveAs: true })).result.filePath, null);
+  assert.match((await ipcMain.invoke('contexts:exportHar', { id, saveAs: '/etc/x.har' })).error, /saveAs must be a boolean/);
+});
+
+test('ipc contexts device presets and device mode', async () => {
+  const ipcMain = createFakeIpcMain();
+  registerIpcHandlers({ ipcMain, ...createStubs() });
+
+  assert.equal((await ipcMain.invoke('contexts:listDevicePresets')).presets[0].id, 'iphone-15-pro');
+
+  const created = await ipcMain.invoke('contexts:create', { url: 'https://m.toutiao.com', device: 'iphone-15-pro' });
+  const { id } = created.context;
+  assert.deepEqual((await ipcMain.invoke('contexts:setDevice', { id, device: 'pixel-7' })).device, { id: 'pixel-7' });
+  assert.equal((await ipcMain.invoke('contexts:setDevice', { id })).device, null);
+  assert.equal((await ipcMain.invoke('contexts:setDevice', { id: 'nope', device: 'pixel-7' })).error, 'context not found');
+  assert.match((await ipcMain.invoke('contexts:setDevice', { id, device: 3 })).error, /device must be an object/);
+});
+
+test('ipc contexts:setRegion updates timezone, locale and geolocation', async () => {
+  const ipcMain = createFakeIpcMain();
+  registerIpcHandlers({ ipcMain, ...createStubs() });
+
+  const created = await ipcMain.invoke('contexts:create', { url: 'https://a.test', region: { timezone: 'Asia/Tokyo' } });
+  const { id } = created.context;
+  const region = { timezone: 'America/New_York', locale: 'en-US', geolocation: { latitude: 40.71, longitude: -74.01 } };
+
+  assert.deepEqual((await ipcMain.invoke('contexts:setRegion', { id, region })).region, region);
+  assert.equal((await ipcMain.invoke('contexts:setRegion', { id })).region, null);
+  assert.equal((await ipcMain.invoke('contexts:setRegion', { id: 'nope', region })).error, 'context not found');
+  assert.match((await ipcMain.invoke('contexts:create', { region: 'Asia/Tokyo' })).error, /region must be an object/);
+});
@@ -19,6 +19,23 @@ test('matrix service adds and lists account', () => {
   assert.equal(all[0].aiEnabled, true);
 });
 
+test('accounts own a dedicated partition and creator backend target', () => {
+  const { service } = createTempService();
+  const account = service.addAccount({ platform: '小红书', nickname: '账号P', aiEnabled: false });
+  assert.equal(account.partition, `persist:acct-${account.id}`);
+  assert.equal(service.listAccounts()[0].partition, account.partition);
+
+  const target = service.getAccountContextTarget({ id: account.id });
+  assert.deepEqual(target, {
+    accountId: account.id,
+    partition: account.partition,
+    url: 'https://creator.xiaohongshu.com/',
+    name: '账号P',
+    group: '小红书',
+  });
+  assert.equal(service.getAccountContextTarget({ id: 'missing' }), null);
+});
+
 test('hotspots can be collected and used for content generation', () => {
   const { service } = createTempService();
   const hotspots = service.collectHotspots();
@@ -168,3 +185,125 @@ test('snapshot export/import supports merge and replace', () => {
   service.importSnapshot({ snapshot: { accounts: [], hotspots: [], contentAssets: [], schedules: [] }, mode: 'replace' });
   assert.equal(service.listAccounts().length, 0);
 });
+
+
+test('finished downloads can be saved into the asset library', () => {
+  const { service } = createTempService();
+  const asset = service.saveDownloadedAsset({
+    filename: 'cover.png',
+    savePath: '/tmp/downloads/ctx-1/cover.png',
+    mimeType: 'image/png',
+    url: 'https://creator.douyin.com/cover.png',
+  });
+  assert.equal(asset.type, '图片');
+  const assets = service.listContentAssets(10);
+  assert.equal(assets[0].id, asset.id);
+  assert.equal(assets[0].source, 'download');
+  assert.equal(assets[0].filePath, '/tmp/downloads/ctx-1/cover.png');
+});
+
+test('page captures can be linked to schedules and content assets', () => {
+  const { service } = createTempService();
+  const account = service.addAccount({ platform: '抖音', nickname: '账号H', aiEnabled: false });
+  const task = service.schedulePublish({ accountId: account.id, contentType: '文章', publishAt: new Date().toISOString() });
+  const asset = service.saveDownloadedAsset({ filename: 'cover.png', savePath: '/tmp/cover.png', mimeType: 'image/png' });
+
+  const capture = service.saveCapture({
+    contextId: 'ctx-1',
+    url: 'https://creator.douyin.com/post/1',
+    title: '发布成功',
+    filePath: '/tmp/capture.png',
+    width: 1280,
+    height: 3000,
+    fullPage: true,
+    scheduleId: task.id,
+  });
+  assert.equal(capture.scheduleId, task.id);
+  assert.equal(capture.fullPage, true);
+
+  const linked = service.linkCapture({ id: capture.id, contentAssetId: asset.id });
+  assert.equal(linked.scheduleId, task.id);
+  assert.equal(linked.contentAssetId, asset.id);
+
+  assert.equal(service.listCaptures({ scheduleId: task.id })[0].id, capture.id);
+  assert.equal(service.listCaptures({ contentAssetId: 'other' }).length, 0);
+
+  assert.throws(() => service.saveCapture({ contextId: 'ctx-1', filePath: '/tmp/x.png', width: 1, height: 1, scheduleId: 'missing' }), /schedule not found/);
+  assert.throws(() => service.linkCapture({ id: capture.id, contentAssetId: 'missing' }), /content asset not found/);
+  assert.throws(() => service.linkCapture({ id: 'missing' }), /capture not found/);
+});
+
+test('markAccountSessionExpired updates status and alerts with pending tasks', async () => {
+  const alertCalls = [];
+  const reporter = { notify: async (payload) => { alertCalls.push(payload); return { ok: true }; } };
+  const { service } = createTempService({ alertReporter: reporter });
+  const account = service.addAccount({ platform: '头条', nickname: '账号I', aiEnabled: false });
+  service.schedulePublish({ accountId: account.id, contentType: '文章', publishAt: new Date(Date.now() + 60000).toISOString() });
+
+  const updated = await service.markAccountSessionExpired({ id: account.id, reason: 'missing' });
+  assert.equal(updated.status, 'session_expired');
+  assert.equal(alertCalls[0].event, 'account_session_expired');
+  assert.equal(alertCalls[0].details.pendingTasks, 1);
+  assert.ok(service.listTaskLogs().some((log) => log.level === 'alert' && log.message.includes('登录态失效')));
+  await assert.rejects(() => service.markAccountSessionExpired({ id: 'missing' }), /account not found/);
+});
+
+test('rpa scripts register platforms and publish through the scheduler retry path', async () => {
+  const { tmp, service } = createTempService();
+  const scriptsDir = path.join(tmp, 'rpa-scripts');
+  fs.mkdirSync(scriptsDir);
+  fs.writeFileSync(path.join(scriptsDir, 'channels.json'), JSON.stringify({
+    platform: '视频号',
+    creatorUrl: 'https://channels.example.com/',
+    scripts: { default: [{ action: 'click', selector: '.publish' }] },
+  }));
+
+  let failNext = true;
+  const jobs = [];
+  const listed = service.configureRpa({
+    scriptsDir,
+    runner: async (job) => {
+      jobs.push(job);
+      if (failNext) {
+        failNext = false;
+        throw new Error('step 1 (click) failed');
+      }
+      return { url: 'https://channels.example.com/done', steps: [] };
+    },
+  });
+  assert.deepEqual(listed.scripts.map((s) => s.platform), ['视频号']);
+  assert.ok(service.getPlatforms().includes('视频号'));
+
+  const account = service.addAccount({ platform: '视频号', nickname: '账号J', aiEnabled: false });
+  assert.equal(service.getAccountContextTarget({ id: account.id }).url, 'https://channels.example.com/');
+  service.schedulePublish({ accountId: account.id, contentType: '文章', publishAt: new Date(Date.now() - 1000).toISOString() });
+
+  await service.runDueTasks();
+  assert.equal(service.listSchedules()[0].status, 'retrying');
+  assert.equal(service.listPublishMetrics()[0].errorCode, 'AUTOMATION_FAILED');
+
+  await service.runDueTasks();
+  assert.equal(service.listSchedules()[0].status, 'success');
+  assert.equal(jobs.length, 2);
+  assert.equal(jobs[0].account.id, account.id);
+});
+
+test('rpa reload rejects built-in platforms and unregisters removed scripts', () => {
+  const { tmp, service } = createTempService();
+  const scriptsDir = path.join(tmp, 'rpa-scripts');
+  fs.mkdirSync(scriptsDir);
+  const steps = { default: [{ action: 'click', selector: '.publish' }] };
+  fs.writeFileSync(path.join(scriptsDir, 'channels.json'), JSON.stringify({ platform: '视频号', creatorUrl: 'https://channels.example.com/', scripts: steps }));
+  fs.writeFileSync(path.join(scriptsDir, 'douyin.json'), JSON.stringify({ platform: '抖音', scripts: steps }));
+
+  const listed = service.configureRpa({ scriptsDir, runner: async () => ({ url: '', steps: [] }) });
+  assert.deepEqual(listed.scripts.map((s) => s.platform), ['视频号']);
+  assert.match(listed.errors.find((e) => e.file === 'douyin.json').error, /built-in adapter/);
+  assert.equal(service.adapterRegistry.getAdapter('抖音').constructor.name, 'DouyinAdapter');
+
+  fs.rmSync(path.join(scriptsDir, 'channels.json'));
+  service.reloadRpaScripts();
+  assert.equal(service.adapterRegistry.getAdapter('视频号'), undefined);
+  assert.ok(!service.getPlatforms().includes('视频号'));
+  assert.deepEqual(service.getPlatforms(), ['抖音', '小红书', '头条']);
+});
@@ -0,0 +1,29 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { checkNavigation, normalizeNavigationPolicy } from '../src/main/utils/navigation-policy.js';
+
+test('normalizeNavigationPolicy lowercases and dedupes domains', () => {
+  assert.deepEqual(normalizeNavigationPolicy(null), { allow: [], block: [] });
+  assert.deepEqual(
+    normalizeNavigationPolicy({ allow: ['Douyin.com', '*.douyin.com', '.douyinpic.com'], block: ['ads.douyin.com'] }),
+    { allow: ['douyin.com', 'douyinpic.com'], block: ['ads.douyin.com'] },
+  );
+  assert.throws(() => normalizeNavigationPolicy({ allow: 'douyin.com' }), /navigationPolicy\.allow must be an array/);
+  assert.throws(() => normalizeNavigationPolicy({ block: ['https://x.com/'] }), /invalid domain in navigationPolicy\.block/);
+});
+
+test('checkNavigation enforces allowlist and blocklist including subdomains', () => {
+  const policy = { allow: ['douyin.com'], block: ['ads.douyin.com'] };
+  assert.equal(checkNavigation(policy, 'https://creator.douyin.com/upload').allowed, true);
+  assert.equal(checkNavigation(policy, 'about:blank').allowed, true);
+  assert.deepEqual(checkNavigation(policy, 'https://www.xiaohongshu.com/'), { allowed: false, reason: 'not-allowlisted', hostname: 'www.xiaohongshu.com' });
+  assert.deepEqual(checkNavigation(policy, 'https://ads.douyin.com/x'), { allowed: false, reason: 'blocklist', hostname: 'ads.douyin.com' });
+  assert.deepEqual(checkNavigation(policy, 'https://notdouyin.com/'), { allowed: false, reason: 'not-allowlisted', hostname: 'notdouyin.com' });
+  assert.deepEqual(checkNavigation(policy, 'file:///etc/passwd'), { allowed: false, reason: 'scheme' });
+});
+
+test('checkNavigation allows everything without a policy and blocklist-only policies', () => {
+  assert.equal(checkNavigation(null, 'file:///tmp/a.html').allowed, true);
+  assert.equal(checkNavigation({ block: ['toutiao.com'] }, 'https://www.douyin.com/').allowed, true);
+  assert.equal(checkNavigation({ block: ['toutiao.com'] }, 'https://mp.toutiao.com/').allowed, false);
+});
@@ -0,0 +1,97 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import { NetworkRecorder } from '../src/main/services/network-recorder.js';
+import { REDACTED_VALUE, buildHar } from '../src/main/utils/har.js';
+
+function createFakeWebContents({ attached = false, bodies = {} } = {}) {
+  const dbg = new EventEmitter();
+  const state = { attached, commands: [] };
+  Object.assign(dbg, {
+    isAttached: () => state.attached,
+    attach: () => { state.attached = true; },
+    detach: () => { state.attached = false; },
+    async sendCommand(method, params) {
+      state.commands.push(method);
+      if (method === 'Network.getResponseBody') return { body: bodies[params.requestId], base64Encoded: false };
+      return {};
+    },
+  });
+  return { webContents: { debugger: dbg, isDestroyed: () => false }, state };
+}
+
+async function emit(webContents, method, params) {
+  webContents.debugger.emit('message', {}, method, params);
+  await new Promise((resolve) => setImmediate(resolve));
+}
+
+async function sendRequest(webContents, requestId, { url, status = 200, type = 'XHR', mimeType = 'application/json', headers = {} }) {
+  await emit(webContents, 'Network.requestWillBeSent', {
+    requestId, type, timestamp: 1, wallTime: 1700000000,
+    request: { method: 'POST', url, headers: { Authorization: 'Bearer secret', ...headers }, postData: '{"a":1}' },
+  });
+  await emit(webContents, 'Network.responseReceived', {
+    requestId, response: { status, statusText: 'OK', mimeType, protocol: 'h2', headers: { 'set-cookie': 'sid=1\nuid=2', 'content-type': mimeType } },
+  });
+  await emit(webContents, 'Network.loadingFinished', { requestId, timestamp: 1.25, encodedDataLength: 42 });
+}
+
+test('NetworkRecorder records requests with bodies in a rolling buffer', async () => {
+  const { webContents, state } = createFakeWebContents({ bodies: { r1: '{"code":1}', r2: '{"code":2}', r3: '{"code":3}' } });
+  const recorder = new NetworkRecorder();
+
+  const status = recorder.start('ctx-1', webContents, { maxEntries: 2 });
+  assert.equal(status.recording, true);
+  assert.equal(state.attached, true);
+  assert.ok(state.commands.includes('Network.enable'));
+
+  await sendRequest(webContents, 'r1', { url: 'https://creator.douyin.com/api/publish?x=1' });
+  await sendRequest(webContents, 'r2', { url: 'https://creator.douyin.com/api/a' });
+  await sendRequest(webContents, 'r3', { url: 'https://creator.douyin.com/api/b', status: 500 });
+
+  const entries = recorder.getEntries('ctx-1');
+  assert.deepEqual(entries.map((entry) => entry.requestId), ['r2', 'r3']);
+  assert.equal(entries[1].response.status, 500);
+  assert.equal(entries[1].body.text, '{"code":3}');
+
+  recorder.stop('ctx-1');
+  assert.equal(state.attached, false);
+  await sendRequest(webContents, 'r4', { url: 'https://creator.douyin.com/api/c' });
+  assert.equal(recorder.getStatus('ctx-1').entryCount, 2);
+});
+
+test('NetworkRecorder keeps a foreign debugger attachment and records failures', async () => {
+  const { webContents, state } = createFakeWebContents({ attached: true });
+  const recorder = new NetworkRecorder();
+  recorder.start('ctx-1', webContents, { captureBodies: false });
+
+  await emit(webContents, 'Network.requestWillBeSent', {
+    requestId: 'r1', type: 'Fetch', timestamp: 1, wallTime: 1700000000, request: { method: 'GET', url: 'https://a.test/', headers: {} },
+  });
+  await emit(webContents, 'Network.loadingFailed', { requestId: 'r1', timestamp: 2, errorText: 'net::ERR_CONNECTION_RESET' });
+  assert.equal(recorder.getEntries('ctx-1')[0].error, 'net::ERR_CONNECTION_RESET');
+
+  recorder.stop('ctx-1');
+  assert.equal(state.attached, true);
+  assert.ok(state.commands.includes('Network.disable'));
+});
+
+test('buildHar redacts cookies and authorization headers by default', async () => {
+  const { webContents } = createFakeWebContents({ bodies: { r1: '{"code":0}' } });
+  const recorder = new NetworkRecorder();
+  recorder.start('ctx-1', webContents);
+  await sendRequest(webContents, 'r1', { url: 'https://creator.douyin.com/api/publish?x=1', headers: { Cookie: 'sessionid=abc' } });
+
+  const har = buildHar(recorder.getEntries('ctx-1'));
+  const [entry] = har.log.entries;
+  assert.equal(har.log.version, '1.2');
+  assert.equal(entry.time, 250);
+  assert.deepEqual(entry.request.queryString, [{ name: 'x', value: '1' }]);
+  assert.equal(entry.request.headers.find((h) => h.name === 'Authorization').value, REDACTED_VALUE);
+  assert.equal(entry.request.headers.find((h) => h.name === 'Cookie').value, REDACTED_VALUE);
+  assert.deepEqual(entry.response.headers.filter((h) => h.name === 'set-cookie').map((h) => h.value), [REDACTED_VALUE]);
+  assert.equal(entry.response.content.text, '{"code":0}');
+
+  const raw = buildHar(recorder.getEntries('ctx-1'), { redact: false });
+  assert.deepEqual(raw.log.entries[0].response.headers.filter((h) => h.name === 'set-cookie').map((h) => h.value), ['sid=1', 'uid=2']);
+});
@@ -0,0 +1,52 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { captureFullPage, planScrollPositions, stitchBitmapSlices } from '../src/main/services/page-capture.js';
+
+function solidBitmap(width, height, value) {
+  return Buffer.alloc(width * height * 4, value);
+}
+
+test('planScrollPositions steps by the viewport and pins the last screen to the bottom', () => {
+  assert.deepEqual(planScrollPositions(500, 800), [0]);
+  assert.deepEqual(planScrollPositions(2000, 800), [0, 800, 1200]);
+  assert.deepEqual(planScrollPositions(1600, 800), [0, 800]);
+  assert.deepEqual(planScrollPositions(100000, 800, 2000), [0, 800, 1200]);
+});
+
+test('stitchBitmapSlices copies rows at each offset with later slices winning', () => {
+  const output = stitchBitmapSlices([
+    { bitmap: solidBitmap(2, 3, 1), height: 3, top: 0 },
+    { bitmap: solidBitmap(2, 3, 2), height: 3, top: 2 },
+  ], { width: 2, height: 5 });
+  const rows = [...Array(5).keys()].map((row) => output[row * 8]);
+  assert.deepEqual(rows, [1, 1, 2, 2, 2]);
+});
+
+test('captureFullPage scrolls, stitches and restores the scroll position', async () => {
+  const scripts = [];
+  let scrollY = 0;
+  const webContents = {
+    executeJavaScript: async (script) => {
+      scripts.push(script);
+      if (script.startsWith('({')) return { scrollHeight: 250, viewportHeight: 100, scrollY: 30 };
+      const match = script.match(/scrollTo\(0, (\d+)\)/);
+      scrollY = Number(match[1]);
+      return scrollY;
+    },
+    capturePage: async () => {
+      const value = scrollY / 10;
+      return {
+        getScaleFactors: () => [2],
+        getSize: (scale) => ({ width: 3 * scale, height: 100 * scale }),
+        toBitmap: () => solidBitmap(6, 200, value),
+      };
+    },
+  };
+
+  const image = await captureFullPage(webContents, { createImageFromBitmap: (bitmap, size) => ({ bitmap, size }) });
+  assert.deepEqual(image.size, { width: 6, height: 500, scaleFactor: 2 });
+  assert.equal(image.bitmap[0], 0);
+  assert.equal(image.bitmap[250 * 24], 10);
+  assert.equal(image.bitmap[499 * 24], 15);
+  assert.match(scripts.at(-1), /scrollTo\(0, 30\)/);
+});
@@ -0,0 +1,58 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import {
+  findOrphanedPartitions,
+  getPartitionDir,
+  isPersistentPartition,
+  listPartitionDirs,
+  removePartitionDir,
+  wipeSessionData,
+} from '../src/main/services/partition-storage.js';
+
+function createUserData(names) {
+  const userData = fs.mkdtempSync(path.join(os.tmpdir(), 'partitions-'));
+  for (const name of names) {
+    const dir = path.join(userData, 'Partitions', name, 'Local Storage');
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, 'data'), 'x'.repeat(10));
+  }
+  return userData;
+}
+
+test('getPartitionDir maps persistent partitions only', () => {
+  assert.equal(isPersistentPartition('persist:ctx-1'), true);
+  assert.equal(isPersistentPartition('ctx-1'), false);
+  assert.equal(getPartitionDir('/data', 'persist:ctx-1'), path.join('/data', 'Partitions', 'ctx-1'));
+  assert.equal(getPartitionDir('/data', 'ctx-1'), null);
+  assert.equal(getPartitionDir('/data', 'persist:..'), null);
+  assert.equal(getPartitionDir('/data', 'persist:../x'), path.join('/data', 'Partitions', '..%2Fx'));
+});
+
+test('findOrphanedPartitions lists unreferenced partition folders with sizes', () => {
+  const userData = createUserData(['ctx-1', 'ctx-2', 'acct-a1']);
+  assert.equal(listPartitionDirs(userData).length, 3);
+
+  const orphaned = findOrphanedPartitions(userData, ['persist:ctx-1', 'persist:acct-a1', 'ctx-ephemeral']);
+  assert.deepEqual(orphaned.map((entry) => entry.partition), ['persist:ctx-2']);
+  assert.equal(orphaned[0].sizeBytes, 10);
+  assert.deepEqual(findOrphanedPartitions(path.join(userData, 'missing'), []), []);
+});
+
+test('removePartitionDir deletes the folder and rejects in-memory partitions', () => {
+  const userData = createUserData(['ctx-1']);
+  assert.deepEqual(removePartitionDir(userData, 'persist:ctx-1'), { partition: 'persist:ctx-1', removed: true });
+  assert.equal(fs.existsSync(path.join(userData, 'Partitions', 'ctx-1')), false);
+  assert.equal(removePartitionDir(userData, 'ctx-1').removed, false);
+});
+
+test('wipeSessionData clears storage and cache', async () => {
+  const calls = [];
+  await wipeSessionData({
+    clearStorageData: async () => calls.push('storage'),
+    clearCache: async () => calls.push('cache'),
+  });
+  assert.deepEqual(calls, ['storage', 'cache']);
+});
@@ -0,0 +1,70 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { PermissionManager } from '../src/main/services/permission-manager.js';
+import { normalizePermissionSettings, rememberPermissionDecision } from '../src/main/utils/permission-policy.js';
+
+function createManager(policy) {
+  const ctx = { id: 'ctx-1', permissions: normalizePermissionSettings({ policy }) };
+  const prompts = [];
+  const resolved = [];
+  const manager = new PermissionManager({
+    resolveContext: (webContents) => (webContents?.contextId === ctx.id ? ctx : null),
+    onPrompt: (request) => prompts.push(request),
+    onResolved: (request) => resolved.push(request),
+    onRemember: (contextId, decision) => {
+      ctx.permissions = rememberPermissionDecision(ctx.permissions, decision);
+    },
+    timeoutMs: 20,
+  });
+  const webContents = { contextId: ctx.id, getURL: () => 'https://a.test/page' };
+  return { ctx, manager, prompts, resolved, webContents };
+}
+
+test('allow and deny policies answer immediately', () => {
+  const { manager, prompts, webContents } = createManager({ geolocation: 'allow', notifications: 'deny' });
+  const answers = [];
+  manager.handleRequest(webContents, 'geolocation', (allow) => answers.push(allow), { requestingUrl: 'https://a.test/' });
+  manager.handleRequest(webContents, 'notifications', (allow) => answers.push(allow), {});
+  manager.handleRequest({ contextId: 'other' }, 'geolocation', (allow) => answers.push(allow), {});
+  assert.deepEqual(answers, [true, false, false]);
+  assert.equal(prompts.length, 0);
+  assert.equal(manager.checkPermission(webContents, 'geolocation', 'https://a.test'), true);
+  assert.equal(manager.checkPermission(webContents, 'notifications', 'https://a.test'), false);
+});
+
+test('ask prompts once per origin and remembers the answer', () => {
+  const { manager, prompts, resolved, webContents } = createManager({ media: 'ask' });
+  const answers = [];
+  manager.handleRequest(webContents, 'media', (allow) => answers.push(allow), { requestingUrl: 'https://a.test/', mediaTypes: ['video'] });
+  manager.handleRequest(webContents, 'media', (allow) => answers.push(allow), { requestingUrl: 'https://a.test/' });
+
+  assert.equal(prompts.length, 1);
+  assert.deepEqual(prompts[0].mediaTypes, ['video']);
+  assert.equal(manager.listPending({ contextId: 'ctx-1' }).length, 1);
+  assert.equal(manager.checkPermission(webContents, 'media', 'https://a.test'), false);
+
+  assert.equal(manager.respond(prompts[0].id, { allow: true, remember: true }), true);
+  assert.deepEqual(answers, [true, true]);
+  assert.equal(resolved[0].allow, true);
+  assert.equal(manager.checkPermission(webContents, 'media', 'https://a.test'), true);
+  assert.equal(manager.respond(prompts[0].id, { allow: false }), false);
+
+  manager.handleRequest(webContents, 'media', (allow) => answers.push(allow), { requestingUrl: 'https://a.test/' });
+  assert.deepEqual(answers, [true, true, true]);
+  assert.equal(prompts.length, 1);
+});
+
+test('unanswered prompts are denied after the timeout or when the context goes away', async () => {
+  const { manager, webContents } = createManager({ geolocation: 'ask', notifications: 'ask' });
+  const answers = [];
+  manager.handleRequest(webContents, 'geolocation', (allow) => answers.push(['geo', allow]), {});
+  manager.handleRequest(webContents, 'notifications', (allow) => answers.push(['notify', allow]), {});
+
+  manager.cancelContext('ctx-1');
+  assert.deepEqual(answers, [['geo', false], ['notify', false]]);
+
+  manager.handleRequest(webContents, 'geolocation', (allow) => answers.push(['late', allow]), {});
+  await new Promise((resolve) => setTimeout(resolve, 40));
+  assert.deepEqual(answers.at(-1), ['late', false]);
+  assert.equal(manager.listPending().length, 0);
+});
@@ -0,0 +1,45 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_PERMISSION_POLICY,
+  clearPermissionDecisions,
+  normalizePermissionSettings,
+  rememberPermissionDecision,
+  resolvePermissionDecision,
+  toPermissionOrigin,
+} from '../src/main/utils/permission-policy.js';
+
+test('normalizePermissionSettings merges overrides onto the default policy', () => {
+  assert.deepEqual(normalizePermissionSettings(null), { policy: DEFAULT_PERMISSION_POLICY, decisions: {} });
+  const settings = normalizePermissionSettings({
+    policy: { geolocation: 'deny' },
+    decisions: { 'https://a.test': { notifications: 'allow', media: 'maybe' } },
+  });
+  assert.equal(settings.policy.geolocation, 'deny');
+  assert.equal(settings.policy.notifications, 'ask');
+  assert.deepEqual(settings.decisions, { 'https://a.test': { notifications: 'allow' } });
+});
+
+test('normalizePermissionSettings rejects unknown types and modes', () => {
+  assert.throws(() => normalizePermissionSettings({ policy: { camera: 'allow' } }), /unknown permission type/);
+  assert.throws(() => normalizePermissionSettings({ policy: { media: 'sometimes' } }), /allow\/deny\/ask/);
+  assert.throws(() => normalizePermissionSettings('allow'), /permissions must be an object/);
+});
+
+test('remembered decisions win over the policy for their origin only', () => {
+  let settings = normalizePermissionSettings({ policy: { geolocation: 'ask' } });
+  assert.equal(resolvePermissionDecision(settings, 'geolocation', 'https://a.test'), 'ask');
+
+  settings = rememberPermissionDecision(settings, { origin: 'https://a.test', permission: 'geolocation', allow: true });
+  assert.equal(resolvePermissionDecision(settings, 'geolocation', 'https://a.test'), 'allow');
+  assert.equal(resolvePermissionDecision(settings, 'geolocation', 'https://b.test'), 'ask');
+
+  settings = clearPermissionDecisions(settings, 'https://a.test');
+  assert.equal(resolvePermissionDecision(settings, 'geolocation', 'https://a.test'), 'ask');
+});
+
+test('unmanaged permission types keep the default behaviour', () => {
+  assert.equal(resolvePermissionDecision(normalizePermissionSettings(null), 'background-sync', 'https://a.test'), 'allow');
+  assert.equal(toPermissionOrigin('https://a.test/path?q=1'), 'https://a.test');
+  assert.equal(toPermissionOrigin('not a url'), '');
+});
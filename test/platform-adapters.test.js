@@ -1,6 +1,7 @@
 import test from 'node:test';
 import assert from 'node:assert/strict';
-import { PlatformApiError, PlatformAdapterRegistry } from '../src/main/services/platform-adapters.js';
+import { PlatformApiError, PlatformAdapterRegistry, RpaAdapter } from '../src/main/services/platform-adapters.js';
+import { normalizeRpaScript } from '../src/main/utils/rpa-script.js';
 
 test('BaseAdapter accepts valid mock mode configuration', () => {
   const registry = new PlatformAdapterRegistry({
@@ -1430,3 +1431,46 @@ test('DouyinAdapter authUrl can be configured', () => {
 
   assert.strictEqual(adapter.authUrl, customAuthUrl);
 });
+
+test('RpaAdapter runs the script for the content type with asset variables', async () => {
+  const calls = [];
+  const script = normalizeRpaScript({
+    platform: '视频号',
+    creatorUrl: 'https://channels.example.com/',
+    scripts: { default: [{ action: 'type', selector: '#title', text: '{{title}}' }] },
+  });
+  const adapter = new RpaAdapter({
+    script,
+    runner: async (job) => {
+      calls.push(job);
+      return { url: 'https://channels.example.com/done', steps: [{ index: 0, action: 'type', ok: true }] };
+    },
+  });
+
+  const result = await adapter.publish({
+    account: { id: 'a1', nickname: '账号' },
+    contentType: '文章',
+    contentAsset: { title: '标题', body: '正文' },
+  });
+  assert.strictEqual(result.ok, true);
+  assert.strictEqual(result.platform, '视频号');
+  assert.match(result.remoteId, /^rpa-/);
+  assert.strictEqual(calls[0].creatorUrl, 'https://channels.example.com/');
+  assert.strictEqual(calls[0].vars.title, '标题');
+  assert.strictEqual(calls[0].vars.accountId, 'a1');
+});
+
+test('RpaAdapter maps runner failures to AUTOMATION_FAILED', async () => {
+  const script = normalizeRpaScript({ platform: '视频号', scripts: { 视频: [{ action: 'click', selector: '.go' }] } });
+  const adapter = new RpaAdapter({ script, runner: async () => { throw new Error('step 1 (click) failed'); } });
+
+  await assert.rejects(
+    () => adapter.publish({ account: { id: 'a1' }, contentType: '视频', contentAsset: null }),
+    (err) => err instanceof PlatformApiError && err.code === PlatformApiError.AUTOMATION_FAILED && err.message.includes('step 1'),
+  );
+  await assert.rejects(
+    () => adapter.publish({ account: { id: 'a1' }, contentType: '文章', contentAsset: null }),
+    (err) => err.code === PlatformApiError.INVALID_PAYLOAD,
+  );
+  assert.throws(() => new RpaAdapter({ script }), (err) => err.code === 'INVALID_CONFIG');
+});
@@ -0,0 +1,49 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import { normalizePopupPolicy, resolvePopupAction, watchSelfClose } from '../src/main/utils/popup-policy.js';
+
+test('normalizePopupPolicy defaults to new-tab and rejects unknown policies', () => {
+  assert.equal(normalizePopupPolicy(undefined), 'new-tab');
+  assert.equal(normalizePopupPolicy('same-tab'), 'same-tab');
+  assert.throws(() => normalizePopupPolicy('popup'), /popupPolicy must be one of/);
+});
+
+test('resolvePopupAction follows the policy', () => {
+  const url = 'https://open.douyin.com/platform/oauth/connect';
+  assert.deepEqual(resolvePopupAction('new-tab', { url, disposition: 'new-window' }), { type: 'new-tab', url, activate: true });
+  assert.deepEqual(resolvePopupAction('new-tab', { url, disposition: 'background-tab' }), { type: 'new-tab', url, activate: false });
+  assert.deepEqual(resolvePopupAction('same-tab', { url }), { type: 'same-tab', url });
+  assert.deepEqual(resolvePopupAction('deny', { url }), { type: 'deny' });
+});
+
+test('resolvePopupAction denies non-http popups', () => {
+  assert.deepEqual(resolvePopupAction('new-tab', { url: 'javascript:alert(1)' }), { type: 'deny' });
+  assert.deepEqual(resolvePopupAction('same-tab', { url: 'file:///etc/passwd' }), { type: 'deny' });
+  assert.deepEqual(resolvePopupAction('new-tab', {}), { type: 'deny' });
+});
+
+test('resolvePopupAction opens blank popups as new tabs only', () => {
+  const url = 'about:blank';
+  assert.deepEqual(resolvePopupAction('new-tab', { url, disposition: 'new-window' }), { type: 'new-tab', url, activate: true });
+  assert.deepEqual(resolvePopupAction('same-tab', { url }), { type: 'deny' });
+  assert.deepEqual(resolvePopupAction('deny', { url }), { type: 'deny' });
+  assert.deepEqual(resolvePopupAction('new-tab', { url: 'about:srcdoc' }), { type: 'deny' });
+});
+
+test('watchSelfClose closes the tab only when the page closes itself', () => {
+  const closed = [];
+  const popup = new EventEmitter();
+  let attached = true;
+  watchSelfClose(popup, { isAttached: () => attached, onClosed: () => closed.push('popup') });
+  popup.emit('destroyed');
+  popup.emit('destroyed');
+  assert.deepEqual(closed, ['popup']);
+
+  // 休眠或重建时标签已先解除与页面的关联
+  const hibernated = new EventEmitter();
+  watchSelfClose(hibernated, { isAttached: () => attached, onClosed: () => closed.push('hibernated') });
+  attached = false;
+  hibernated.emit('destroyed');
+  assert.deepEqual(closed, ['popup']);
+});
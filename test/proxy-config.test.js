@@ -0,0 +1,69 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildSessionProxyConfig,
+  describeProxy,
+  normalizeProxyConfig,
+  resolveProxyCredentials,
+  testProxyConnection,
+} from '../src/main/utils/proxy-config.js';
+
+test('normalizeProxyConfig validates protocol, host and port', () => {
+  assert.equal(normalizeProxyConfig(undefined), null);
+  const proxy = normalizeProxyConfig({ protocol: 'SOCKS5', host: ' 10.0.0.2 ', port: '1080' });
+  assert.deepEqual(proxy, { protocol: 'socks5', host: '10.0.0.2', port: 1080, username: '', password: '', bypass: '<local>' });
+  const http = normalizeProxyConfig({ protocol: 'http', host: '10.0.0.2', port: 3128, username: 'u', password: 'p' });
+  assert.equal(http.username, 'u');
+  assert.equal(http.password, 'p');
+
+  assert.throws(() => normalizeProxyConfig({ protocol: 'ftp', host: 'h', port: 1 }), /proxy.protocol/);
+  assert.throws(() => normalizeProxyConfig({ host: '', port: 1 }), /proxy.host/);
+  assert.throws(() => normalizeProxyConfig({ host: 'h', port: 70000 }), /proxy.port/);
+  assert.throws(() => normalizeProxyConfig({ protocol: 'socks5', host: 'h', port: 1080, username: 'u', password: 'p' }), /not supported for socks5/);
+});
+
+test('buildSessionProxyConfig maps to fixed servers or system mode', () => {
+  assert.deepEqual(buildSessionProxyConfig(null), { mode: 'system' });
+  const proxy = normalizeProxyConfig({ protocol: 'https', host: 'proxy.test', port: 8443 });
+  assert.deepEqual(buildSessionProxyConfig(proxy), {
+    mode: 'fixed_servers',
+    proxyRules: 'https://proxy.test:8443',
+    proxyBypassRules: '<local>',
+  });
+});
+
+test('resolveProxyCredentials only answers proxy challenges from the configured host', () => {
+  const proxy = normalizeProxyConfig({ host: 'proxy.test', port: 3128, username: 'u', password: 'p' });
+  assert.deepEqual(resolveProxyCredentials(proxy, { isProxy: true, host: 'proxy.test', port: 3128 }), { username: 'u', password: 'p' });
+  assert.equal(resolveProxyCredentials(proxy, { isProxy: false, host: 'proxy.test' }), null);
+  assert.equal(resolveProxyCredentials(proxy, { isProxy: true, host: 'other.test' }), null);
+  assert.equal(resolveProxyCredentials(normalizeProxyConfig({ host: 'proxy.test', port: 3128 }), { isProxy: true }), null);
+});
+
+test('describeProxy hides the password', () => {
+  const proxy = normalizeProxyConfig({ host: 'proxy.test', port: 3128, username: 'u', password: 'secret' });
+  const described = describeProxy(proxy);
+  assert.equal(described.password, undefined);
+  assert.equal(described.hasPassword, true);
+  assert.equal(describeProxy(null), null);
+});
+
+test('testProxyConnection reports status and failures', async () => {
+  const okResult = await testProxyConnection({ fetchImpl: async () => ({ ok: true, status: 204 }), url: 'https://check.test' });
+  assert.equal(okResult.ok, true);
+  assert.equal(okResult.status, 204);
+  assert.equal(okResult.url, 'https://check.test');
+
+  const failed = await testProxyConnection({ fetchImpl: async () => { throw new Error('ERR_PROXY_CONNECTION_FAILED'); } });
+  assert.equal(failed.ok, false);
+  assert.match(failed.error, /ERR_PROXY_CONNECTION_FAILED/);
+
+  const timedOut = await testProxyConnection({
+    timeoutMs: 10,
+    fetchImpl: (_, { signal }) => new Promise((_, reject) => {
+      signal.addEventListener('abort', () => reject(Object.assign(new Error('aborted'), { name: 'AbortError' })));
+    }),
+  });
+  assert.equal(timedOut.ok, false);
+  assert.match(timedOut.error, /timed out/);
+});
@@ -0,0 +1,45 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  applyRegionToFingerprint,
+  buildRegionEmulationCommands,
+  normalizeRegionSettings,
+} from '../src/main/utils/region-emulation.js';
+import { resolveFingerprintProfile } from '../src/main/utils/fingerprint-profiles.js';
+
+test('normalizeRegionSettings validates timezone, locale and geolocation', () => {
+  assert.equal(normalizeRegionSettings(null), null);
+  assert.equal(normalizeRegionSettings({}), null);
+  assert.deepEqual(
+    normalizeRegionSettings({ timezone: 'America/New_York', locale: 'en-us', geolocation: { latitude: 40.7128, longitude: '-74.006' } }),
+    { timezone: 'America/New_York', locale: 'en-US', geolocation: { latitude: 40.7128, longitude: -74.006, accuracy: 100 } },
+  );
+  assert.throws(() => normalizeRegionSettings({ timezone: 'Mars/Olympus' }), /invalid timezone: Mars\/Olympus/);
+  assert.throws(() => normalizeRegionSettings({ locale: 'not a locale' }), /invalid locale/);
+  assert.throws(() => normalizeRegionSettings({ geolocation: { latitude: 91, longitude: 0 } }), /latitude must be a number between -90 and 90/);
+  assert.throws(() => normalizeRegionSettings({ geolocation: { latitude: 0, longitude: 0, accuracy: 0 } }), /accuracy must be a positive number/);
+  assert.throws(() => normalizeRegionSettings('Asia/Tokyo'), /region must be an object/);
+});
+
+test('applyRegionToFingerprint overrides timezone and preferred language', () => {
+  const fingerprint = resolveFingerprintProfile('macos-chrome-m1', 'seed');
+  const merged = applyRegionToFingerprint(fingerprint, normalizeRegionSettings({ timezone: 'Asia/Tokyo', locale: 'en-US' }));
+  assert.equal(merged.timezone, 'Asia/Tokyo');
+  assert.deepEqual(merged.languages, ['en-US', 'zh-CN', 'zh', 'en']);
+  assert.equal(merged.userAgent, fingerprint.userAgent);
+
+  const geoOnly = applyRegionToFingerprint(fingerprint, normalizeRegionSettings({ geolocation: { latitude: 1, longitude: 2 } }));
+  assert.equal(geoOnly.timezone, fingerprint.timezone);
+  assert.equal(geoOnly.languages, fingerprint.languages);
+});
+
+test('buildRegionEmulationCommands emits only the configured overrides', () => {
+  assert.deepEqual(buildRegionEmulationCommands(null), []);
+  const region = normalizeRegionSettings({ timezone: 'Asia/Tokyo', locale: 'ja-JP', geolocation: { latitude: 35.68, longitude: 139.69, accuracy: 50 } });
+  assert.deepEqual(buildRegionEmulationCommands(region, { userAgent: 'UA' }), [
+    ['Emulation.setTimezoneOverride', { timezoneId: 'Asia/Tokyo' }],
+    ['Emulation.setLocaleOverride', { locale: 'ja-JP' }],
+    ['Emulation.setUserAgentOverride', { userAgent: 'UA', acceptLanguage: 'ja-JP' }],
+    ['Emulation.setGeolocationOverride', { latitude: 35.68, longitude: 139.69, accuracy: 50 }],
+  ]);
+});
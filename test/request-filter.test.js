@@ -0,0 +1,112 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import {
+  compileFilterRules,
+  matchFilterRule,
+  normalizeRequestFilterSettings,
+  parseFilterList,
+} from '../src/main/utils/request-filter.js';
+import { RequestFilterManager } from '../src/main/services/request-filter-manager.js';
+
+const LIST = `
+# comment
+hm.baidu.com
+||doubleclick.net^
+*://*.example.com/collect*
+/beacon\\.gif/
+cdn.tracker.test/lib.js => https://static.local/empty.js
+not a rule
+bad.test => javascript:alert(1)
+`;
+
+test('parseFilterList understands domain, wildcard, regex and redirect rules', () => {
+  const rules = parseFilterList(LIST, 'trackers');
+  assert.deepEqual(rules.map((rule) => [rule.type, rule.value]), [
+    ['domain', 'hm.baidu.com'],
+    ['domain', 'doubleclick.net'],
+    ['pattern', '*://*.example.com/collect*'],
+    ['pattern', '/beacon\\.gif/'],
+    ['pattern', 'cdn.tracker.test/lib.js'],
+  ]);
+  assert.equal(rules[4].redirect, 'https://static.local/empty.js');
+  assert.ok(rules.every((rule) => rule.listId === 'trackers'));
+});
+
+test('matchFilterRule matches subdomains and URL patterns', () => {
+  const compiled = compileFilterRules(parseFilterList(LIST, 'trackers'));
+  assert.equal(matchFilterRule(compiled, 'https://hm.baidu.com/hm.js')?.value, 'hm.baidu.com');
+  assert.equal(matchFilterRule(compiled, 'https://stats.g.doubleclick.net/x')?.value, 'doubleclick.net');
+  assert.equal(matchFilterRule(compiled, 'https://www.example.com/collect?v=1')?.type, 'pattern');
+  assert.equal(matchFilterRule(compiled, 'https://a.test/img/beacon.gif')?.type, 'pattern');
+  assert.equal(matchFilterRule(compiled, 'https://www.baidu.com/'), null);
+  assert.equal(matchFilterRule(compiled, 'https://notdoubleclick.net/'), null);
+  assert.equal(matchFilterRule(compiled, 'not a url'), null);
+});
+
+test('normalizeRequestFilterSettings defaults to disabled with all lists', () => {
+  assert.deepEqual(normalizeRequestFilterSettings(undefined), { enabled: false, lists: null });
+  assert.deepEqual(normalizeRequestFilterSettings({ enabled: true, lists: ['a', 'a', 'b'] }), { enabled: true, lists: ['a', 'b'] });
+  assert.throws(() => normalizeRequestFilterSettings({ lists: 'a' }), /lists must be an array/);
+});
+
+function createManager() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'filter-lists-'));
+  fs.writeFileSync(path.join(dir, 'trackers.txt'), LIST);
+  fs.writeFileSync(path.join(dir, 'ads.txt'), 'ads.test\n');
+  const contexts = new Map([
+    ['on', { id: 'on', requestFilter: { enabled: true, lists: null } }],
+    ['ads-only', { id: 'ads-only', requestFilter: { enabled: true, lists: ['ads'] } }],
+    ['off', { id: 'off', requestFilter: { enabled: false, lists: null } }],
+  ]);
+  const manager = new RequestFilterManager({ listsDir: dir, resolveContext: (webContents) => contexts.get(webContents?.id) || null });
+  manager.loadLists();
+  return manager;
+}
+
+test('RequestFilterManager loads lists from the directory', () => {
+  const manager = createManager();
+  assert.deepEqual(manager.listLists().map(({ id, ruleCount }) => [id, ruleCount]), [['ads', 1], ['trackers', 5]]);
+  const empty = new RequestFilterManager({ listsDir: path.join(os.tmpdir(), 'missing-filter-lists'), resolveContext: () => null });
+  assert.deepEqual(empty.loadLists(), []);
+});
+
+test('RequestFilterManager blocks, redirects and counts per context', () => {
+  const manager = createManager();
+  const request = (id, url, resourceType = 'script') => manager.handleRequest({ webContents: { id }, url, resourceType });
+
+  assert.deepEqual(request('on', 'https://hm.baidu.com/hm.js'), { cancel: true });
+  assert.deepEqual(request('on', 'https://cdn.tracker.test/lib.js'), { redirectURL: 'https://static.local/empty.js' });
+  assert.deepEqual(request('on', 'https://hm.baidu.com/', 'mainFrame'), {});
+  assert.deepEqual(request('off', 'https://hm.baidu.com/hm.js'), {});
+  assert.deepEqual(request('ads-only', 'https://hm.baidu.com/hm.js'), {});
+  assert.deepEqual(request('ads-only', 'https://x.ads.test/banner.js'), { cancel: true });
+
+  const stats = manager.getStats('on');
+  assert.equal(stats.blocked, 1);
+  assert.equal(stats.redirected, 1);
+  assert.deepEqual(stats.byList, { trackers: 2 });
+  assert.equal(stats.byHost['hm.baidu.com'], 1);
+  assert.equal(manager.getStats('off').blocked, 0);
+
+  assert.equal(manager.resetStats('on'), true);
+  assert.equal(manager.getStats('on').blocked, 0);
+});
+
+test('RequestFilterManager lets redirect targets through even when they match a rule', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'filter-lists-'));
+  fs.writeFileSync(path.join(dir, 'loop.txt'), [
+    '*/lib.js => https://static.local/lib.js',
+    'static.local',
+  ].join('\n'));
+  const ctx = { id: 'on', requestFilter: { enabled: true, lists: null } };
+  const manager = new RequestFilterManager({ listsDir: dir, resolveContext: () => ctx });
+  manager.loadLists();
+  const request = (url) => manager.handleRequest({ webContents: {}, url, resourceType: 'script' });
+
+  assert.deepEqual(request('https://cdn.test/lib.js'), { redirectURL: 'https://static.local/lib.js' });
+  assert.deepEqual(request('https://static.local/lib.js'), {});
+  assert.deepEqual(request('https://static.local/other.js'), { cancel: true });
+});
@@ -0,0 +1,109 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { CdpDriver, runRpaSteps } from '../src/main/services/rpa-runner.js';
+
+// 模拟页面：selectors 为当前存在的元素，text 为页面文本
+function createFakeWebContents({ selectors = [], text = '', attached = false } = {}) {
+  const page = { selectors: new Set(selectors), text, url: 'about:blank' };
+  const commands = [];
+  const nodeIds = new Map();
+  const state = { attached };
+
+  const evaluate = (expression) => {
+    if (expression === 'location.href') return page.url;
+    if (expression.startsWith('document.readyState')) return true;
+    return expression.split(' && ').every((check) => {
+      const selector = check.match(/document\.querySelector\(("(?:[^"\\]|\\.)*")\)/);
+      if (check.startsWith('location.href.includes')) return page.url.includes(JSON.parse(check.match(/\((".*")\)/)[1]));
+      if (check.includes('innerText')) return page.text.includes(JSON.parse(check.match(/includes\((".*")\)$/)[1]));
+      return page.selectors.has(JSON.parse(selector[1]));
+    });
+  };
+
+  const webContents = {
+    page,
+    commands,
+    isDestroyed: () => false,
+    debugger: {
+      isAttached: () => state.attached,
+      attach: () => { state.attached = true; },
+      detach: () => { state.attached = false; },
+      async sendCommand(method, params) {
+        commands.push({ method, params });
+        switch (method) {
+          case 'Runtime.evaluate':
+            return { result: { value: evaluate(params.expression) } };
+          case 'Page.navigate':
+            page.url = params.url;
+            return { frameId: 'f1' };
+          case 'DOM.getDocument':
+            return { root: { nodeId: 1 } };
+          case 'DOM.querySelector':
+            if (!page.selectors.has(params.selector)) return { nodeId: 0 };
+            if (!nodeIds.has(params.selector)) nodeIds.set(params.selector, nodeIds.size + 2);
+            return { nodeId: nodeIds.get(params.selector) };
+          case 'DOM.getBoxModel':
+            return { model: { content: [10, 20, 110, 20, 110, 60, 10, 60] } };
+          case 'Input.dispatchMouseEvent':
+            if (params.type === 'mouseReleased') page.text += '发表成功';
+            return {};
+          default:
+            return {};
+        }
+      },
+    },
+  };
+  return { webContents, state };
+}
+
+test('runRpaSteps drives navigate, type, upload, click and assert through CDP', async () => {
+  const { webContents, state } = createFakeWebContents({ selectors: ['#title', 'input[type=file]', '.publish'] });
+  const driver = new CdpDriver(webContents, { pollIntervalMs: 1 });
+  driver.attach();
+
+  const result = await runRpaSteps(driver, [
+    { action: 'navigate', url: 'https://creator.example.com/post' },
+    { action: 'waitForSelector', selector: '#title' },
+    { action: 'type', selector: '#title', text: '{{title}}' },
+    { action: 'upload', selector: 'input[type=file]', files: ['{{filePath}}'] },
+    { action: 'click', selector: '.publish' },
+    { action: 'assert', url: '/post', text: '发表成功' },
+  ], { vars: { title: '新文章', filePath: '/tmp/cover.png' }, stepTimeoutMs: 50 });
+
+  assert.equal(result.steps.length, 6);
+  assert.equal(result.url, 'https://creator.example.com/post');
+  const sent = (method) => webContents.commands.filter((c) => c.method === method);
+  assert.deepEqual(sent('Input.insertText')[0].params, { text: '新文章' });
+  assert.deepEqual(sent('DOM.setFileInputFiles')[0].params.files, ['/tmp/cover.png']);
+  assert.deepEqual(sent('Input.dispatchMouseEvent').map((c) => [c.params.type, c.params.x, c.params.y]), [
+    ['mousePressed', 60, 40],
+    ['mouseReleased', 60, 40],
+  ]);
+
+  driver.detach();
+  assert.equal(state.attached, false);
+});
+
+test('runRpaSteps reports the failing step and skips optional ones', async () => {
+  const { webContents } = createFakeWebContents({ selectors: ['#title'] });
+  const driver = new CdpDriver(webContents, { pollIntervalMs: 1 });
+
+  const result = await runRpaSteps(driver, [{ action: 'click', selector: '.dismiss', optional: true, timeoutMs: 5 }]);
+  assert.equal(result.steps[0].ok, false);
+
+  await assert.rejects(
+    () => runRpaSteps(driver, [
+      { action: 'type', selector: '#title', text: 'x' },
+      { action: 'click', selector: '.missing' },
+    ], { stepTimeoutMs: 5 }),
+    /step 2 \(click\) failed: timed out after 5ms waiting for selector \.missing/,
+  );
+});
+
+test('CdpDriver keeps an existing debugger attachment', () => {
+  const { webContents, state } = createFakeWebContents({ attached: true });
+  const driver = new CdpDriver(webContents);
+  driver.attach();
+  driver.detach();
+  assert.equal(state.attached, true);
+});
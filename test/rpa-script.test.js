@@ -0,0 +1,67 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import {
+  DEFAULT_RPA_STEP_TIMEOUT_MS,
+  loadRpaScripts,
+  normalizeRpaScript,
+  renderRpaStep,
+  selectRpaSteps,
+} from '../src/main/utils/rpa-script.js';
+
+const script = {
+  platform: '视频号',
+  creatorUrl: 'https://channels.example.com/',
+  scripts: {
+    default: [
+      { action: 'navigate', url: 'https://channels.example.com/post/create' },
+      { action: 'type', selector: '#title', text: '{{title}}' },
+      { action: 'click', selector: '.publish' },
+      { action: 'assert', text: '发表成功' },
+    ],
+    视频: [
+      { action: 'upload', selector: 'input[type=file]', files: '{{filePath}}', timeoutMs: 60000 },
+    ],
+  },
+};
+
+test('normalizeRpaScript validates steps and applies defaults', () => {
+  const normalized = normalizeRpaScript(script);
+  assert.equal(normalized.stepTimeoutMs, DEFAULT_RPA_STEP_TIMEOUT_MS);
+  assert.deepEqual(normalized.scripts.视频[0].files, ['{{filePath}}']);
+  assert.equal(selectRpaSteps(normalized, '视频').length, 1);
+  assert.equal(selectRpaSteps(normalized, '文章').length, 4);
+
+  assert.throws(() => normalizeRpaScript({ ...script, scripts: { default: [{ action: 'hover', selector: 'a' }] } }), /action must be one of/);
+  assert.throws(() => normalizeRpaScript({ ...script, scripts: { default: [{ action: 'click' }] } }), /steps\[0\]\.selector is required/);
+  assert.throws(() => normalizeRpaScript({ ...script, scripts: { default: [{ action: 'assert' }] } }), /assert requires/);
+  assert.throws(() => normalizeRpaScript({ ...script, scripts: { default: [] } }), /non-empty array/);
+  assert.throws(() => normalizeRpaScript({ scripts: {} }), /platform must be a string/);
+});
+
+test('selectRpaSteps returns null without a matching or default script', () => {
+  const normalized = normalizeRpaScript({ platform: 'x', scripts: { 视频: script.scripts.视频 } });
+  assert.equal(selectRpaSteps(normalized, '文章'), null);
+});
+
+test('renderRpaStep substitutes template variables', () => {
+  assert.deepEqual(
+    renderRpaStep({ action: 'type', selector: '#title', text: '{{ title }} - {{missing}}' }, { title: '标题' }),
+    { action: 'type', selector: '#title', text: '标题 - ' },
+  );
+  assert.deepEqual(renderRpaStep({ action: 'upload', selector: 'input', files: ['{{filePath}}'] }, {}).files, []);
+});
+
+test('loadRpaScripts reads json files and reports invalid ones', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rpa-scripts-'));
+  fs.writeFileSync(path.join(dir, 'channels.json'), JSON.stringify(script));
+  fs.writeFileSync(path.join(dir, 'broken.json'), '{');
+  fs.writeFileSync(path.join(dir, 'notes.txt'), 'ignored');
+
+  const { scripts, errors } = loadRpaScripts(dir);
+  assert.deepEqual(scripts.map((s) => s.file), ['channels.json']);
+  assert.equal(errors[0].file, 'broken.json');
+  assert.deepEqual(loadRpaScripts(path.join(dir, 'missing')), { scripts: [], errors: [] });
+});
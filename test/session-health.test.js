@@ -0,0 +1,127 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { MatrixService } from '../src/main/services/matrix-service.js';
+import { SessionHealthChecker } from '../src/main/services/session-health-checker.js';
+import {
+  DEFAULT_SESSION_CHECK_INTERVAL_MS,
+  DEFAULT_SESSION_COOKIES,
+  evaluateSessionCookies,
+  readSessionHealthOptions,
+} from '../src/main/utils/session-health.js';
+
+const now = Date.parse('2026-01-01T00:00:00Z');
+const HOUR = 60 * 60 * 1000;
+
+function cookie(name, expiresInMs, extra = {}) {
+  return { name, value: 'v', expirationDate: (now + expiresInMs) / 1000, ...extra };
+}
+
+test('readSessionHealthOptions applies per-platform cookie overrides', () => {
+  const defaults = readSessionHealthOptions({});
+  assert.equal(defaults.intervalMs, DEFAULT_SESSION_CHECK_INTERVAL_MS);
+  assert.deepEqual(defaults.cookieNames, DEFAULT_SESSION_COOKIES);
+
+  const custom = readSessionHealthOptions({ XIAOHONGSHU_SESSION_COOKIES: 'a1, web_session ,', SESSION_CHECK_INTERVAL_MS: '60000' });
+  assert.deepEqual(custom.cookieNames.小红书, ['a1', 'web_session']);
+  assert.deepEqual(custom.cookieNames.抖音, DEFAULT_SESSION_COOKIES.抖音);
+  assert.equal(custom.intervalMs, 60000);
+});
+
+test('evaluateSessionCookies reports missing, expired, expiring and valid sessions', () => {
+  const names = ['sessionid', 'sessionid_ss'];
+  const options = { now, expiryMarginMs: 24 * HOUR };
+
+  assert.equal(evaluateSessionCookies([cookie('other', 10 * 24 * HOUR)], names, options).status, 'missing');
+  assert.equal(evaluateSessionCookies([cookie('sessionid', 10 * 24 * HOUR, { value: '' })], names, options).status, 'missing');
+  assert.equal(evaluateSessionCookies([cookie('sessionid', -HOUR)], names, options).status, 'expired');
+  assert.equal(evaluateSessionCookies([cookie('sessionid', HOUR)], names, options).status, 'expiring');
+
+  const valid = evaluateSessionCookies([cookie('sessionid', HOUR), cookie('sessionid_ss', 10 * 24 * HOUR)], names, options);
+  assert.equal(valid.status, 'valid');
+  assert.equal(valid.cookie, 'sessionid_ss');
+
+  const sessionCookie = evaluateSessionCookies([{ name: 'sessionid', value: 'v', session: true }], names, options);
+  assert.deepEqual(sessionCookie, { status: 'valid', cookie: 'sessionid', expiresAt: null });
+  assert.equal(evaluateSessionCookies([], [], options).status, 'unknown');
+});
+
+function createChecker(cookiesByPartition, { hasPartition } = {}) {
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'session-health-'));
+  const alerts = [];
+  const matrixService = new MatrixService({
+    baseDir: tmp,
+    alertReporter: { notify: async (payload) => { alerts.push(payload); return { ok: true }; } },
+  });
+  const checker = new SessionHealthChecker({
+    matrixService,
+    getCookies: async (partition) => cookiesByPartition.get(partition) || [],
+    hasPartition,
+    cookieNames: DEFAULT_SESSION_COOKIES,
+    expiryMarginMs: 24 * HOUR,
+  });
+  return { matrixService, checker, alerts };
+}
+
+test('SessionHealthChecker marks expired accounts and alerts once', async () => {
+  const cookies = new Map();
+  const { matrixService, checker, alerts } = createChecker(cookies);
+  const account = matrixService.addAccount({ platform: '抖音', nickname: '账号A', aiEnabled: false });
+  matrixService.schedulePublish({ accountId: account.id, contentType: '文章', publishAt: new Date(now + HOUR).toISOString() });
+  cookies.set(account.partition, [cookie('sessionid', 10 * 24 * HOUR)]);
+  await checker.checkAll({ now });
+  assert.equal(matrixService.getAccount(account.id).sessionSeenAt, new Date(now).toISOString());
+
+  cookies.delete(account.partition);
+  const [first] = await checker.checkAll({ now });
+  assert.equal(first.health, 'missing');
+  assert.equal(first.status, 'session_expired');
+  assert.equal(matrixService.listAccounts()[0].status, 'session_expired');
+  assert.equal(alerts.length, 1);
+  assert.equal(alerts[0].event, 'account_session_expired');
+  assert.equal(alerts[0].details.pendingTasks, 1);
+
+  await checker.checkAll({ now });
+  assert.equal(alerts.length, 1);
+
+  cookies.set(account.partition, [cookie('sessionid', 10 * 24 * HOUR)]);
+  const [recovered] = await checker.checkAll({ now });
+  assert.equal(recovered.health, 'valid');
+  assert.equal(recovered.status, 'active');
+});
+
+test('SessionHealthChecker warns about expiring sessions and skips other statuses', async () => {
+  const cookies = new Map();
+  const { matrixService, checker, alerts } = createChecker(cookies);
+  const expiring = matrixService.addAccount({ platform: '小红书', nickname: '账号B', aiEnabled: false });
+  const paused = matrixService.addAccount({ platform: '头条', nickname: '账号C', aiEnabled: false, status: 'paused' });
+  cookies.set(expiring.partition, [cookie('web_session', HOUR)]);
+
+  const results = await checker.checkAll({ now });
+  assert.deepEqual(results.map((r) => r.accountId), [expiring.id]);
+  assert.equal(results[0].health, 'expiring');
+  assert.equal(results[0].status, 'active');
+  assert.equal(alerts[0].event, 'account_session_expiring');
+
+  await checker.checkAll({ now });
+  assert.equal(alerts.length, 1);
+  assert.equal(matrixService.listAccounts().find((a) => a.id === paused.id).status, 'paused');
+});
+
+test('SessionHealthChecker ignores accounts that never logged in or were never opened', async () => {
+  const cookies = new Map();
+  const opened = new Set();
+  const { matrixService, checker, alerts } = createChecker(cookies, { hasPartition: (partition) => opened.has(partition) });
+  const fresh = matrixService.addAccount({ platform: '抖音', nickname: '账号D', aiEnabled: false });
+  const unopened = matrixService.addAccount({ platform: '头条', nickname: '账号E', aiEnabled: false });
+  opened.add(fresh.partition);
+
+  const results = await checker.checkAll({ now });
+  assert.deepEqual(results.map((r) => r.accountId), [fresh.id]);
+  assert.equal(results[0].health, 'missing');
+  assert.equal(results[0].status, 'active');
+  assert.equal(alerts.length, 0);
+  assert.equal(matrixService.getAccount(unopened.id).status, 'active');
+});
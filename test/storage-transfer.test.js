@@ -0,0 +1,135 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildLocalStorageWriteScript,
+  decryptBundle,
+  encryptBundle,
+  exportSessionStorage,
+  importSessionStorage,
+  parseBundle,
+  toCookieSetDetails,
+} from '../src/main/services/storage-transfer.js';
+
+function createFakeSession(initial = []) {
+  const cookies = [...initial];
+  const setCalls = [];
+  return {
+    setCalls,
+    cookies: {
+      get: async () => cookies,
+      set: async (details) => {
+        if (details.name === 'broken') throw new Error('invalid cookie');
+        setCalls.push(details);
+      },
+      flushStore: async () => {},
+    },
+  };
+}
+
+const sessionCookie = {
+  name: 'sessionid',
+  value: 'abc',
+  domain: '.douyin.com',
+  hostOnly: false,
+  path: '/',
+  secure: true,
+  httpOnly: true,
+  session: false,
+  expirationDate: 1893456000,
+  sameSite: 'no_restriction',
+};
+
+test('toCookieSetDetails keeps domain cookies and drops host-only domain', () => {
+  assert.deepEqual(toCookieSetDetails(sessionCookie), {
+    url: 'https://douyin.com/',
+    name: 'sessionid',
+    value: 'abc',
+    path: '/',
+    secure: true,
+    httpOnly: true,
+    domain: '.douyin.com',
+    expirationDate: 1893456000,
+    sameSite: 'no_restriction',
+  });
+
+  const hostOnly = toCookieSetDetails({ name: 'a', value: '1', domain: 'creator.douyin.com', hostOnly: true, path: '/web', secure: false, session: true, sameSite: 'unspecified' });
+  assert.equal(hostOnly.url, 'http://creator.douyin.com/web');
+  assert.equal(hostOnly.domain, undefined);
+  assert.equal(hostOnly.expirationDate, undefined);
+  assert.equal(hostOnly.sameSite, undefined);
+});
+
+test('encrypted bundle round-trips and rejects wrong passphrase', () => {
+  const bundle = { version: 1, cookies: [sessionCookie], localStorage: {} };
+  const encrypted = encryptBundle(bundle, 'secret');
+  assert.equal(encrypted.encrypted, true);
+  assert.doesNotMatch(encrypted.data, /sessionid/);
+  assert.deepEqual(decryptBundle(encrypted, 'secret'), bundle);
+  assert.throws(() => decryptBundle(encrypted, 'wrong'), /failed to decrypt bundle/);
+  assert.throws(() => parseBundle(encrypted), /passphrase required/);
+  assert.deepEqual(parseBundle(encrypted, 'secret').cookies, [sessionCookie]);
+});
+
+test('parseBundle rejects malformed bundles', () => {
+  assert.throws(() => parseBundle({ version: 2, cookies: [] }), /invalid storage bundle/);
+  assert.throws(() => parseBundle({ version: 1 }), /invalid storage bundle/);
+  assert.deepEqual(parseBundle({ version: 1, cookies: [] }).localStorage, {});
+});
+
+test('exportSessionStorage collects cookies and current origin localStorage', async () => {
+  const ses = createFakeSession([sessionCookie]);
+  const webContents = {
+    isDestroyed: () => false,
+    getURL: () => 'https://creator.douyin.com/creator-micro/home',
+    executeJavaScript: async () => JSON.stringify({ token: 't1' }),
+  };
+
+  const bundle = await exportSessionStorage({ ses, webContents, partition: 'persist:acct-1', includeLocalStorage: true });
+  assert.equal(bundle.version, 1);
+  assert.equal(bundle.partition, 'persist:acct-1');
+  assert.equal(bundle.cookies.length, 1);
+  assert.deepEqual(bundle.localStorage, { 'https://creator.douyin.com': { token: 't1' } });
+
+  const withoutStorage = await exportSessionStorage({ ses, webContents, partition: 'persist:acct-1' });
+  assert.deepEqual(withoutStorage.localStorage, {});
+
+  const encrypted = await exportSessionStorage({ ses, partition: 'persist:acct-1', passphrase: 'pw' });
+  assert.equal(encrypted.encrypted, true);
+});
+
+test('exportSessionStorage refuses to read localStorage from a hibernated context', async () => {
+  const ses = createFakeSession([sessionCookie]);
+  await assert.rejects(
+    exportSessionStorage({ ses, partition: 'persist:acct-1', includeLocalStorage: true }),
+    /context is hibernated/,
+  );
+  const destroyed = { isDestroyed: () => true };
+  await assert.rejects(
+    exportSessionStorage({ ses, webContents: destroyed, partition: 'persist:acct-1', includeLocalStorage: true }),
+    /context is hibernated/,
+  );
+
+  const cookiesOnly = await exportSessionStorage({ ses, partition: 'persist:acct-1' });
+  assert.equal(cookiesOnly.cookies.length, 1);
+});
+
+test('importSessionStorage writes cookies and reports failures', async () => {
+  const ses = createFakeSession();
+  const result = await importSessionStorage({
+    ses,
+    bundle: { version: 1, cookies: [sessionCookie, { ...sessionCookie, name: 'broken' }], localStorage: { 'https://a.test': { k: 'v' } } },
+  });
+  assert.equal(result.cookies, 1);
+  assert.equal(result.failed.length, 1);
+  assert.equal(result.failed[0].name, 'broken');
+  assert.equal(ses.setCalls[0].name, 'sessionid');
+  assert.deepEqual(result.localStorage, { 'https://a.test': { k: 'v' } });
+});
+
+test('buildLocalStorageWriteScript writes every item', () => {
+  const store = new Map();
+  const window = { localStorage: { setItem: (k, v) => store.set(k, v) } };
+  const count = new Function('window', `return ${buildLocalStorageWriteScript({ a: '1', b: '2' })}`)(window);
+  assert.equal(count, 2);
+  assert.equal(store.get('b'), '2');
+});
@@ -0,0 +1,165 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { TabSessionStore } from '../src/main/services/tab-session-store.js';
+
+function createTempStore() {
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'tab-session-store-'));
+  return { tmp, store: new TabSessionStore({ baseDir: tmp }) };
+}
+
+test('tab session store saves sessions in creation order', () => {
+  const { store } = createTempStore();
+  store.saveSession({ id: 'a', partition: 'persist:ctx-a', lastUrl: 'https://a.test' });
+  store.saveSession({ id: 'b', partition: 'persist:ctx-b', lastUrl: 'https://b.test', title: 'B' });
+
+  const sessions = store.listSessions();
+  assert.deepEqual(sessions.map((s) => s.id), ['a', 'b']);
+  assert.deepEqual(sessions.map((s) => s.sortOrder), [0, 1]);
+  assert.equal(sessions[1].title, 'B');
+});
+
+test('tab session store keeps order and partition when state updates', () => {
+  const { store } = createTempStore();
+  store.saveSession({ id: 'a', partition: 'persist:ctx-a', lastUrl: 'https://a.test' });
+  store.saveSession({ id: 'b', partition: 'persist:ctx-b', lastUrl: 'https://b.test' });
+
+  const updated = store.updateSessionState('a', { lastUrl: 'https://a.test/next', title: '下一页' });
+  assert.equal(updated.lastUrl, 'https://a.test/next');
+  assert.equal(updated.title, '下一页');
+  assert.equal(updated.partition, 'persist:ctx-a');
+  assert.equal(updated.sortOrder, 0);
+
+  const kept = store.updateSessionState('b', { lastUrl: '', title: 'B' });
+  assert.equal(kept.lastUrl, 'https://b.test');
+  assert.equal(store.updateSessionState('missing', { lastUrl: 'x' }), null);
+});
+
+test('tab session store survives reopening the same data dir', () => {
+  const { tmp, store } = createTempStore();
+  store.saveSession({ id: 'a', partition: 'persist:ctx-a', lastUrl: 'https://a.test' });
+  store.setActiveContextId('a');
+
+  const reopened = new TabSessionStore({ baseDir: tmp });
+  assert.equal(reopened.listSessions().length, 1);
+  assert.equal(reopened.getActiveContextId(), 'a');
+});
+
+test('removing a session clears it as the active context', () => {
+  const { store } = createTempStore();
+  store.saveSession({ id: 'a', partition: 'persist:ctx-a', lastUrl: 'https://a.test' });
+  store.setActiveContextId('a');
+  store.removeSession('a');
+  assert.equal(store.listSessions().length, 0);
+  assert.equal(store.getActiveContextId(), null);
+});
+
+test('tab session store persists settings and patches them in place', () => {
+  const { store } = createTempStore();
+  const fingerprint = { id: 'win10-chrome-nvidia', languages: ['zh-CN'] };
+  store.saveSession({ id: 'a', partition: 'persist:acct-1', lastUrl: 'https://a.test', accountId: 'acct-1', fingerprint });
+
+  let session = store.getSession('a');
+  assert.equal(session.accountId, 'acct-1');
+  assert.deepEqual(session.fingerprint, fingerprint);
+
+  session = store.updateSessionSettings('a', { fingerprint: { id: 'custom' }, unknown: 'ignored' });
+  assert.deepEqual(session.fingerprint, { id: 'custom' });
+  assert.equal(session.accountId, 'acct-1');
+  assert.equal(store.updateSessionSettings('missing', { accountId: 'x' }), null);
+
+  session = store.updateSessionSettings('a', { name: '抖音后台-A', color: '#1e90ff', group: '抖音' });
+  assert.deepEqual([session.name, session.color, session.group], ['抖音后台-A', '#1e90ff', '抖音']);
+});
+
+test('tab session store persists the layout per window', () => {
+  const { tmp, store } = createTempStore();
+  assert.equal(store.getWindowLayout('main'), null);
+  store.saveWindowLayout('main', { mode: 'split', panes: ['a', 'b'], ratios: { column: 0.6, row: 0.5 } });
+
+  const reopened = new TabSessionStore({ baseDir: tmp });
+  assert.deepEqual(reopened.getWindowLayout('main'), { mode: 'split', panes: ['a', 'b'], ratios: { column: 0.6, row: 0.5 } });
+  assert.equal(reopened.getWindowLayout('other'), null);
+});
+
+test('tab session store queues pending partition wipes without duplicates', () => {
+  const { store } = createTempStore();
+  assert.deepEqual(store.listPendingPartitionWipes(), []);
+  store.setPendingPartitionWipes(['persist:ctx-a', 'persist:ctx-a', 'persist:ctx-b']);
+  assert.deepEqual(store.listPendingPartitionWipes(), ['persist:ctx-a', 'persist:ctx-b']);
+  assert.deepEqual(store.setPendingPartitionWipes([]), []);
+});
+
+test('tab session store logs context crashes newest first', () => {
+  const { store } = createTempStore();
+  store.logContextCrash({ contextId: 'a', kind: 'crashed', reason: 'oom', exitCode: 9, url: 'https://a.test', action: 'reload in 1000ms' });
+  const entry = store.logContextCrash({ contextId: 'b', kind: 'unresponsive', reason: 'unresponsive' });
+  assert.equal(entry.contextId, 'b');
+
+  assert.deepEqual(store.listContextCrashes().map((c) => c.contextId), ['b', 'a']);
+  const [crash] = store.listContextCrashes({ contextId: 'a' });
+  assert.equal(crash.reason, 'oom');
+  assert.equal(crash.exitCode, 9);
+  assert.equal(store.listContextCrashes({ limit: 1 }).length, 1);
+});
+
+test('tab session store persists extension settings and group extensions', () => {
+  const { store } = createTempStore();
+  store.saveSession({ id: 'a', partition: 'persist:ctx-a', lastUrl: 'https://a.test', extensions: { paths: ['/ext/a'], disabled: [] } });
+  assert.deepEqual(store.getSession('a').extensions, { paths: ['/ext/a'], disabled: [] });
+
+  assert.deepEqual(store.getGroupExtensions('抖音'), []);
+  assert.deepEqual(store.setGroupExtensions('抖音', ['/ext/capture']), ['/ext/capture']);
+});
+
+test('tab session store persists device and region settings', () => {
+  const { store } = createTempStore();
+  const region = { timezone: 'Asia/Tokyo', locale: 'ja-JP', geolocation: { latitude: 35.68, longitude: 139.69, accuracy: 100 } };
+  store.saveSession({ id: 'a', partition: 'persist:ctx-a', lastUrl: 'https://a.test', region });
+  assert.deepEqual(store.getSession('a').region, region);
+  assert.equal(store.getSession('a').device, null);
+
+  store.updateSessionSettings('a', { region: null, device: { id: 'pixel-7', width: 412, height: 915 } });
+  assert.equal(store.getSession('a').region, null);
+  assert.equal(store.getSession('a').device.id, 'pixel-7');
+});
+
+test('tab session store encrypts proxy passwords and drops them without a codec', () => {
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'tab-session-store-'));
+  const secretCodec = {
+    encrypt: (text) => Buffer.from(text).toString('base64'),
+    decrypt: (value) => Buffer.from(value, 'base64').toString(),
+  };
+  const store = new TabSessionStore({ baseDir: tmp, secretCodec });
+  const proxy = { protocol: 'http', host: '127.0.0.1', port: 8080, username: 'u', password: 'secret', bypass: '<local>' };
+  store.saveSession({ id: 'a', partition: 'persist:ctx-a', lastUrl: 'https://a.test', proxy });
+
+  const raw = store.db.prepare('SELECT proxy_json FROM tab_sessions WHERE id = ?').get('a').proxy_json;
+  assert.equal(raw.includes('secret'), false);
+  assert.deepEqual(store.getSession('a').proxy, proxy);
+
+  const plain = new TabSessionStore({ baseDir: fs.mkdtempSync(path.join(os.tmpdir(), 'tab-session-store-')) });
+  plain.saveSession({ id: 'b', partition: 'persist:ctx-b', lastUrl: 'https://b.test', proxy });
+  assert.equal(plain.getSession('b').proxy.password, '');
+  assert.equal(plain.getSession('b').proxy.username, 'u');
+});
+
+test('tab session store re-saves legacy plaintext proxy passwords encrypted', () => {
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'tab-session-store-'));
+  const store = new TabSessionStore({
+    baseDir: tmp,
+    secretCodec: { encrypt: (text) => `enc:${text}`, decrypt: (value) => value.slice(4) },
+  });
+  store.saveSession({ id: 'a', partition: 'persist:ctx-a', lastUrl: 'https://a.test' });
+  store.db.prepare('UPDATE tab_sessions SET proxy_json = ? WHERE id = ?')
+    .run(JSON.stringify({ protocol: 'http', host: 'p.test', port: 3128, username: 'u', password: 'old' }), 'a');
+
+  assert.equal(store.getSession('a').proxy.password, 'old');
+  assert.equal(store.protectProxyPasswords(), 1);
+  const raw = JSON.parse(store.db.prepare('SELECT proxy_json FROM tab_sessions WHERE id = ?').get('a').proxy_json);
+  assert.equal(raw.password, undefined);
+  assert.equal(raw.encryptedPassword, 'enc:old');
+  assert.equal(store.getSession('a').proxy.password, 'old');
+});
@@ -1,17 +1,38 @@
 import test from 'node:test';
 import assert from 'node:assert/strict';
 import {
+  validateAccountContextPayload,
   validateAddAccountPayload,
   validateDeleteAccountPayload,
   validateGenerateContentPayload,
   validateNavigatePayload,
   validateSchedulePayload,
+  validateSetPopupPolicyPayload,
   validateTaskActionPayload,
+  validateTestProxyPayload,
   validateUpdateAccountPayload,
   validateListQueryPayload,
   validateContentAssetPayload,
+  validateContextActionPayload,
+  validateCreateContextPayload,
   validateDeleteContentAssetPayload,
+  validateDownloadActionPayload,
+  validateExportStoragePayload,
   validateImportSnapshotPayload,
+  validateImportStoragePayload,
+  validateListDownloadsPayload,
+  validateAssignPanePayload,
+  validateResizeSplitPayload,
+  validateSetLayoutPayload,
+  validateContextGroupPayload,
+  validateContextLabelPayload,
+  validateClearPermissionDecisionsPayload,
+  validateListPermissionRequestsPayload,
+  validateRespondPermissionPayload,
+  validateSetPermissionPolicyPayload,
+  validateSetRequestFilterPayload,
+  validateCapturePayload,
+  validateLinkCapturePayload,
 } from '../src/main/utils/validators.js';
 
 test('validateAddAccountPayload accepts valid payload', () => {
@@ -27,6 +48,28 @@ test('validateSchedulePayload requires all fields', () => {
   assert.doesNotThrow(() => validateSchedulePayload({ accountId: 'a', contentType: '文章', publishAt: new Date().toISOString() }));
 });
 
+test('validateCreateContextPayload accepts optional url and fingerprint', () => {
+  assert.doesNotThrow(() => validateCreateContextPayload({}));
+  assert.doesNotThrow(() => validateCreateContextPayload({ url: 'example.com', fingerprint: 'macos-chrome-m1' }));
+  assert.doesNotThrow(() => validateCreateContextPayload({ fingerprint: { presetId: 'macos-chrome-m1' } }));
+  assert.throws(() => validateCreateContextPayload({ fingerprint: ['x'] }));
+  assert.doesNotThrow(() => validateCreateContextPayload({ fingerprint: null }));
+  assert.doesNotThrow(() => validateCreateContextPayload({ proxy: { host: '127.0.0.1', port: 1080 } }));
+  assert.throws(() => validateCreateContextPayload({ proxy: 'socks5://x' }));
+});
+
+test('validateSetPopupPolicyPayload requires id and policy', () => {
+  assert.doesNotThrow(() => validateSetPopupPolicyPayload({ id: 'ctx-1', policy: 'new-tab' }));
+  assert.throws(() => validateSetPopupPolicyPayload({ id: 'ctx-1' }));
+  assert.throws(() => validateCreateContextPayload({ popupPolicy: 1 }));
+});
+
+test('validateTestProxyPayload requires context id', () => {
+  assert.doesNotThrow(() => validateTestProxyPayload({ id: 'ctx-1' }));
+  assert.doesNotThrow(() => validateTestProxyPayload({ id: 'ctx-1', url: 'https://ip.test' }));
+  assert.throws(() => validateTestProxyPayload({ url: 'https://ip.test' }));
+});
+
 test('validateNavigatePayload and generate payload validation', () => {
   assert.doesNotThrow(() => validateNavigatePayload({ id: 'id-1', url: 'example.com' }));
   assert.throws(() => validateNavigatePayload({ id: 'id-1' }));
@@ -40,6 +83,10 @@ test('validate account/task action payloads', () => {
   assert.throws(() => validateUpdateAccountPayload({ status: 'active' }));
   assert.doesNotThrow(() => validateDeleteAccountPayload({ id: 'a1' }));
   assert.doesNotThrow(() => validateTaskActionPayload({ id: 't1' }));
+  assert.doesNotThrow(() => validateAccountContextPayload({ id: 'a1' }));
+  assert.doesNotThrow(() => validateContextActionPayload({ id: 'ctx-1' }));
+  assert.throws(() => validateContextActionPayload({}));
+  assert.throws(() => validateAccountContextPayload({}));
 });
 
 
@@ -63,3 +110,78 @@ test('validate import snapshot payload', () => {
   assert.doesNotThrow(() => validateImportSnapshotPayload({ snapshot: { accounts: [] }, mode: 'replace' }));
   assert.throws(() => validateImportSnapshotPayload({ snapshot: {}, mode: 'bad' }));
 });
+
+
+test('validate storage export/import payloads', () => {
+  assert.doesNotThrow(() => validateExportStoragePayload({ id: 'ctx-1', includeLocalStorage: true, passphrase: 'pw' }));
+  assert.throws(() => validateExportStoragePayload({ id: 'ctx-1', includeLocalStorage: 'yes' }));
+  assert.doesNotThrow(() => validateImportStoragePayload({ bundle: { version: 1, cookies: [] } }));
+  assert.doesNotThrow(() => validateImportStoragePayload({ id: 'ctx-1' }));
+  assert.throws(() => validateImportStoragePayload({ id: 'ctx-1', bundle: 'x' }), /bundle must be an object/);
+  assert.doesNotThrow(() => validateExportStoragePayload({ id: 'ctx-1', saveAs: true }));
+  assert.throws(() => validateExportStoragePayload({ id: 'ctx-1', saveAs: '/tmp/bundle.json' }), /saveAs must be a boolean/);
+});
+
+
+test('validate download payloads', () => {
+  assert.doesNotThrow(() => validateListDownloadsPayload({}));
+  assert.doesNotThrow(() => validateListDownloadsPayload({ contextId: 'ctx-1' }));
+  assert.throws(() => validateListDownloadsPayload({ contextId: 1 }));
+  assert.doesNotThrow(() => validateDownloadActionPayload({ id: 'd1' }));
+  assert.throws(() => validateDownloadActionPayload({}));
+});
+
+test('validate split layout payloads', () => {
+  assert.doesNotThrow(() => validateSetLayoutPayload({ mode: 'single' }));
+  assert.doesNotThrow(() => validateSetLayoutPayload({ mode: 'split', panes: ['a', 'b'], ratios: { column: 0.4 } }));
+  assert.throws(() => validateSetLayoutPayload({}));
+  assert.throws(() => validateSetLayoutPayload({ mode: 'split', panes: 'a,b' }));
+  assert.doesNotThrow(() => validateAssignPanePayload({ paneIndex: 0, id: 'a' }));
+  assert.throws(() => validateAssignPanePayload({ paneIndex: 1.5, id: 'a' }));
+  assert.throws(() => validateAssignPanePayload({ paneIndex: 0 }));
+  assert.doesNotThrow(() => validateResizeSplitPayload({ ratios: { row: 0.3 } }));
+  assert.throws(() => validateResizeSplitPayload({ ratios: [] }));
+});
+
+test('validate context label and group payloads', () => {
+  assert.doesNotThrow(() => validateCreateContextPayload({ name: 'A', color: '#ffffff', group: 'g' }));
+  assert.throws(() => validateCreateContextPayload({ group: 1 }));
+  assert.doesNotThrow(() => validateContextLabelPayload({ id: 'a', name: 'x' }, 'name'));
+  assert.doesNotThrow(() => validateContextLabelPayload({ id: 'a' }, 'group'));
+  assert.throws(() => validateContextLabelPayload({ id: 'a', color: 1 }, 'color'));
+  assert.doesNotThrow(() => validateContextGroupPayload({ group: 'g' }));
+  assert.throws(() => validateContextGroupPayload({}));
+});
+
+test('validate permission payloads', () => {
+  assert.doesNotThrow(() => validateSetPermissionPolicyPayload({ id: 'a', policy: { media: 'ask' } }));
+  assert.throws(() => validateSetPermissionPolicyPayload({ id: 'a', policy: 'ask' }));
+  assert.doesNotThrow(() => validateClearPermissionDecisionsPayload({ id: 'a' }));
+  assert.throws(() => validateClearPermissionDecisionsPayload({ id: 'a', origin: 1 }));
+  assert.doesNotThrow(() => validateListPermissionRequestsPayload({}));
+  assert.doesNotThrow(() => validateRespondPermissionPayload({ requestId: 'p', allow: false }));
+  assert.throws(() => validateRespondPermissionPayload({ requestId: 'p', allow: 'yes' }));
+  assert.throws(() => validateRespondPermissionPayload({ requestId: 'p', allow: true, remember: 1 }));
+});
+
+test('validate request filter payloads', () => {
+  assert.doesNotThrow(() => validateSetRequestFilterPayload({ id: 'a', enabled: true }));
+  assert.doesNotThrow(() => validateSetRequestFilterPayload({ id: 'a', lists: null }));
+  assert.throws(() => validateSetRequestFilterPayload({ id: 'a', enabled: 'yes' }));
+  assert.throws(() => validateSetRequestFilterPayload({ id: 'a', lists: [1] }));
+  assert.throws(() => validateCreateContextPayload({ requestFilter: true }));
+});
+
+test('validateCapturePayload accepts optional target and links', () => {
+  assert.doesNotThrow(() => validateCapturePayload({}));
+  assert.doesNotThrow(() => validateCapturePayload({ id: 'ctx-1', fullPage: true, scheduleId: 's1', contentAssetId: 'ca1' }));
+  assert.throws(() => validateCapturePayload({ fullPage: 1 }), /fullPage must be a boolean/);
+  assert.throws(() => validateCapturePayload({ scheduleId: 1 }), /scheduleId must be a string/);
+});
+
+test('validateLinkCapturePayload requires a link target', () => {
+  assert.doesNotThrow(() => validateLinkCapturePayload({ id: 'cap1', scheduleId: 's1' }));
+  assert.doesNotThrow(() => validateLinkCapturePayload({ id: 'cap1', contentAssetId: null }));
+  assert.throws(() => validateLinkCapturePayload({ id: 'cap1' }), /scheduleId or contentAssetId is required/);
+  assert.throws(() => validateLinkCapturePayload({ scheduleId: 's1' }), /id must be a string/);
+});
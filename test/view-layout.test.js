@@ -0,0 +1,135 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import {
+  DEFAULT_SPLIT_RATIOS,
+  DEFAULT_VIEW_INSETS,
+  MIN_VIEW_SIZE,
+  SPLITTER_SIZE,
+  computeSplitGeometry,
+  computeViewportBounds,
+  normalizeInsets,
+  normalizeViewLayout,
+} from '../src/main/utils/view-layout.js';
+import { ViewLayoutManager } from '../src/main/services/view-layout-manager.js';
+
+function createFakeWindow(width, height) {
+  const window = new EventEmitter();
+  window.size = [width, height];
+  window.children = [];
+  window.isDestroyed = () => false;
+  window.getContentSize = () => window.size;
+  window.contentView = {
+    addChildView: (view) => window.children.push(view),
+    removeChildView: (view) => {
+      window.children = window.children.filter((child) => child !== view);
+    },
+  };
+  return window;
+}
+
+function createFakeView() {
+  return { bounds: null, setBounds(bounds) { this.bounds = bounds; } };
+}
+
+test('computeViewportBounds subtracts the chrome insets from the content size', () => {
+  assert.deepEqual(computeViewportBounds({ width: 1366, height: 860 }), { x: 0, y: 120, width: 1366, height: 740 });
+  assert.deepEqual(
+    computeViewportBounds({ width: 1366, height: 860 }, { top: 80, left: 200, right: 10, bottom: 20 }),
+    { x: 200, y: 80, width: 1156, height: 760 },
+  );
+});
+
+test('computeViewportBounds keeps the minimum size for tiny windows', () => {
+  assert.deepEqual(computeViewportBounds({ width: 100, height: 150 }), { x: 0, y: 120, ...MIN_VIEW_SIZE });
+});
+
+test('normalizeInsets ignores invalid values', () => {
+  assert.deepEqual(normalizeInsets({ top: -5, left: 'x', right: 12.4 }), { ...DEFAULT_VIEW_INSETS, right: 12 });
+});
+
+test('ViewLayoutManager swaps child views and re-layouts on resize', () => {
+  const window = createFakeWindow(1200, 800);
+  const manager = new ViewLayoutManager();
+  const first = createFakeView();
+  const second = createFakeView();
+  manager.attachWindow(window);
+
+  manager.showViews([first]);
+  assert.deepEqual(window.children, [first]);
+  assert.deepEqual(first.bounds, { x: 0, y: 120, width: 1200, height: 680 });
+
+  manager.showViews([second]);
+  assert.deepEqual(window.children, [second]);
+
+  window.size = [1000, 700];
+  window.emit('resize');
+  assert.deepEqual(second.bounds, { x: 0, y: 120, width: 1000, height: 580 });
+
+  assert.equal(manager.removeView(second), true);
+  assert.deepEqual(window.children, []);
+  assert.equal(manager.removeView(second), false);
+});
+
+test('ViewLayoutManager returns a fallback viewport without a window', () => {
+  const manager = new ViewLayoutManager({ insets: { top: 60 } });
+  assert.equal(manager.showViews([createFakeView()]), false);
+  assert.equal(manager.getViewportBounds().y, 60);
+});
+
+test('normalizeViewLayout validates pane counts and clamps ratios', () => {
+  assert.deepEqual(normalizeViewLayout(null), { mode: 'single', panes: [], ratios: DEFAULT_SPLIT_RATIOS });
+  assert.deepEqual(
+    normalizeViewLayout({ mode: 'split', panes: ['a', 'b'], ratios: { column: 0.95 } }),
+    { mode: 'split', panes: ['a', 'b'], ratios: { column: 0.8, row: 0.5 } },
+  );
+  assert.throws(() => normalizeViewLayout({ mode: 'split', panes: ['a'] }), /2-4/);
+  assert.throws(() => normalizeViewLayout({ mode: 'split', panes: ['a', 'b', 'c', 'd', 'e'] }), /2-4/);
+  assert.throws(() => normalizeViewLayout({ mode: 'split', panes: ['a', 'a'] }), /duplicates/);
+  assert.throws(() => normalizeViewLayout({ mode: 'grid' }), /layout.mode/);
+});
+
+test('computeSplitGeometry tiles two panes side by side', () => {
+  const viewport = { x: 0, y: 120, width: 1206, height: 700 };
+  const { panes, splitters } = computeSplitGeometry(viewport, 2, { column: 0.5 });
+  assert.deepEqual(panes, [
+    { x: 0, y: 120, width: 600, height: 700 },
+    { x: 606, y: 120, width: 600, height: 700 },
+  ]);
+  assert.deepEqual(splitters, [{ orientation: 'column', x: 600, y: 120, width: SPLITTER_SIZE, height: 700 }]);
+});
+
+test('computeSplitGeometry stacks the right column for three panes', () => {
+  const viewport = { x: 0, y: 0, width: 1006, height: 606 };
+  const { panes, splitters } = computeSplitGeometry(viewport, 3, { column: 0.3, row: 0.5 });
+  assert.deepEqual(panes, [
+    { x: 0, y: 0, width: 300, height: 606 },
+    { x: 306, y: 0, width: 700, height: 300 },
+    { x: 306, y: 306, width: 700, height: 300 },
+  ]);
+  assert.deepEqual(splitters[1], { orientation: 'row', x: 306, y: 300, width: 700, height: SPLITTER_SIZE });
+});
+
+test('computeSplitGeometry builds a 2x2 grid in reading order', () => {
+  const viewport = { x: 10, y: 100, width: 806, height: 406 };
+  const { panes, splitters } = computeSplitGeometry(viewport, 4);
+  assert.deepEqual(panes.map(({ x, y }) => [x, y]), [[10, 100], [416, 100], [10, 306], [416, 306]]);
+  assert.ok(panes.every((pane) => pane.width === 400 && pane.height === 200));
+  assert.deepEqual(splitters[1], { orientation: 'row', x: 10, y: 300, width: 806, height: SPLITTER_SIZE });
+});
+
+test('ViewLayoutManager tiles several views and reports the layout', () => {
+  const window = createFakeWindow(1206, 820);
+  const layouts = [];
+  const manager = new ViewLayoutManager({ onLayout: (info) => layouts.push(info) });
+  const views = [createFakeView(), createFakeView()];
+  manager.attachWindow(window);
+
+  manager.showViews(views);
+  assert.deepEqual(views.map((view) => view.bounds.x), [0, 606]);
+
+  manager.setRatios({ column: 0.25 });
+  assert.equal(views[0].bounds.width, 300);
+  assert.equal(layouts.at(-1).splitters[0].x, 300);
+  assert.equal(layouts.at(-1).panes.length, 2);
+});